@@ -0,0 +1,177 @@
+// 🧬 cTrader Open API - Protobuf codec + TCP/TLS transport (port 5035)
+// Messages keep the JSON protocol shape { clientMsgId, payloadType, payload },
+// int64 fields as numbers and enums as their values, so the bridge doesn't care
+// which transport carries them.
+// proto/*.proto are the official definitions (github.com/spotware/openapi-proto-messages)
+
+import { EventEmitter } from 'events';
+import net from 'net';
+import path from 'path';
+import tls from 'tls';
+import { fileURLToPath } from 'url';
+import protobuf from 'protobufjs';
+
+export const PROTO_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'proto');
+
+const PROTO_FILES = ['OpenApiCommonMessages.proto', 'OpenApiMessages.proto'];
+
+// Every frame is a 4-byte big-endian length followed by a serialized ProtoMessage
+const FRAME_HEADER_BYTES = 4;
+const MAX_FRAME_BYTES = 16 * 1024 * 1024;
+
+const EMPTY = Buffer.alloc(0);
+
+export class ProtobufCodec {
+  constructor(dir = PROTO_DIR) {
+    this.root = protobuf.loadSync(PROTO_FILES.map(file => path.join(dir, file)));
+    this.root.resolveAll();
+    this.envelope = this.root.lookupType('ProtoMessage');
+
+    // payloadType -> message type, from the default of each message's payloadType field
+    this.types = new Map();
+    const collect = (namespace) => {
+      for (const nested of namespace.nestedArray) {
+        const field = nested instanceof protobuf.Type && nested.fields.payloadType;
+        if (field?.resolvedType instanceof protobuf.Enum) this.types.set(field.defaultValue, nested);
+        if (nested.nestedArray) collect(nested);
+      }
+    };
+    collect(this.root);
+  }
+
+  typeOf(payloadType) {
+    const type = this.types.get(payloadType);
+    if (!type) throw new Error(`Unknown payloadType ${payloadType}`);
+    return type;
+  }
+
+  // { clientMsgId, payloadType, payload } -> ProtoMessage bytes
+  encode({ clientMsgId, payloadType, payload = {} }) {
+    const type = this.typeOf(payloadType);
+    const envelope = this.envelope.create({
+      payloadType,
+      payload: type.encode(type.fromObject(payload)).finish(),
+      ...(clientMsgId && { clientMsgId })
+    });
+    return Buffer.from(this.envelope.encode(envelope).finish());
+  }
+
+  // ProtoMessage bytes -> { clientMsgId, payloadType, payload }
+  decode(data) {
+    const envelope = this.envelope.decode(data);
+    const type = this.typeOf(envelope.payloadType);
+    const { payloadType, ...payload } = type.toObject(type.decode(envelope.payload || EMPTY), { longs: Number });
+
+    return {
+      ...(envelope.clientMsgId && { clientMsgId: envelope.clientMsgId }),
+      payloadType: envelope.payloadType,
+      payload
+    };
+  }
+}
+
+export function encodeFrame(data) {
+  const header = Buffer.alloc(FRAME_HEADER_BYTES);
+  header.writeUInt32BE(data.length);
+  return Buffer.concat([header, data]);
+}
+
+// Reassembles frames from stream chunks, which may split or batch them
+export class FrameDecoder {
+  constructor() {
+    this.buffer = EMPTY;
+  }
+
+  push(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+    const frames = [];
+
+    while (this.buffer.length >= FRAME_HEADER_BYTES) {
+      const length = this.buffer.readUInt32BE(0);
+      if (length > MAX_FRAME_BYTES) throw new Error(`Frame of ${length} bytes exceeds the ${MAX_FRAME_BYTES} limit`);
+      if (this.buffer.length < FRAME_HEADER_BYTES + length) break;
+
+      frames.push(this.buffer.subarray(FRAME_HEADER_BYTES, FRAME_HEADER_BYTES + length));
+      this.buffer = this.buffer.subarray(FRAME_HEADER_BYTES + length);
+    }
+    return frames;
+  }
+}
+
+const READY_STATES = { CONNECTING: 0, OPEN: 1, CLOSING: 2, CLOSED: 3 };
+
+/**
+ * Same surface as a ws WebSocket (readyState, send, close, terminate and the
+ * open/message/close/error events), carrying one encoded message per frame.
+ *
+ * target - 'tls://host:port', 'tcp://host:port' (no TLS, local mocks) or an
+ *          already connected socket (servers)
+ */
+export class ProtobufSocket extends EventEmitter {
+  constructor(target) {
+    super();
+    this.frames = new FrameDecoder();
+    this.closeCode = 1006; // Dropped unless close() says otherwise
+    this.closeReason = '';
+
+    if (typeof target === 'string') {
+      const { protocol, hostname, port } = new URL(target);
+      if (protocol !== 'tls:' && protocol !== 'tcp:') throw new Error(`Unsupported protobuf endpoint ${target}`);
+
+      const options = { host: hostname, port: parseInt(port) || 5035 };
+      this.readyState = READY_STATES.CONNECTING;
+      this.socket = protocol === 'tls:'
+        ? tls.connect({ ...options, servername: hostname }, () => this.onOpen())
+        : net.connect(options, () => this.onOpen());
+    } else {
+      this.socket = target;
+      this.readyState = READY_STATES.OPEN;
+    }
+
+    this.socket.setNoDelay(true);
+    this.socket.on('data', chunk => this.onData(chunk));
+    this.socket.on('error', error => this.emit('error', error));
+    this.socket.on('close', () => this.onClose());
+  }
+
+  onOpen() {
+    this.readyState = READY_STATES.OPEN;
+    this.emit('open');
+  }
+
+  onData(chunk) {
+    try {
+      for (const frame of this.frames.push(chunk)) this.emit('message', frame);
+    } catch (error) {
+      this.emit('error', error);
+      this.terminate();
+    }
+  }
+
+  onClose() {
+    this.readyState = READY_STATES.CLOSED;
+    this.emit('close', this.closeCode, Buffer.from(this.closeReason));
+  }
+
+  send(data) {
+    if (this.readyState !== READY_STATES.OPEN) throw new Error('Socket is not open');
+    this.socket.write(encodeFrame(data));
+  }
+
+  close(code = 1000, reason = '') {
+    if (this.readyState >= READY_STATES.CLOSING) return;
+    this.closeCode = code;
+    this.closeReason = reason;
+    this.readyState = READY_STATES.CLOSING;
+    this.socket.end(() => this.socket.destroy());
+  }
+
+  terminate() {
+    if (this.readyState === READY_STATES.CLOSED) return;
+    this.readyState = READY_STATES.CLOSING;
+    this.socket.destroy();
+  }
+}
+
+Object.assign(ProtobufSocket, READY_STATES);
+Object.assign(ProtobufSocket.prototype, READY_STATES);
@@ -1,12 +1,19 @@
-cTrader Trading Bridge - 100% Autonomous Version// 🚀 cTrader Trading Bridge - Production Ready Version
+// 🚀 cTrader Trading Bridge - Production Ready Version
 // Telegram → Make.com → This Bridge → cTrader
 // Node.js 18+ with "type": "module" in package.json
 
 import express from 'express';
 import fetch from 'node-fetch';
-import WebSocket from 'ws';
+import WebSocket, { WebSocketServer } from 'ws';
 import { exec } from 'child_process';
+import { createHash, createHmac, timingSafeEqual } from 'crypto';
+import { EventEmitter, once } from 'events';
+import { closeSync, createReadStream, fstatSync, mkdirSync, openSync, readdirSync, readFileSync, readSync, renameSync, statSync, writeFileSync } from 'fs';
+import { appendFile, mkdir, rename, unlink } from 'fs/promises';
+import path from 'path';
+import { createInterface } from 'readline';
 import { promisify } from 'util';
+import { ProtobufCodec, ProtobufSocket } from './ctrader-protobuf.js';
 
 const execAsync = promisify(exec);
 
@@ -19,17 +26,64 @@ const {
   CTRADER_CLIENT_SECRET, 
   CTRADER_REFRESH_TOKEN,
   CTRADER_ACCESS_TOKEN,
-  CTRADER_ACCOUNT_ID,
-  CTRADER_ENV = 'demo', // 'demo' | 'live'
+  CTRADER_ACCOUNT_ID, // default account, see ACCOUNTS for more than one
+  CTRADER_ACCOUNTS, // JSON or path to a JSON file, see ACCOUNTS
+  CTRADER_ENV = 'demo', // 'demo' | 'live' | 'paper' (simulated broker, see PAPER BROKER)
+  CTRADER_TRANSPORT = 'json', // 'json' (WebSocket, 5036) | 'protobuf' (TLS, 5035), see ctrader-protobuf.js
+  CTRADER_WS_URL, // overrides the demo/live endpoint, e.g. a local mock server
+  CTRADER_PROTOBUF_URL, // same for the protobuf transport, tcp://host:port skips TLS
+  CTRADER_TOKEN_URL = 'https://openapi.ctrader.com/apps/token',
+  TOKEN_FILE = '/tmp/refresh_token.json',
+  RECONNECT_BASE_MS = 5000,
+  RECONNECT_MAX_MS = 60000,
+  HEARTBEAT_INTERVAL_MS = 10000,
+  NOTIFY_SINKS, // JSON or path to a JSON file, see NOTIFICATIONS
+  NOTIFY_DISCONNECT_MINUTES = 5,
+  TELEGRAM_API_URL = 'https://api.telegram.org',
+  SIGNAL_PROFILES, // JSON or path to a JSON file, see SIGNAL PARSER
+  WEBHOOK_ADAPTERS, // JSON or path to a JSON file, see WEBHOOK ADAPTERS
+  RISK_RULES, // JSON or path to a JSON file, see RISK ENGINE
+  API_KEYS, // JSON or path to a JSON file, see API KEYS
+  TOKEN_UPDATE_KEY,
+  SIGNATURE_TOLERANCE_SECONDS = 300,
+  DATA_DIR = './data', // mount a volume here so state survives restarts
+  IDEMPOTENCY_TTL_HOURS = 24,
+  JOURNAL_MAX_MB = 50, // journal.jsonl is rotated to journal-<time>.jsonl past this size
+  JOURNAL_RETENTION_DAYS = 90, // rotated journal files older than this are deleted
+  QUEUE_ORDERS = 'false', // 'true' queues every order received while disconnected
+  QUEUE_MAX_AGE_SECONDS = 300,
+  PAPER_TICKS_FILE, // CSV ticks or OHLC bars replayed in paper mode, see parsePriceCsv
+  PAPER_FEED = PAPER_TICKS_FILE ? 'csv' : 'demo', // 'csv' | 'demo' | 'live' prices for paper mode
+  PAPER_REPLAY_SPEED = 1,
+  PAPER_SYMBOLS, // JSON or path to a JSON file, extra symbols for CSV ticks
+  PAPER_BALANCE = 10000,
+  PAPER_CURRENCY = 'USD',
+  BACKTEST_MAX_BODY = '2mb', // POST /backtest carries the price history inline, longer runs use the CLI
+  BACKTEST_YIELD_TICKS = 1000, // Ticks replayed before other requests get a turn
   PORT = 8080
 } = process.env;
 
+// "node index.js backtest ..." runs a backtest instead of the server
+const CLI_COMMAND = process.argv[2] === 'backtest' ? 'backtest' : null;
+
 // WebSocket endpoints
 const WS_ENDPOINTS = {
   demo: 'wss://demo.ctraderapi.com:5036',
   live: 'wss://live.ctraderapi.com:5036'
 };
 
+// Protobuf endpoints: length-prefixed ProtoMessages over TLS
+const PROTOBUF_ENDPOINTS = {
+  demo: 'tls://demo.ctraderapi.com:5035',
+  live: 'tls://live.ctraderapi.com:5035'
+};
+
+// Message codecs: the client only ever sees { clientMsgId, payloadType, payload }
+const JSON_CODEC = {
+  encode: (message) => JSON.stringify(message),
+  decode: (data) => JSON.parse(data.toString())
+};
+
 // PayloadTypes (cTrader protocol)
 const MSG_TYPES = {
   APPLICATION_AUTH_REQ: 2100,
@@ -37,28 +91,111 @@ const MSG_TYPES = {
   ACCOUNT_AUTH_REQ: 2102,
   ACCOUNT_AUTH_RES: 2103,
   NEW_ORDER_REQ: 2106,
-  NEW_ORDER_RES: 2121,
+  CANCEL_ORDER_REQ: 2108,
+  AMEND_ORDER_REQ: 2109,
+  AMEND_POSITION_SLTP_REQ: 2110,
+  CLOSE_POSITION_REQ: 2111,
+  ASSET_LIST_REQ: 2112,
+  ASSET_LIST_RES: 2113,
+  SYMBOLS_LIST_REQ: 2114,
+  SYMBOLS_LIST_RES: 2115,
+  SYMBOL_BY_ID_REQ: 2116,
+  SYMBOL_BY_ID_RES: 2117,
+  SYMBOLS_FOR_CONVERSION_REQ: 2118,
+  SYMBOLS_FOR_CONVERSION_RES: 2119,
+  TRADER_REQ: 2121,
+  TRADER_RES: 2122,
+  RECONCILE_REQ: 2124,
+  RECONCILE_RES: 2125,
+  EXECUTION_EVENT: 2126,
+  SUBSCRIBE_SPOTS_REQ: 2127,
+  SUBSCRIBE_SPOTS_RES: 2128,
+  UNSUBSCRIBE_SPOTS_REQ: 2129,
+  UNSUBSCRIBE_SPOTS_RES: 2130,
+  SPOT_EVENT: 2131,
+  ORDER_ERROR_EVENT: 2132,
+  DEAL_LIST_REQ: 2133,
+  DEAL_LIST_RES: 2134,
+  GET_ACCOUNTS_BY_ACCESS_TOKEN_REQ: 2149,
+  GET_ACCOUNTS_BY_ACCESS_TOKEN_RES: 2150,
+  MARGIN_CALL_TRIGGER_EVENT: 2172,
   HEARTBEAT_EVENT: 51,
   ERROR_RES: 2142
 };
 
-// Symbol mapping (extend as needed)
-const SYMBOLS = {
-  'EURUSD': 1,
-  'GBPUSD': 2,
-  'USDJPY': 3,
-  'USDCHF': 4,
-  'AUDUSD': 5,
-  'USDCAD': 6,
-  'NZDUSD': 7
+// Order types (ProtoOAOrderType)
+const ORDER_TYPES = {
+  MARKET: 1,
+  LIMIT: 2,
+  STOP: 3,
+  STOP_LIMIT: 6
+};
+
+// Time in force (ProtoOATimeInForce)
+const TIME_IN_FORCE = {
+  GTD: 1, // Good till date
+  GTC: 2, // Good till cancel
+  IOC: 3, // Immediate or cancel
+  FOK: 4  // Fill or kill
+};
+
+// cTrader sends spot prices as integers in 1/100000 of a unit
+const SPOT_PRICE_SCALE = 100000;
+
+// Order volumes (and lotSize) are in 0.01 of a unit: 100000 = 1,000 units
+const VOLUME_SCALE = 100;
+
+// Position status (ProtoOAPositionStatus)
+const POSITION_STATUS = {
+  OPEN: 1,
+  CLOSED: 2
+};
+
+// Order status (ProtoOAOrderStatus)
+const ORDER_STATUS = {
+  ACCEPTED: 1,
+  FILLED: 2,
+  REJECTED: 3,
+  EXPIRED: 4,
+  CANCELLED: 5
+};
+
+// Order type of broker-generated SL/TP closing orders
+const STOP_LOSS_TAKE_PROFIT_ORDER = 4;
+
+// Execution types (ProtoOAExecutionType)
+const EXECUTION_TYPES = {
+  ORDER_ACCEPTED: 2,
+  ORDER_FILLED: 3,
+  ORDER_REPLACED: 4,
+  ORDER_CANCELLED: 5,
+  ORDER_EXPIRED: 6,
+  ORDER_REJECTED: 7,
+  ORDER_CANCEL_REJECTED: 8,
+  ORDER_PARTIAL_FILL: 11
+};
+
+// Default timeout for request/response round-trips
+const REQUEST_TIMEOUT_MS = 15000;
+
+// Symbol trading modes (ProtoOATradingMode)
+const TRADING_MODES = {
+  0: 'ENABLED',
+  1: 'DISABLED_WITHOUT_PENDINGS_EXECUTION',
+  2: 'DISABLED_WITH_PENDINGS_EXECUTION',
+  3: 'CLOSE_ONLY_MODE'
 };
 
+// Max symbol IDs per SYMBOL_BY_ID_REQ (keeps messages small)
+const SYMBOL_DETAILS_BATCH_SIZE = 100;
+
 /* ========================================
    🔐 SMART TOKEN MANAGER
    ======================================== */
 
-class SmartTokenManager {
+class SmartTokenManager extends EventEmitter {
   constructor() {
+    super();
     this.accessToken = null;
     this.refreshToken = CTRADER_REFRESH_TOKEN;
     this.expiryTime = 0;
@@ -75,7 +212,7 @@ class SmartTokenManager {
   async loadSavedToken() {
     try {
       const fs = await import('fs/promises');
-      const data = await fs.readFile('/tmp/refresh_token.json', 'utf8');
+      const data = await fs.readFile(TOKEN_FILE, 'utf8');
       const tokenData = JSON.parse(data);
       
       if (tokenData.refreshToken && tokenData.refreshToken !== this.refreshToken) {
@@ -132,7 +269,7 @@ class SmartTokenManager {
       console.log('🔄 Refreshing access token...');
       console.log('⚠️  Note: This will invalidate the current refresh token!');
       
-      const response = await fetch('https://openapi.ctrader.com/apps/token', {
+      const response = await fetch(CTRADER_TOKEN_URL, {
         method: 'POST',
         headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
         body: new URLSearchParams({
@@ -162,10 +299,8 @@ class SmartTokenManager {
         this.pendingRefreshToken = data.refreshToken; // Store for webhook
         console.log('🔄 Refresh token updated (old token invalidated)');
         
-        // Send notification to Make.com webhook if configured
-        if (process.env.MAKE_WEBHOOK_URL) {
-          this.notifyTokenRefresh(data.refreshToken);
-        }
+        // Notifier delivers this (MAKE_WEBHOOK_URL and any sink subscribed to token.refreshed)
+        this.emit('refreshed', { refreshToken: data.refreshToken });
         
         // Auto-update Fly.io secrets if running on Fly
         if (process.env.FLY_APP_NAME && process.env.FLY_API_TOKEN) {
@@ -201,8 +336,11 @@ class SmartTokenManager {
           this.retryCount >= this.maxRetries) {
         console.error('💀 Refresh token invalid or max retries reached');
         console.error('📝 Manual re-authorization required');
+        this.emit('refresh-failed', { error: error.message, final: true, attempts: this.retryCount });
         throw error;
       }
+
+      this.emit('refresh-failed', { error: error.message, final: false, attempts: this.retryCount });
       
       // Exponential backoff for retries
       const backoffTime = Math.min(60000 * Math.pow(2, this.retryCount), 300000);
@@ -218,28 +356,6 @@ class SmartTokenManager {
     }
   }
 
-  async notifyTokenRefresh(newRefreshToken) {
-    try {
-      console.log('📨 Sending token refresh notification to Make.com...');
-      
-      await fetch(process.env.MAKE_WEBHOOK_URL, {
-        method: 'POST',
-        headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({
-          event: 'token_refreshed',
-          timestamp: new Date().toISOString(),
-          app_name: process.env.FLY_APP_NAME || 'ctrader-order-bot',
-          refresh_token: newRefreshToken,
-          message: 'cTrader refresh token has been updated. Please update your secrets.'
-        })
-      });
-      
-      console.log('✅ Notification sent to Make.com');
-    } catch (error) {
-      console.error('❌ Failed to notify Make.com:', error);
-    }
-  }
-
   async updateFlySecret(newRefreshToken) {
     try {
       console.log('🔄 Auto-updating Fly.io refresh token secret...');
@@ -260,8 +376,8 @@ class SmartTokenManager {
             refreshToken: newRefreshToken,
             updatedAt: new Date().toISOString()
           };
-          await fs.writeFile('/tmp/refresh_token.json', JSON.stringify(tokenData));
-          console.log('📝 Token saved to /tmp/refresh_token.json');
+          await fs.writeFile(TOKEN_FILE, JSON.stringify(tokenData));
+          console.log(`📝 Token saved to ${TOKEN_FILE}`);
         } catch (e) {
           console.log('⚠️  Could not save token to file');
         }
@@ -364,18 +480,48 @@ class SmartTokenManager {
    🔌 ROBUST WEBSOCKET CLIENT
    ======================================== */
 
-class RobustcTraderClient {
-  constructor(tokenManager) {
+// Parsed once, however many accounts and connections use it
+let protobufCodec = null;
+
+class RobustcTraderClient extends EventEmitter {
+  /**
+   * options.env    - 'demo' | 'live' endpoint, 'paper' with options.broker
+   * options.broker - PaperBroker to talk to instead of a cTrader server
+   * options.transport - 'json' | 'protobuf', the paper broker always speaks JSON
+   * options.logMessages - false silences the per-message log (backtests)
+   */
+  constructor(tokenManager, { env = CTRADER_ENV, broker = null, accountId = CTRADER_ACCOUNT_ID, transport = CTRADER_TRANSPORT, logMessages = true } = {}) {
+    super();
     this.tokenManager = tokenManager;
+    this.env = env;
+    this.broker = broker;
+    this.transport = broker ? 'json' : transport;
+    this.codec = this.transport === 'protobuf' ? (protobufCodec ??= new ProtobufCodec()) : JSON_CODEC;
+    this.logMessages = logMessages;
     this.ws = null;
+    this.stopped = false; // set by disconnect(), no reconnects after that
     this.isAuthenticated = false;
-    this.accountId = CTRADER_ACCOUNT_ID;
+    this.isAppAuthenticated = false;
+    this.accountId = accountId;
+    this.accounts = new Map(); // accountId -> SharedAccountClient on this connection
     this.heartbeatInterval = null;
     this.reconnectTimeout = null;
-    this.messageHandlers = new Map();
+    this.pendingRequests = new Map(); // clientMsgId -> { resolve, reject, timeout, accept }
+    this.requestCounter = 0;
     this.connectionAttempts = 0;
     this.maxReconnectAttempts = 10;
     this.lastHeartbeatTime = 0;
+
+    // Symbol catalog (loaded from broker after account auth)
+    this.symbolsByName = new Map();
+    this.symbolsById = new Map();
+    this.symbolsLoadedAt = null;
+    this.isLoadingSymbols = false;
+    this.assetsById = new Map();
+
+    // Last known bid/ask per symbolId (from SPOT_EVENT)
+    this.quotes = new Map();
+    this.spotSubscriptions = new Map(); // symbolId -> reference count
   }
 
   async connect() {
@@ -386,10 +532,13 @@ class RobustcTraderClient {
       }
 
       this.connectionAttempts++;
-      const wsUrl = WS_ENDPOINTS[CTRADER_ENV];
-      console.log(`🔌 Connecting to ${CTRADER_ENV} WebSocket (attempt ${this.connectionAttempts})...`);
+      this.stopped = false;
+      const protobuf = this.transport === 'protobuf';
+      const url = protobuf ? CTRADER_PROTOBUF_URL || PROTOBUF_ENDPOINTS[this.env] : CTRADER_WS_URL || WS_ENDPOINTS[this.env];
+      console.log(`🔌 Connecting to ${this.env} ${this.broker ? 'broker' : protobuf ? 'Protobuf socket' : 'WebSocket'} (attempt ${this.connectionAttempts})...`);
       
-      this.ws = new WebSocket(wsUrl);
+      if (this.broker) this.ws = this.broker.connect();
+      else this.ws = protobuf ? new ProtobufSocket(url) : new WebSocket(url);
       
       this.ws.on('open', () => this.onOpen());
       this.ws.on('message', (data) => this.onMessage(data));
@@ -410,8 +559,8 @@ class RobustcTraderClient {
 
   onMessage(data) {
     try {
-      const message = JSON.parse(data.toString());
-      this.handleMessage(message);
+      const message = this.codec.decode(data);
+      this.accountFor(message).handleMessage(message);
     } catch (error) {
       console.error('❌ Failed to parse message:', error);
     }
@@ -419,9 +568,18 @@ class RobustcTraderClient {
 
   onClose(code, reason) {
     console.log(`⚠️  WebSocket closed (${code}): ${reason}`);
+    if (this.isAuthenticated) {
+      this.emit('disconnected', { code, reason: reason?.toString() || '' });
+    }
     this.isAuthenticated = false;
+    this.isAppAuthenticated = false;
     this.stopHeartbeat();
+    this.rejectPendingRequests(new Error(`Connection closed (${code})`));
+    for (const account of this.accounts.values()) account.onClose(code, reason);
     
+    // Closed on purpose by disconnect()
+    if (this.stopped) return;
+
     // Don't reconnect for certain close codes (auth failures)
     if (code === 1008 || code === 4000) {
       console.error('💀 Authentication failed, stopping reconnections');
@@ -435,23 +593,31 @@ class RobustcTraderClient {
     console.error('❌ WebSocket error:', error);
   }
 
+  // The paper broker takes any token, no need to refresh one
+  async getAccessToken() {
+    return this.broker ? 'paper' : this.tokenManager.getValidToken();
+  }
+
   async authenticateApplication() {
     try {
-      const token = await this.tokenManager.getValidToken();
-      
-      const authMessage = {
-        clientMsgId: `app_auth_${Date.now()}`,
-        payloadType: MSG_TYPES.APPLICATION_AUTH_REQ,
-        payload: {
-          clientId: CTRADER_CLIENT_ID,
-          clientSecret: CTRADER_CLIENT_SECRET,
-          accessToken: token
-        }
-      };
+      const token = await this.getAccessToken();
+
+      await this.request(MSG_TYPES.APPLICATION_AUTH_REQ, {
+        clientId: CTRADER_CLIENT_ID,
+        clientSecret: CTRADER_CLIENT_SECRET,
+        accessToken: token
+      });
+
+      this.isAppAuthenticated = true;
+      console.log('✅ Application authenticated - authenticating account...');
+      await this.authenticateAccount();
 
-      this.sendMessage(authMessage);
+      // Then every other account sharing the connection
+      for (const account of this.accounts.values()) {
+        await account.authenticateAccount();
+      }
     } catch (error) {
-      console.error('❌ Application auth failed:', error);
+      console.error('❌ Application auth failed:', error.message);
       
       // If token is invalid, we'll get a proper error from cTrader
       // Don't stop reconnections yet
@@ -464,66 +630,63 @@ class RobustcTraderClient {
 
   async authenticateAccount() {
     try {
-      const token = await this.tokenManager.getValidToken();
-      
-      const authMessage = {
-        clientMsgId: `acc_auth_${Date.now()}`,
-        payloadType: MSG_TYPES.ACCOUNT_AUTH_REQ,
-        payload: {
-          ctidTraderAccountId: parseInt(this.accountId),
-          accessToken: token
-        }
-      };
+      const token = await this.getAccessToken();
+
+      await this.request(MSG_TYPES.ACCOUNT_AUTH_REQ, {
+        ctidTraderAccountId: parseInt(this.accountId),
+        accessToken: token
+      });
 
-      this.sendMessage(authMessage);
+      console.log('✅ Account authenticated - starting heartbeat...');
+      this.isAuthenticated = true;
+      this.startHeartbeat();
+
+      // Spot subscriptions die with the connection, restore them
+      this.resubscribeSpots().catch(err => {
+        console.error('❌ Failed to restore spot subscriptions:', err.message);
+      });
+      this.emit('authenticated');
+
+      // Refresh symbol catalog on every (re)authentication
+      this.loadSymbols().catch(err => {
+        console.error('❌ Failed to load symbol catalog:', err.message);
+      });
     } catch (error) {
-      console.error('❌ Account auth failed:', error);
+      // CH_ACCESS_TOKEN_INVALID is handled by the ERROR_RES branch in handleMessage
+      console.error('❌ Account auth failed:', error.message);
+    }
+  }
+
+  // Accounts sharing the connection get their own messages: events by
+  // ctidTraderAccountId, responses without one (ERROR_RES) by clientMsgId
+  accountFor(message) {
+    const accountId = message.payload?.ctidTraderAccountId?.toString();
+
+    for (const account of this.accounts.values()) {
+      const owns = accountId
+        ? accountId === account.accountId
+        : account.pendingRequests.has(message.clientMsgId);
+      if (owns) return account;
     }
+    return this;
   }
 
   handleMessage(message) {
     const { payloadType, clientMsgId } = message;
 
     // Skip heartbeat spam in logs
-    if (payloadType !== MSG_TYPES.HEARTBEAT_EVENT) {
+    if (this.logMessages && payloadType !== MSG_TYPES.HEARTBEAT_EVENT) {
       console.log(`📨 Message: ${payloadType} (${clientMsgId || 'no-id'})`);
     }
 
-    switch (payloadType) {
-      case MSG_TYPES.APPLICATION_AUTH_RES:
-        if (message.payload?.errorCode) {
-          console.error('❌ Application auth failed:', message.payload.description);
-        } else {
-          console.log('✅ Application authenticated - authenticating account...');
-          this.authenticateAccount();
-        }
-        break;
-
-      case MSG_TYPES.ACCOUNT_AUTH_RES:
-        if (message.payload?.errorCode) {
-          console.error('❌ Account auth failed:', message.payload.description);
-          
-          // If token is invalid, try to refresh it
-          if (message.payload.errorCode === 'CH_ACCESS_TOKEN_INVALID') {
-            console.log('🔄 Access token invalid, refreshing...');
-            this.tokenManager.refreshAccessToken()
-              .then(() => {
-                console.log('✅ Token refreshed, reconnecting...');
-                this.ws.close(1000, 'Token refreshed');
-                this.scheduleReconnect();
-              })
-              .catch(err => {
-                console.error('❌ Token refresh failed:', err);
-              });
-          }
-        } else {
-          console.log('✅ Account authenticated - starting heartbeat...');
-          this.isAuthenticated = true;
-          this.startHeartbeat();
-        }
-        break;
+    // Settle the request waiting on this clientMsgId (if any)
+    if (clientMsgId && this.pendingRequests.has(clientMsgId)) {
+      this.settleRequest(clientMsgId, message);
+    }
 
-      case MSG_TYPES.NEW_ORDER_RES:
+    switch (payloadType) {
+      case MSG_TYPES.EXECUTION_EVENT:
+      case MSG_TYPES.ORDER_ERROR_EVENT:
         this.handleOrderResponse(message);
         break;
 
@@ -532,39 +695,213 @@ class RobustcTraderClient {
         
         // If we get an invalid token error, try to refresh
         if (message.payload?.errorCode === 'CH_ACCESS_TOKEN_INVALID') {
-          console.log('🔄 Access token invalid, refreshing...');
-          this.tokenManager.refreshAccessToken()
-            .then(() => {
-              console.log('✅ Token refreshed, reconnecting...');
-              this.ws.close(1000, 'Token refreshed');
-              this.scheduleReconnect();
-            })
-            .catch(err => {
-              console.error('❌ Token refresh failed:', err);
-            });
+          this.handleInvalidToken();
         }
         break;
 
+      case MSG_TYPES.SPOT_EVENT:
+        this.handleSpotEvent(message.payload);
+        break;
+
+      case MSG_TYPES.MARGIN_CALL_TRIGGER_EVENT:
+        console.warn('🚨 Margin call triggered:', message.payload);
+        this.emit('margin-call', message.payload);
+        break;
+
       case MSG_TYPES.HEARTBEAT_EVENT:
         this.lastHeartbeatTime = Date.now();
         break;
+    }
+  }
 
-      default:
-        // Handle custom message handlers
-        const handler = this.messageHandlers.get(clientMsgId);
-        if (handler) {
-          handler(message);
-          this.messageHandlers.delete(clientMsgId);
-        }
+  handleSpotEvent(spot) {
+    if (!spot?.symbolId) return;
+
+    // Spot events may carry only the side that changed
+    const previous = this.quotes.get(spot.symbolId) || {};
+    const quote = {
+      bid: spot.bid !== undefined ? spot.bid / SPOT_PRICE_SCALE : previous.bid,
+      ask: spot.ask !== undefined ? spot.ask / SPOT_PRICE_SCALE : previous.ask,
+      timestamp: Date.now()
+    };
+    this.quotes.set(spot.symbolId, quote);
+    this.emit('spot', { symbolId: spot.symbolId, ...quote });
+  }
+
+  // Resolve with the next complete quote for a symbol
+  waitForSpot(symbolId, timeoutMs = REQUEST_TIMEOUT_MS) {
+    return new Promise((resolve, reject) => {
+      const onSpot = (quote) => {
+        if (quote.symbolId !== symbolId || quote.bid === undefined || quote.ask === undefined) return;
+        clearTimeout(timer);
+        this.off('spot', onSpot);
+        resolve(quote);
+      };
+      const timer = setTimeout(() => {
+        this.off('spot', onSpot);
+        reject(new Error(`No price received for symbol ${symbolId}`));
+      }, timeoutMs);
+
+      this.on('spot', onSpot);
+    });
+  }
+
+  // Reference-counted spot subscriptions: only the first subscriber and the
+  // last unsubscriber talk to the broker. While disconnected the counts are
+  // kept and resubscribeSpots() restores them after account auth.
+  async subscribeSpots(symbolId) {
+    symbolId = parseInt(symbolId);
+    const count = this.spotSubscriptions.get(symbolId) || 0;
+    this.spotSubscriptions.set(symbolId, count + 1);
+
+    if (count > 0 || !this.isAuthenticated) return;
+
+    try {
+      await this.request(MSG_TYPES.SUBSCRIBE_SPOTS_REQ, {
+        ctidTraderAccountId: parseInt(this.accountId),
+        symbolId: [symbolId]
+      });
+    } catch (error) {
+      this.releaseSpotReference(symbolId);
+      throw error;
+    }
+  }
+
+  async unsubscribeSpots(symbolId) {
+    symbolId = parseInt(symbolId);
+    if (this.releaseSpotReference(symbolId) > 0 || !this.isAuthenticated) return;
+
+    await this.request(MSG_TYPES.UNSUBSCRIBE_SPOTS_REQ, {
+      ctidTraderAccountId: parseInt(this.accountId),
+      symbolId: [symbolId]
+    });
+  }
+
+  // Drop one reference, returns the remaining count
+  releaseSpotReference(symbolId) {
+    const count = (this.spotSubscriptions.get(symbolId) || 0) - 1;
+    if (count > 0) {
+      this.spotSubscriptions.set(symbolId, count);
+    } else {
+      this.spotSubscriptions.delete(symbolId);
+    }
+    return Math.max(count, 0);
+  }
+
+  async resubscribeSpots() {
+    const symbolIds = Array.from(this.spotSubscriptions.keys());
+    if (symbolIds.length === 0) return;
+
+    await this.request(MSG_TYPES.SUBSCRIBE_SPOTS_REQ, {
+      ctidTraderAccountId: parseInt(this.accountId),
+      symbolId: symbolIds
+    });
+    console.log(`📈 Restored spot subscriptions for ${symbolIds.length} symbols`);
+  }
+
+  isSubscribed(symbolId) {
+    return this.spotSubscriptions.has(parseInt(symbolId));
+  }
+
+  // Current bid/ask, briefly subscribing to spots when no fresh quote is cached
+  async getPrice(symbolId, { maxAge = 5000 } = {}) {
+    symbolId = parseInt(symbolId);
+    const cached = this.getQuote(symbolId);
+    const isLive = this.isSubscribed(symbolId) && this.isAuthenticated;
+
+    if (cached?.bid !== undefined && cached?.ask !== undefined &&
+        (isLive || Date.now() - cached.timestamp < maxAge)) {
+      return cached;
+    }
+
+    const nextSpot = this.waitForSpot(symbolId);
+    nextSpot.catch(() => {}); // Handled below, avoid unhandled rejection if subscribe fails
+
+    await this.subscribeSpots(symbolId);
+    try {
+      return await nextSpot;
+    } finally {
+      this.unsubscribeSpots(symbolId)
+        .catch(err => console.warn(`⚠️  Unsubscribe failed for ${symbolId}:`, err.message));
+    }
+  }
+
+  // Balance and deposit currency of the account
+  async getAccountInfo() {
+    const { trader } = await this.request(MSG_TYPES.TRADER_REQ, {
+      ctidTraderAccountId: parseInt(this.accountId)
+    });
+    const moneyDigits = trader.moneyDigits ?? 2;
+
+    return {
+      balance: trader.balance / Math.pow(10, moneyDigits),
+      depositAssetId: trader.depositAssetId,
+      currency: this.assetsById.get(trader.depositAssetId)?.name || null,
+      moneyDigits
+    };
+  }
+
+  // How many units of toAsset one unit of fromAsset is worth, following the broker's conversion chain
+  async getConversionRate(fromAssetId, toAssetId) {
+    if (fromAssetId === toAssetId) return 1;
+
+    const { symbol: chain = [] } = await this.request(MSG_TYPES.SYMBOLS_FOR_CONVERSION_REQ, {
+      ctidTraderAccountId: parseInt(this.accountId),
+      firstAssetId: fromAssetId,
+      lastAssetId: toAssetId
+    });
+    if (chain.length === 0) {
+      throw new Error(`No conversion path from asset ${fromAssetId} to ${toAssetId}`);
+    }
+
+    let rate = 1;
+    let current = fromAssetId;
+
+    for (const link of chain) {
+      const { bid, ask } = await this.getPrice(link.symbolId);
+      const mid = (bid + ask) / 2;
+
+      if (link.baseAssetId === current) {
+        rate *= mid;
+        current = link.quoteAssetId;
+      } else {
+        rate /= mid;
+        current = link.baseAssetId;
+      }
     }
+
+    return rate;
+  }
+
+  getQuote(symbolId) {
+    return this.quotes.get(parseInt(symbolId)) || null;
+  }
+
+  handleInvalidToken() {
+    console.log('🔄 Access token invalid, refreshing...');
+    this.tokenManager.refreshAccessToken()
+      .then(() => {
+        console.log('✅ Token refreshed, reconnecting...');
+        this.ws.close(1000, 'Token refreshed');
+        this.scheduleReconnect();
+      })
+      .catch(err => {
+        console.error('❌ Token refresh failed:', err);
+      });
   }
 
   handleOrderResponse(message) {
     if (message.payload?.errorCode) {
-      console.error('❌ Order failed:', message.payload.description);
-    } else {
+      console.error('❌ Order failed:', message.payload.description || message.payload.errorCode);
+    } else if (message.payload?.executionType === EXECUTION_TYPES.ORDER_FILLED) {
       console.log('✅ Order executed successfully');
     }
+
+    if (message.payloadType === MSG_TYPES.EXECUTION_EVENT) {
+      this.emit('execution', message.payload);
+    } else {
+      this.emit('order-error', message.payload);
+    }
   }
 
   handleError(message) {
@@ -579,294 +916,6556 @@ class RobustcTraderClient {
 
   sendMessage(message) {
     if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-      this.ws.send(JSON.stringify(message));
+      this.ws.send(this.codec.encode(message));
       return true;
     }
     console.warn('⚠️  Cannot send message: WebSocket not connected');
     return false;
   }
 
-  // Send trading order with proper error handling
-  async sendOrder(orderData) {
-    if (!this.isAuthenticated) {
-      throw new Error('Not authenticated - please wait for connection');
-    }
-
-    const orderMessage = {
-      clientMsgId: `order_${Date.now()}`,
-      payloadType: MSG_TYPES.NEW_ORDER_REQ,
-      payload: {
-        ctidTraderAccountId: parseInt(this.accountId),
-        symbolId: parseInt(orderData.symbolId),
-        orderType: parseInt(orderData.type) || 1, // 1=MARKET, 2=LIMIT, 3=STOP
-        tradeSide: parseInt(orderData.side), // 1=BUY, 2=SELL
-        volume: parseInt(orderData.volume),
-        ...(orderData.stopLoss && { stopLoss: parseFloat(orderData.stopLoss) }),
-        ...(orderData.takeProfit && { takeProfit: parseFloat(orderData.takeProfit) }),
-        ...(orderData.comment && { comment: orderData.comment.toString() })
-      }
-    };
+  /**
+   * Send a request and resolve with the payload of the response carrying the
+   * same clientMsgId. ERROR_RES, ORDER_ERROR_EVENT and any payload with an
+   * errorCode reject the promise (error.errorCode is set).
+   *
+   * options.timeout - ms to wait before rejecting (default 15s)
+   * options.accept  - (message) => boolean, return false to keep waiting for a
+   *                   later message with the same ID (e.g. ORDER_ACCEPTED → ORDER_FILLED)
+   */
+  request(payloadType, payload = {}, { timeout = REQUEST_TIMEOUT_MS, accept } = {}) {
+    // Unique across the accounts sharing a connection
+    const clientMsgId = `req_${this.accountId}_${Date.now()}_${++this.requestCounter}`;
 
     return new Promise((resolve, reject) => {
-      // Set timeout for order response
-      const timeout = setTimeout(() => {
-        this.messageHandlers.delete(orderMessage.clientMsgId);
-        reject(new Error('Order timeout - no response from broker'));
-      }, 15000); // 15 second timeout
-
-      // Set response handler
-      this.messageHandlers.set(orderMessage.clientMsgId, (response) => {
-        clearTimeout(timeout);
-        
-        if (response.payload?.errorCode) {
-          reject(new Error(`Order failed: ${response.payload.description}`));
-        } else {
-          resolve(response.payload);
-        }
-      });
+      const timer = setTimeout(() => {
+        this.pendingRequests.delete(clientMsgId);
+        reject(new Error(`Request timeout - no response from broker (${payloadType})`));
+      }, timeout);
 
-      // Send order
-      if (!this.sendMessage(orderMessage)) {
-        clearTimeout(timeout);
-        this.messageHandlers.delete(orderMessage.clientMsgId);
-        reject(new Error('Cannot send order - WebSocket not connected'));
+      this.pendingRequests.set(clientMsgId, { resolve, reject, timeout: timer, accept });
+
+      if (!this.sendMessage({ clientMsgId, payloadType, payload })) {
+        clearTimeout(timer);
+        this.pendingRequests.delete(clientMsgId);
+        reject(new Error('Cannot send request - WebSocket not connected'));
       }
     });
   }
 
-  startHeartbeat() {
-    this.stopHeartbeat();
-    
-    // Send heartbeat every 10 seconds (as per cTrader requirement)
-    this.heartbeatInterval = setInterval(() => {
-      if (this.ws && this.ws.readyState === WebSocket.OPEN) {
-        const heartbeat = {
-          clientMsgId: `heartbeat_${Date.now()}`,
-          payloadType: MSG_TYPES.HEARTBEAT_EVENT,
-          payload: {}
-        };
-        
-        this.sendMessage(heartbeat);
-        
-        // Check if we're receiving heartbeat responses
-        if (Date.now() - this.lastHeartbeatTime > 30000) {
-          console.warn('⚠️  No heartbeat response for 30s, connection may be stale');
-        }
-      }
-    }, 10000); // Every 10 seconds (cTrader requirement)
-    
-    console.log('💓 Heartbeat started (every 10 seconds)');
-  }
+  settleRequest(clientMsgId, message) {
+    const pending = this.pendingRequests.get(clientMsgId);
+    const { payloadType, payload = {} } = message;
 
-  stopHeartbeat() {
-    if (this.heartbeatInterval) {
-      clearInterval(this.heartbeatInterval);
-      this.heartbeatInterval = null;
-      console.log('💓 Heartbeat stopped');
+    const isError = payloadType === MSG_TYPES.ERROR_RES ||
+                    payloadType === MSG_TYPES.ORDER_ERROR_EVENT ||
+                    !!payload.errorCode;
+
+    if (!isError && pending.accept && !pending.accept(message)) {
+      return; // Intermediate message, keep waiting
     }
-  }
 
-  scheduleReconnect() {
-    if (this.reconnectTimeout) return;
+    clearTimeout(pending.timeout);
+    this.pendingRequests.delete(clientMsgId);
 
-    // Exponential backoff: 5s, 10s, 20s, 40s, 60s max
-    const backoffTime = Math.min(5000 * Math.pow(2, this.connectionAttempts - 1), 60000);
-    
-    console.log(`⏳ Reconnecting in ${backoffTime/1000} seconds...`);
-    this.reconnectTimeout = setTimeout(() => {
-      this.reconnectTimeout = null;
-      this.connect();
-    }, backoffTime);
+    if (isError) {
+      const error = new Error(`${payload.errorCode || 'ERROR'}: ${payload.description || 'Request failed'}`);
+      error.errorCode = payload.errorCode;
+      pending.reject(error);
+    } else {
+      pending.resolve(payload);
+    }
   }
 
-  disconnect() {
-    console.log('⏹️  Disconnecting cTrader client...');
-    
-    this.stopHeartbeat();
-    
-    if (this.reconnectTimeout) {
-      clearTimeout(this.reconnectTimeout);
-      this.reconnectTimeout = null;
+  rejectPendingRequests(error) {
+    for (const [clientMsgId, pending] of this.pendingRequests) {
+      clearTimeout(pending.timeout);
+      pending.reject(error);
+      this.pendingRequests.delete(clientMsgId);
     }
+  }
 
-    if (this.ws) {
-      this.ws.close(1000, 'Normal closure');
+  // Fetch symbol list + details from the broker and rebuild the catalog
+  async loadSymbols() {
+    if (this.isLoadingSymbols) return;
+    this.isLoadingSymbols = true;
+
+    try {
+      console.log('📚 Loading symbol catalog...');
+      const accountId = parseInt(this.accountId);
+
+      const assets = await this.request(MSG_TYPES.ASSET_LIST_REQ, {
+        ctidTraderAccountId: accountId
+      });
+      this.assetsById = new Map((assets.asset || []).map(asset => [asset.assetId, asset]));
+
+      const list = await this.request(MSG_TYPES.SYMBOLS_LIST_REQ, {
+        ctidTraderAccountId: accountId
+      });
+
+      const lightSymbols = list.symbol || [];
+      const details = new Map();
+
+      for (let i = 0; i < lightSymbols.length; i += SYMBOL_DETAILS_BATCH_SIZE) {
+        const batch = lightSymbols.slice(i, i + SYMBOL_DETAILS_BATCH_SIZE);
+        const res = await this.request(MSG_TYPES.SYMBOL_BY_ID_REQ, {
+          ctidTraderAccountId: accountId,
+          symbolId: batch.map(s => s.symbolId)
+        });
+        for (const symbol of res.symbol || []) {
+          details.set(symbol.symbolId, symbol);
+        }
+      }
+
+      const byName = new Map();
+      const byId = new Map();
+
+      for (const light of lightSymbols) {
+        const full = details.get(light.symbolId) || {};
+        const symbol = {
+          symbolId: light.symbolId,
+          name: light.symbolName,
+          description: light.description || null,
+          enabled: light.enabled !== false,
+          baseAssetId: light.baseAssetId ?? null,
+          quoteAssetId: light.quoteAssetId ?? null,
+          digits: full.digits ?? null,
+          pipPosition: full.pipPosition ?? null,
+          lotSize: full.lotSize ?? null,
+          minVolume: full.minVolume ?? null,
+          maxVolume: full.maxVolume ?? null,
+          stepVolume: full.stepVolume ?? null,
+          tradingMode: TRADING_MODES[full.tradingMode ?? 0] || 'UNKNOWN'
+        };
+        byName.set(symbol.name.toUpperCase(), symbol);
+        byId.set(symbol.symbolId, symbol);
+      }
+
+      this.symbolsByName = byName;
+      this.symbolsById = byId;
+      this.symbolsLoadedAt = Date.now();
+
+      console.log(`✅ Symbol catalog loaded (${byId.size} symbols)`);
+      this.emit('symbols-loaded');
+    } finally {
+      this.isLoadingSymbols = false;
     }
-    
-    this.isAuthenticated = false;
   }
 
-  isReady() {
-    return this.ws && 
-           this.ws.readyState === WebSocket.OPEN && 
-           this.isAuthenticated;
+  // Resolve a symbol by name ("EURUSD") or by numeric ID
+  getSymbol(nameOrId) {
+    if (nameOrId === undefined || nameOrId === null || nameOrId === '') return null;
+
+    const byName = this.symbolsByName.get(nameOrId.toString().toUpperCase());
+    if (byName) return byName;
+
+    // Only all-digit values are ids, "1INCHUSD" is not symbol 1
+    if (!/^\d+$/.test(nameOrId.toString().trim())) return null;
+    return this.symbolsById.get(parseInt(nameOrId)) || null;
   }
 
-  getStatus() {
-    return {
-      connected: this.ws?.readyState === WebSocket.OPEN,
-      authenticated: this.isAuthenticated,
-      connectionAttempts: this.connectionAttempts,
-      lastHeartbeat: this.lastHeartbeatTime ? new Date(this.lastHeartbeatTime).toISOString() : null
-    };
+  listSymbols() {
+    return Array.from(this.symbolsById.values())
+      .sort((a, b) => a.name.localeCompare(b.name));
   }
-}
 
-/* ========================================
-   🌐 HTTP SERVER
-   ======================================== */
+  hasSymbols() {
+    return this.symbolsById.size > 0;
+  }
 
-// Validate environment variables
-function validateConfig() {
-  const required = [
-    'CTRADER_CLIENT_ID',
-    'CTRADER_CLIENT_SECRET', 
-    'CTRADER_REFRESH_TOKEN',
-    'CTRADER_ACCOUNT_ID'
-  ];
+  // Send trading order with proper error handling
+  async sendOrder(orderData) {
+    if (!this.isAuthenticated) {
+      throw new Error('Not authenticated - please wait for connection');
+    }
+
+    const orderType = parseInt(orderData.type) || ORDER_TYPES.MARKET;
+
+    const payload = {
+      ctidTraderAccountId: parseInt(this.accountId),
+      symbolId: parseInt(orderData.symbolId),
+      orderType,
+      tradeSide: parseInt(orderData.side), // 1=BUY, 2=SELL
+      volume: parseInt(orderData.volume),
+      // LIMIT uses limitPrice, STOP and STOP_LIMIT trigger on stopPrice
+      ...(orderType === ORDER_TYPES.LIMIT && { limitPrice: parseFloat(orderData.price) }),
+      ...((orderType === ORDER_TYPES.STOP || orderType === ORDER_TYPES.STOP_LIMIT) && { stopPrice: parseFloat(orderData.price) }),
+      ...(orderData.slippageInPoints && { slippageInPoints: parseInt(orderData.slippageInPoints) }),
+      ...(orderData.timeInForce && { timeInForce: orderData.timeInForce }),
+      ...(orderData.expirationTimestamp && { expirationTimestamp: orderData.expirationTimestamp }),
+      ...(orderData.stopLoss && { stopLoss: parseFloat(orderData.stopLoss) }),
+      ...(orderData.takeProfit && { takeProfit: parseFloat(orderData.takeProfit) }),
+      ...(orderData.relativeStopLoss && { relativeStopLoss: parseInt(orderData.relativeStopLoss) }),
+      ...(orderData.relativeTakeProfit && { relativeTakeProfit: parseInt(orderData.relativeTakeProfit) }),
+      ...(orderData.comment && { comment: orderData.comment.toString() })
+    };
+
+    // Market orders resolve on fill, pending orders once accepted on the book.
+    // A cancel, expiry or rejection ends the order too (an unfilled IOC/FOK order, a paper expiry)
+    const doneOn = orderType === ORDER_TYPES.MARKET
+      ? [EXECUTION_TYPES.ORDER_FILLED, EXECUTION_TYPES.ORDER_PARTIAL_FILL]
+      : [EXECUTION_TYPES.ORDER_ACCEPTED, EXECUTION_TYPES.ORDER_FILLED];
+    const failOn = [EXECUTION_TYPES.ORDER_CANCELLED, EXECUTION_TYPES.ORDER_EXPIRED, EXECUTION_TYPES.ORDER_REJECTED];
+
+    try {
+      const result = await this.request(MSG_TYPES.NEW_ORDER_REQ, payload, {
+        accept: (message) => [...doneOn, ...failOn].includes(message.payload?.executionType)
+      });
+      if (failOn.includes(result.executionType)) {
+        const executionType = Object.keys(EXECUTION_TYPES).find(name => EXECUTION_TYPES[name] === result.executionType);
+        const error = new Error(`${executionType}: ${result.order?.orderId ? `order ${result.order.orderId} ` : ''}ended without a fill`);
+        error.errorCode = executionType;
+        throw error;
+      }
+      return result;
+    } catch (error) {
+      error.message = `Order failed: ${error.message}`;
+      throw error;
+    }
+  }
+
+  // Fetch open positions and pending orders
+  async reconcile() {
+    if (!this.isAuthenticated) {
+      throw new Error('Not authenticated - please wait for connection');
+    }
+
+    const res = await this.request(MSG_TYPES.RECONCILE_REQ, {
+      ctidTraderAccountId: parseInt(this.accountId)
+    });
+
+    return {
+      positions: res.position || [],
+      orders: res.order || []
+    };
+  }
+
+  // Accounts the access token grants, live and demo
+  async listAccounts() {
+    const { ctidTraderAccount = [] } = await this.request(MSG_TYPES.GET_ACCOUNTS_BY_ACCESS_TOKEN_REQ, {
+      accessToken: await this.getAccessToken()
+    });
+
+    return ctidTraderAccount.map(account => ({
+      accountId: account.ctidTraderAccountId.toString(),
+      isLive: !!account.isLive,
+      traderLogin: account.traderLogin ?? null
+    }));
+  }
+
+  // Deals executed between two timestamps (ms)
+  async getDeals(fromTimestamp, toTimestamp = Date.now()) {
+    const { deal = [] } = await this.request(MSG_TYPES.DEAL_LIST_REQ, {
+      ctidTraderAccountId: parseInt(this.accountId),
+      fromTimestamp,
+      toTimestamp
+    });
+    return deal;
+  }
+
+  async getPositions() {
+    const { positions } = await this.reconcile();
+    return positions.map(position => this.formatPosition(position));
+  }
+
+  async getPosition(positionId) {
+    const positions = await this.getPositions();
+    return positions.find(p => p.positionId === parseInt(positionId)) || null;
+  }
+
+  formatPosition(position) {
+    const trade = position.tradeData || {};
+    const symbol = this.symbolsById.get(trade.symbolId);
+
+    return {
+      positionId: position.positionId,
+      symbolId: trade.symbolId,
+      symbol: symbol?.name || null,
+      side: trade.tradeSide,
+      volume: trade.volume,
+      entryPrice: position.price ?? null,
+      stopLoss: position.stopLoss ?? null,
+      takeProfit: position.takeProfit ?? null,
+      trailingStopLoss: !!position.trailingStopLoss,
+      swap: position.swap ?? 0,
+      commission: position.commission ?? 0,
+      label: trade.label || null,
+      comment: trade.comment || null,
+      openedAt: trade.openTimestamp ? new Date(parseInt(trade.openTimestamp)).toISOString() : null
+    };
+  }
+
+  // Working (pending) orders, excluding SL/TP closing orders
+  async getPendingOrders() {
+    const { orders } = await this.reconcile();
+    return orders
+      .filter(order => !order.closingOrder && order.orderType !== ORDER_TYPES.MARKET)
+      .map(order => this.formatOrder(order));
+  }
+
+  async getPendingOrder(orderId) {
+    const orders = await this.getPendingOrders();
+    return orders.find(o => o.orderId === parseInt(orderId)) || null;
+  }
+
+  formatOrder(order) {
+    const trade = order.tradeData || {};
+    const symbol = this.symbolsById.get(trade.symbolId);
+
+    return {
+      orderId: order.orderId,
+      symbolId: trade.symbolId,
+      symbol: symbol?.name || null,
+      side: trade.tradeSide,
+      volume: trade.volume,
+      type: order.orderType,
+      price: order.orderType === ORDER_TYPES.LIMIT ? order.limitPrice ?? null : order.stopPrice ?? null,
+      stopLoss: order.stopLoss ?? null,
+      takeProfit: order.takeProfit ?? null,
+      timeInForce: order.timeInForce ?? null,
+      expirationTimestamp: order.expirationTimestamp ? parseInt(order.expirationTimestamp) : null,
+      slippageInPoints: order.slippageInPoints ?? null,
+      label: trade.label || null,
+      comment: trade.comment || null,
+      createdAt: trade.openTimestamp ? new Date(parseInt(trade.openTimestamp)).toISOString() : null
+    };
+  }
+
+  // Amend a working order (send the full set of levels, the broker replaces them)
+  async amendOrder(orderId, { type, volume, price, stopLoss, takeProfit, expirationTimestamp, slippageInPoints }) {
+    try {
+      return await this.request(MSG_TYPES.AMEND_ORDER_REQ, {
+        ctidTraderAccountId: parseInt(this.accountId),
+        orderId: parseInt(orderId),
+        ...(volume && { volume: parseInt(volume) }),
+        ...(price && type === ORDER_TYPES.LIMIT && { limitPrice: parseFloat(price) }),
+        ...(price && type !== ORDER_TYPES.LIMIT && { stopPrice: parseFloat(price) }),
+        ...(stopLoss && { stopLoss: parseFloat(stopLoss) }),
+        ...(takeProfit && { takeProfit: parseFloat(takeProfit) }),
+        ...(expirationTimestamp && { expirationTimestamp }),
+        ...(slippageInPoints && { slippageInPoints: parseInt(slippageInPoints) })
+      }, {
+        accept: (message) => message.payload?.executionType === EXECUTION_TYPES.ORDER_REPLACED
+      });
+    } catch (error) {
+      error.message = `Amend failed: ${error.message}`;
+      throw error;
+    }
+  }
+
+  async cancelOrder(orderId) {
+    try {
+      return await this.request(MSG_TYPES.CANCEL_ORDER_REQ, {
+        ctidTraderAccountId: parseInt(this.accountId),
+        orderId: parseInt(orderId)
+      }, {
+        accept: (message) => message.payload?.executionType === EXECUTION_TYPES.ORDER_CANCELLED
+      });
+    } catch (error) {
+      error.message = `Cancel failed: ${error.message}`;
+      throw error;
+    }
+  }
+
+  // Close a position, fully or partially (volume in the same units as orders)
+  async closePosition(positionId, volume) {
+    try {
+      return await this.request(MSG_TYPES.CLOSE_POSITION_REQ, {
+        ctidTraderAccountId: parseInt(this.accountId),
+        positionId: parseInt(positionId),
+        volume: parseInt(volume)
+      }, {
+        accept: (message) => [EXECUTION_TYPES.ORDER_FILLED, EXECUTION_TYPES.ORDER_PARTIAL_FILL]
+          .includes(message.payload?.executionType)
+      });
+    } catch (error) {
+      error.message = `Close failed: ${error.message}`;
+      throw error;
+    }
+  }
+
+  // Replace SL/TP of a position (an omitted level is removed by the broker)
+  async amendPositionSltp(positionId, { stopLoss, takeProfit }) {
+    try {
+      return await this.request(MSG_TYPES.AMEND_POSITION_SLTP_REQ, {
+        ctidTraderAccountId: parseInt(this.accountId),
+        positionId: parseInt(positionId),
+        ...(stopLoss && { stopLoss: parseFloat(stopLoss) }),
+        ...(takeProfit && { takeProfit: parseFloat(takeProfit) })
+      }, {
+        accept: (message) => message.payload?.executionType === EXECUTION_TYPES.ORDER_REPLACED
+      });
+    } catch (error) {
+      error.message = `Amend failed: ${error.message}`;
+      throw error;
+    }
+  }
+
+  startHeartbeat() {
+    this.stopHeartbeat();
+    
+    // cTrader expects a heartbeat at least every 10 seconds (HEARTBEAT_INTERVAL_MS)
+    this.heartbeatInterval = setInterval(() => {
+      if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+        const heartbeat = {
+          clientMsgId: `heartbeat_${Date.now()}`,
+          payloadType: MSG_TYPES.HEARTBEAT_EVENT,
+          payload: {}
+        };
+        
+        this.sendMessage(heartbeat);
+        
+        // Check if we're receiving heartbeat responses
+        if (Date.now() - this.lastHeartbeatTime > 30000) {
+          console.warn('⚠️  No heartbeat response for 30s, connection may be stale');
+        }
+      }
+    }, parseInt(HEARTBEAT_INTERVAL_MS));
+    
+    console.log(`💓 Heartbeat started (every ${parseInt(HEARTBEAT_INTERVAL_MS) / 1000} seconds)`);
+  }
+
+  stopHeartbeat() {
+    if (this.heartbeatInterval) {
+      clearInterval(this.heartbeatInterval);
+      this.heartbeatInterval = null;
+      console.log('💓 Heartbeat stopped');
+    }
+  }
+
+  scheduleReconnect() {
+    if (this.reconnectTimeout) return;
+
+    // Exponential backoff: 5s, 10s, 20s, 40s, 60s max (RECONNECT_BASE_MS / RECONNECT_MAX_MS)
+    const backoffTime = Math.min(parseInt(RECONNECT_BASE_MS) * Math.pow(2, this.connectionAttempts - 1), parseInt(RECONNECT_MAX_MS));
+    
+    console.log(`⏳ Reconnecting in ${backoffTime/1000} seconds...`);
+    this.reconnectTimeout = setTimeout(() => {
+      this.reconnectTimeout = null;
+      this.connect();
+    }, backoffTime);
+  }
+
+  disconnect() {
+    console.log('⏹️  Disconnecting cTrader client...');
+    
+    this.stopped = true;
+    this.stopHeartbeat();
+    
+    if (this.reconnectTimeout) {
+      clearTimeout(this.reconnectTimeout);
+      this.reconnectTimeout = null;
+    }
+
+    this.rejectPendingRequests(new Error('Client disconnected'));
+
+    if (this.ws) {
+      this.ws.close(1000, 'Normal closure');
+    }
+    
+    this.isAuthenticated = false;
+  }
+
+  isReady() {
+    return this.ws && 
+           this.ws.readyState === WebSocket.OPEN && 
+           this.isAuthenticated;
+  }
+
+  getStatus() {
+    return {
+      connected: this.ws?.readyState === WebSocket.OPEN,
+      transport: this.transport,
+      authenticated: this.isAuthenticated,
+      connectionAttempts: this.connectionAttempts,
+      lastHeartbeat: this.lastHeartbeatTime ? new Date(this.lastHeartbeatTime).toISOString() : null,
+      symbols: this.symbolsById.size,
+      spotSubscriptions: this.spotSubscriptions.size,
+      symbolsLoadedAt: this.symbolsLoadedAt ? new Date(this.symbolsLoadedAt).toISOString() : null
+    };
+  }
+}
+
+/**
+ * Another account on a RobustcTraderClient's connection: once the application
+ * is authenticated, cTrader takes any number of account auths on one socket.
+ * The connection keeps the socket, heartbeat, reconnects and token refreshes,
+ * this client its own catalog, quotes, spot subscriptions and events.
+ */
+class SharedAccountClient extends RobustcTraderClient {
+  constructor(connection, accountId) {
+    super(connection.tokenManager, {
+      env: connection.env,
+      broker: connection.broker,
+      accountId,
+      transport: connection.transport,
+      logMessages: connection.logMessages
+    });
+    this.connection = connection;
+    connection.accounts.set(accountId, this);
+  }
+
+  get ws() {
+    return this.connection.ws;
+  }
+
+  set ws(socket) {
+    // Always the connection's socket
+  }
+
+  // Re-authenticated by the connection after every (re)connect
+  async connect() {
+    if (this.connection.isAppAuthenticated) await this.authenticateAccount();
+  }
+
+  onClose(code, reason) {
+    if (this.isAuthenticated) {
+      this.emit('disconnected', { code, reason: reason?.toString() || '' });
+    }
+    this.isAuthenticated = false;
+    this.rejectPendingRequests(new Error(`Connection closed (${code})`));
+  }
+
+  handleInvalidToken() {
+    this.connection.handleInvalidToken();
+  }
+
+  startHeartbeat() {}
+
+  stopHeartbeat() {}
+
+  scheduleReconnect() {}
+
+  disconnect() {
+    this.connection.accounts.delete(this.accountId);
+    this.rejectPendingRequests(new Error('Client disconnected'));
+    this.isAuthenticated = false;
+  }
+
+  getStatus() {
+    const { connectionAttempts, lastHeartbeat } = this.connection.getStatus();
+    return { ...super.getStatus(), connectionAttempts, lastHeartbeat };
+  }
+}
+
+/* ========================================
+   📝 PAPER BROKER
+   ======================================== */
+
+// CTRADER_ENV=paper swaps the cTrader connection for an in-process broker that
+// answers the same JSON messages, so /order, /positions and everything built
+// on them work unchanged. Prices come from a CSV tick file (PAPER_TICKS_FILE)
+// or from the spot stream of a real demo/live account (PAPER_FEED).
+// Fills happen at bid/ask: no slippage, partial fills, swap, commission or margin.
+
+// Catalog used with CSV ticks, PAPER_SYMBOLS adds or overrides entries
+const FX_PAPER_SYMBOL = { digits: 5, pipPosition: 4, lotSize: 10000000, minVolume: 100000, maxVolume: 10000000000, stepVolume: 100000 };
+
+const DEFAULT_PAPER_SYMBOLS = [
+  { ...FX_PAPER_SYMBOL, name: 'EURUSD', base: 'EUR', quote: 'USD' },
+  { ...FX_PAPER_SYMBOL, name: 'GBPUSD', base: 'GBP', quote: 'USD' },
+  { ...FX_PAPER_SYMBOL, name: 'AUDUSD', base: 'AUD', quote: 'USD' },
+  { ...FX_PAPER_SYMBOL, name: 'NZDUSD', base: 'NZD', quote: 'USD' },
+  { ...FX_PAPER_SYMBOL, name: 'USDCHF', base: 'USD', quote: 'CHF' },
+  { ...FX_PAPER_SYMBOL, name: 'USDCAD', base: 'USD', quote: 'CAD' },
+  { ...FX_PAPER_SYMBOL, name: 'EURGBP', base: 'EUR', quote: 'GBP' },
+  { ...FX_PAPER_SYMBOL, name: 'USDJPY', base: 'USD', quote: 'JPY', digits: 3, pipPosition: 2 },
+  { ...FX_PAPER_SYMBOL, name: 'EURJPY', base: 'EUR', quote: 'JPY', digits: 3, pipPosition: 2 },
+  { name: 'XAUUSD', base: 'XAU', quote: 'USD', digits: 2, pipPosition: 1, lotSize: 10000, minVolume: 100, maxVolume: 10000000, stepVolume: 100 }
+];
+
+// Turn { name, base, quote, digits, ... } definitions into broker assets and symbols
+function buildPaperCatalog(definitions) {
+  const byName = new Map();
+  for (const definition of definitions) {
+    byName.set(definition.name.toUpperCase(), { ...byName.get(definition.name.toUpperCase()), ...definition });
+  }
+
+  const assets = new Map();
+  const assetId = (name) => {
+    if (!assets.has(name)) assets.set(name, { assetId: assets.size + 1, name, displayName: name, digits: 2 });
+    return assets.get(name).assetId;
+  };
+
+  const symbols = Array.from(byName.values()).map((definition, index) => ({
+    ...FX_PAPER_SYMBOL,
+    ...definition,
+    symbolId: index + 1,
+    symbolName: definition.name.toUpperCase(),
+    baseAssetId: assetId(definition.base),
+    quoteAssetId: assetId(definition.quote)
+  }));
+
+  return { assets: Array.from(assets.values()), symbols };
+}
+
+// Parse price history: "timestamp,symbol,bid[,ask]" ticks or "timestamp,symbol,open,high,low,close"
+// bars (ISO or epoch ms timestamps, header optional, the symbol column may be
+// left out for single-symbol files). Bars become four ticks spread over the
+// bar: open, the extreme nearer the open first, then the other one, then close.
+// Rows without an ask get ask: null, the caller decides on the spread.
+function parsePriceCsv(text, { symbol = null } = {}) {
+  const lines = text.split(/\r?\n/).filter(line => line.trim());
+  if (lines.length === 0) return [];
+
+  const splitRow = (line) => line.split(/[,;\t]/).map(cell => cell.trim());
+  const first = splitRow(lines[0]);
+  const header = first.every(cell => Number.isNaN(parseFloat(cell))) ? first.map(cell => cell.toLowerCase()) : null;
+  const column = (...names) => header ? header.findIndex(name => names.includes(name)) : -1;
+
+  let timeColumn = 0;
+  let symbolColumn = header ? column('symbol', 'instrument') : Number.isNaN(parseFloat(first[1])) ? 1 : -1;
+  let fields;
+  if (header) {
+    timeColumn = Math.max(column('timestamp', 'time', 'date', 'datetime'), 0);
+    fields = column('open') >= 0
+      ? { open: column('open'), high: column('high'), low: column('low'), close: column('close') }
+      : { bid: column('bid', 'price'), ask: column('ask') };
+  } else {
+    const start = symbolColumn >= 0 ? 2 : 1;
+    fields = first.length - start >= 4
+      ? { open: start, high: start + 1, low: start + 2, close: start + 3 }
+      : { bid: start, ask: first.length > start + 1 ? start + 1 : -1 };
+  }
+
+  const rows = [];
+  for (const line of header ? lines.slice(1) : lines) {
+    const cells = splitRow(line);
+    const timestamp = parseTimestamp(cells[timeColumn] || '');
+    const name = (symbolColumn >= 0 ? cells[symbolColumn] : symbol)?.toUpperCase();
+    const value = (index) => index >= 0 && cells[index] !== undefined && cells[index] !== '' ? parseFloat(cells[index]) : null;
+    if (timestamp === null || !name) continue;
+
+    if (fields.open !== undefined) {
+      const bar = { open: value(fields.open), high: value(fields.high), low: value(fields.low), close: value(fields.close) };
+      if (Object.values(bar).some(price => !Number.isFinite(price))) continue;
+      rows.push({ timestamp, symbol: name, bar });
+    } else {
+      const bid = value(fields.bid);
+      if (!Number.isFinite(bid)) continue;
+      rows.push({ timestamp, symbol: name, bid, ask: value(fields.ask) });
+    }
+  }
+
+  // Bar length per symbol: the smallest gap between two bars (1 minute for a single bar)
+  const barLength = new Map();
+  const lastBar = new Map();
+  for (const row of [...rows].sort((a, b) => a.timestamp - b.timestamp)) {
+    if (!row.bar) continue;
+    const gap = row.timestamp - (lastBar.get(row.symbol) ?? -Infinity);
+    if (gap > 0 && gap < (barLength.get(row.symbol) ?? Infinity)) barLength.set(row.symbol, gap);
+    lastBar.set(row.symbol, row.timestamp);
+  }
+
+  const ticks = rows.flatMap(row => {
+    if (!row.bar) return [row];
+
+    const { open, high, low, close } = row.bar;
+    const length = Number.isFinite(barLength.get(row.symbol)) ? barLength.get(row.symbol) : 60000;
+    const path = close >= open ? [open, low, high, close] : [open, high, low, close];
+    return path.map((bid, i) => ({
+      timestamp: row.timestamp + Math.floor(i * (length - 1) / 3),
+      symbol: row.symbol,
+      bid,
+      ask: null
+    }));
+  });
+
+  return ticks.sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// Default paper catalog plus PAPER_SYMBOLS
+function paperCatalog() {
+  const extra = loadJsonConfig(PAPER_SYMBOLS, 'PAPER_SYMBOLS');
+  return buildPaperCatalog([...DEFAULT_PAPER_SYMBOLS, ...(Array.isArray(extra) ? extra : [])]);
+}
+
+// The catalog a connected client loaded, in broker format
+function clientCatalog(client) {
+  return {
+    assets: Array.from(client.assetsById.values()),
+    symbols: client.listSymbols().map(symbol => ({ ...symbol, symbolName: symbol.name }))
+  };
+}
+
+// Stands in for the WebSocket: the client sees the same open/message/close events
+class PaperSocket extends EventEmitter {
+  constructor(broker) {
+    super();
+    this.broker = broker;
+    this.readyState = WebSocket.OPEN;
+    this.subscriptions = new Set(); // spot symbolIds
+  }
+
+  send(data) {
+    const message = JSON.parse(data);
+    setImmediate(() => this.broker.handle(this, message)
+      .catch(error => console.error('❌ Paper broker error:', error)));
+  }
+
+  deliver(message) {
+    if (this.readyState !== WebSocket.OPEN) return;
+    setImmediate(() => this.emit('message', JSON.stringify(message)));
+  }
+
+  close(code = 1000, reason = '') {
+    if (this.readyState !== WebSocket.OPEN) return;
+    this.readyState = WebSocket.CLOSED;
+    this.broker.sockets.delete(this);
+    setImmediate(() => this.emit('close', code, Buffer.from(reason)));
+  }
+
+  terminate() {
+    this.close(1006);
+  }
+}
+
+class PaperBroker {
+  /**
+   * options.balance  - starting balance in the deposit currency
+   * options.currency - deposit currency (must be an asset of the catalog, added otherwise)
+   * options.persist  - JsonFileStore name for the account, null keeps it in memory
+   * options.now      - clock, replaced by the tick time when backtesting
+   */
+  constructor({ balance = 10000, currency = 'USD', persist = null, now = () => Date.now() } = {}) {
+    this.currency = currency.toUpperCase();
+    this.now = now;
+    this.feed = null;
+    this.sockets = new Set();
+    this.assets = [];
+    this.symbols = new Map(); // symbolId -> symbol
+    this.quotes = new Map(); // symbolId -> { bid, ask, timestamp }
+    this.depositAssetId = null;
+    this.unconverted = new Set(); // symbols already warned about missing conversion prices
+    this.ready = new Promise(resolve => { this.markReady = resolve; });
+    this.sweepInterval = null;
+
+    const cents = Math.round(balance * 100);
+    const defaults = { balance: cents, initialBalance: cents, positions: {}, orders: {}, deals: [], lastId: 0 };
+    this.store = persist ? new JsonFileStore(persist, defaults) : { data: defaults, save() {} };
+    this.persisted = !!persist;
+  }
+
+  get state() {
+    return this.store.data;
+  }
+
+  setCatalog({ assets, symbols }) {
+    this.assets = assets.map(asset => ({ ...asset }));
+    this.symbols = new Map(symbols.map(symbol => [symbol.symbolId, symbol]));
+
+    let deposit = this.assets.find(asset => asset.name.toUpperCase() === this.currency);
+    if (!deposit) {
+      deposit = { assetId: Math.max(0, ...this.assets.map(asset => asset.assetId)) + 1, name: this.currency, digits: 2 };
+      this.assets.push(deposit);
+    }
+    this.depositAssetId = deposit.assetId;
+
+    console.log(`📝 Paper broker ready: ${this.symbols.size} symbols, balance ${(this.state.balance / 100).toFixed(2)} ${this.currency}`);
+    this.markReady();
+  }
+
+  getSymbolByName(name) {
+    const upper = name.toUpperCase();
+    return Array.from(this.symbols.values()).find(symbol => symbol.symbolName.toUpperCase() === upper) || null;
+  }
+
+  start() {
+    this.sweepInterval = setInterval(() => this.expireOrders(), 1000);
+    this.sweepInterval.unref();
+    this.feed?.start();
+  }
+
+  stop() {
+    clearInterval(this.sweepInterval);
+    this.feed?.stop();
+  }
+
+  connect() {
+    const socket = new PaperSocket(this);
+    this.sockets.add(socket);
+    setImmediate(() => socket.emit('open'));
+    return socket;
+  }
+
+  nextId() {
+    return ++this.state.lastId;
+  }
+
+  /* ---------- prices ---------- */
+
+  // Make sure a symbol has (and keeps getting) prices, live feeds subscribe on demand
+  async watch(symbolId) {
+    if (!this.quotes.has(symbolId) && this.feed?.watch) {
+      await this.feed.watch(symbolId)
+        .catch(err => console.warn(`⚠️  Paper: no prices for symbol ${symbolId}:`, err.message));
+    }
+    return this.quotes.get(symbolId) || null;
+  }
+
+  onTick(symbolId, bid, ask, timestamp = this.now()) {
+    if (!this.symbols.has(symbolId)) return;
+    this.quotes.set(symbolId, { bid, ask, timestamp });
+
+    for (const socket of this.sockets) {
+      if (!socket.subscriptions.has(symbolId)) continue;
+      socket.deliver({
+        payloadType: MSG_TYPES.SPOT_EVENT,
+        payload: {
+          ctidTraderAccountId: this.accountId,
+          symbolId,
+          bid: Math.round(bid * SPOT_PRICE_SCALE),
+          ask: Math.round(ask * SPOT_PRICE_SCALE),
+          timestamp
+        }
+      });
+    }
+
+    this.match(symbolId);
+  }
+
+  // Symbols linking two assets, directly or through one intermediate asset
+  conversionChain(fromAssetId, toAssetId) {
+    const links = (assetId) => Array.from(this.symbols.values())
+      .filter(symbol => symbol.baseAssetId === assetId || symbol.quoteAssetId === assetId);
+    const other = (symbol, assetId) => symbol.baseAssetId === assetId ? symbol.quoteAssetId : symbol.baseAssetId;
+
+    for (const first of links(fromAssetId)) {
+      if (other(first, fromAssetId) === toAssetId) return [first];
+    }
+    for (const first of links(fromAssetId)) {
+      const middle = other(first, fromAssetId);
+      const second = links(middle).find(symbol => other(symbol, middle) === toAssetId);
+      if (second) return [first, second];
+    }
+    return [];
+  }
+
+  // Units of toAsset per unit of fromAsset at mid prices, null while a price is missing
+  conversionRate(fromAssetId, toAssetId) {
+    if (fromAssetId === toAssetId) return 1;
+
+    let rate = 1;
+    let current = fromAssetId;
+    const chain = this.conversionChain(fromAssetId, toAssetId);
+    if (chain.length === 0) return null;
+
+    for (const symbol of chain) {
+      const quote = this.quotes.get(symbol.symbolId);
+      if (!quote) return null;
+      const mid = (quote.bid + quote.ask) / 2;
+
+      if (symbol.baseAssetId === current) {
+        rate *= mid;
+        current = symbol.quoteAssetId;
+      } else {
+        rate /= mid;
+        current = symbol.baseAssetId;
+      }
+    }
+    return rate;
+  }
+
+  // P&L in deposit cents of closing volume at price
+  profit(position, price, volume) {
+    const symbol = this.symbols.get(position.tradeData.symbolId);
+    const direction = position.tradeData.tradeSide === 1 ? 1 : -1;
+    const inQuote = direction * (price - position.price) * (volume / VOLUME_SCALE);
+    const rate = this.conversionRate(symbol.quoteAssetId, this.depositAssetId);
+
+    if (rate === null && !this.unconverted.has(symbol.symbolId)) {
+      this.unconverted.add(symbol.symbolId);
+      console.warn(`⚠️  Paper: no ${symbol.symbolName} quote-to-${this.currency} price, P&L left unconverted`);
+    }
+    return Math.round(inQuote * (rate ?? 1) * 100);
+  }
+
+  /* ---------- protocol ---------- */
+
+  async handle(socket, { payloadType, payload = {}, clientMsgId }) {
+    const reply = (type, data = {}) => socket.deliver({
+      clientMsgId,
+      payloadType: type,
+      payload: { ctidTraderAccountId: this.accountId, ...data }
+    });
+    const error = (errorCode, description) => socket.deliver({
+      clientMsgId,
+      payloadType: MSG_TYPES.ERROR_RES,
+      payload: { errorCode, description }
+    });
+    const respond = { socket, clientMsgId };
+
+    switch (payloadType) {
+      case MSG_TYPES.HEARTBEAT_EVENT:
+        return socket.deliver({ payloadType: MSG_TYPES.HEARTBEAT_EVENT, payload: {} });
+
+      case MSG_TYPES.APPLICATION_AUTH_REQ:
+        await this.ready; // The catalog may still be loading from a live feed
+        return reply(MSG_TYPES.APPLICATION_AUTH_RES);
+
+      case MSG_TYPES.ACCOUNT_AUTH_REQ:
+        this.accountId = payload.ctidTraderAccountId;
+        return reply(MSG_TYPES.ACCOUNT_AUTH_RES);
+
+      case MSG_TYPES.GET_ACCOUNTS_BY_ACCESS_TOKEN_REQ:
+        return socket.deliver({
+          clientMsgId,
+          payloadType: MSG_TYPES.GET_ACCOUNTS_BY_ACCESS_TOKEN_RES,
+          payload: { accessToken: payload.accessToken, ctidTraderAccount: [{ ctidTraderAccountId: this.accountId, isLive: false }] }
+        });
+
+      case MSG_TYPES.ASSET_LIST_REQ:
+        return reply(MSG_TYPES.ASSET_LIST_RES, { asset: this.assets });
+
+      case MSG_TYPES.SYMBOLS_LIST_REQ:
+        return reply(MSG_TYPES.SYMBOLS_LIST_RES, {
+          symbol: Array.from(this.symbols.values()).map(({ symbolId, symbolName, baseAssetId, quoteAssetId }) =>
+            ({ symbolId, symbolName, baseAssetId, quoteAssetId, enabled: true }))
+        });
+
+      case MSG_TYPES.SYMBOL_BY_ID_REQ:
+        return reply(MSG_TYPES.SYMBOL_BY_ID_RES, {
+          symbol: (payload.symbolId || []).map(id => this.symbols.get(id)).filter(Boolean).map(symbol => ({
+            symbolId: symbol.symbolId,
+            digits: symbol.digits,
+            pipPosition: symbol.pipPosition,
+            lotSize: symbol.lotSize,
+            minVolume: symbol.minVolume,
+            maxVolume: symbol.maxVolume,
+            stepVolume: symbol.stepVolume,
+            tradingMode: 0
+          }))
+        });
+
+      case MSG_TYPES.SYMBOLS_FOR_CONVERSION_REQ:
+        return reply(MSG_TYPES.SYMBOLS_FOR_CONVERSION_RES, {
+          symbol: this.conversionChain(payload.firstAssetId, payload.lastAssetId)
+            .map(({ symbolId, symbolName, baseAssetId, quoteAssetId }) => ({ symbolId, symbolName, baseAssetId, quoteAssetId }))
+        });
+
+      case MSG_TYPES.TRADER_REQ:
+        return reply(MSG_TYPES.TRADER_RES, {
+          trader: {
+            ctidTraderAccountId: this.accountId,
+            balance: this.state.balance,
+            depositAssetId: this.depositAssetId,
+            moneyDigits: 2
+          }
+        });
+
+      case MSG_TYPES.RECONCILE_REQ:
+        return reply(MSG_TYPES.RECONCILE_RES, {
+          position: Object.values(this.state.positions),
+          order: Object.values(this.state.orders)
+        });
+
+      case MSG_TYPES.DEAL_LIST_REQ:
+        return reply(MSG_TYPES.DEAL_LIST_RES, {
+          deal: this.state.deals.filter(deal => deal.executionTimestamp >= payload.fromTimestamp &&
+            deal.executionTimestamp <= payload.toTimestamp),
+          hasMore: false
+        });
+
+      case MSG_TYPES.SUBSCRIBE_SPOTS_REQ:
+        reply(MSG_TYPES.SUBSCRIBE_SPOTS_RES);
+        for (const symbolId of payload.symbolId || []) {
+          socket.subscriptions.add(symbolId);
+          this.watch(symbolId)
+            .then(quote => quote && this.onTick(symbolId, quote.bid, quote.ask, quote.timestamp));
+        }
+        return;
+
+      case MSG_TYPES.UNSUBSCRIBE_SPOTS_REQ:
+        for (const symbolId of payload.symbolId || []) socket.subscriptions.delete(symbolId);
+        return reply(MSG_TYPES.UNSUBSCRIBE_SPOTS_RES);
+
+      case MSG_TYPES.NEW_ORDER_REQ:
+        return this.newOrder(payload, respond);
+
+      case MSG_TYPES.AMEND_ORDER_REQ:
+        return this.amendOrder(payload, respond);
+
+      case MSG_TYPES.CANCEL_ORDER_REQ: {
+        const order = this.state.orders[payload.orderId];
+        if (!order) return this.orderError(respond, 'OA_ORDER_NOT_FOUND', `Order ${payload.orderId} not found`);
+
+        delete this.state.orders[payload.orderId];
+        this.store.save();
+        return this.execution(respond, EXECUTION_TYPES.ORDER_CANCELLED, { order: { ...order, orderStatus: ORDER_STATUS.CANCELLED } });
+      }
+
+      case MSG_TYPES.AMEND_POSITION_SLTP_REQ:
+        return this.amendPosition(payload, respond);
+
+      case MSG_TYPES.CLOSE_POSITION_REQ: {
+        const position = this.state.positions[payload.positionId];
+        if (!position) return this.orderError(respond, 'POSITION_NOT_FOUND', `Position ${payload.positionId} not found`);
+
+        await this.watch(position.tradeData.symbolId);
+        return this.closePosition(position, payload.volume, {}, respond);
+      }
+
+      default:
+        return error('UNSUPPORTED_MESSAGE', `Paper broker does not handle payload type ${payloadType}`);
+    }
+  }
+
+  // respond = { socket, clientMsgId } answers a request, null broadcasts (triggered fills, SL/TP)
+  execution(respond, executionType, { order, position, deal }) {
+    const message = {
+      payloadType: MSG_TYPES.EXECUTION_EVENT,
+      payload: {
+        ctidTraderAccountId: this.accountId,
+        executionType,
+        ...(order && { order }),
+        ...(position && { position }),
+        ...(deal && { deal })
+      }
+    };
+
+    if (respond) {
+      respond.socket.deliver({ ...message, clientMsgId: respond.clientMsgId });
+    } else {
+      for (const socket of this.sockets) socket.deliver(message);
+    }
+  }
+
+  orderError(respond, errorCode, description) {
+    respond.socket.deliver({
+      clientMsgId: respond.clientMsgId,
+      payloadType: MSG_TYPES.ORDER_ERROR_EVENT,
+      payload: { ctidTraderAccountId: this.accountId, errorCode, description }
+    });
+  }
+
+  // Error message when SL/TP sit on the wrong side of a reference price
+  invalidStops(tradeSide, price, stopLoss, takeProfit) {
+    const direction = tradeSide === 1 ? 1 : -1;
+    if (stopLoss && (price - stopLoss) * direction <= 0) return `Stop loss ${stopLoss} must be ${direction > 0 ? 'below' : 'above'} ${price}`;
+    if (takeProfit && (takeProfit - price) * direction <= 0) return `Take profit ${takeProfit} must be ${direction > 0 ? 'above' : 'below'} ${price}`;
+    return null;
+  }
+
+  async newOrder(payload, respond) {
+    const symbol = this.symbols.get(payload.symbolId);
+    if (!symbol) return this.orderError(respond, 'SYMBOL_NOT_FOUND', `Symbol ${payload.symbolId} not found`);
+
+    const volume = payload.volume;
+    if (!(volume >= symbol.minVolume && volume <= symbol.maxVolume && volume % symbol.stepVolume === 0)) {
+      return this.orderError(respond, 'TRADING_BAD_VOLUME', `Invalid volume ${volume} for ${symbol.symbolName}`);
+    }
+
+    const isMarket = payload.orderType === ORDER_TYPES.MARKET;
+    const price = payload.orderType === ORDER_TYPES.LIMIT ? payload.limitPrice : payload.stopPrice;
+    if (!isMarket && !price) {
+      return this.orderError(respond, 'INVALID_REQUEST', 'Pending orders need a limitPrice or stopPrice');
+    }
+
+    const quote = await this.watch(symbol.symbolId);
+    for (const link of this.conversionChain(symbol.quoteAssetId, this.depositAssetId)) {
+      await this.watch(link.symbolId); // Prices to book P&L in the deposit currency
+    }
+    if (isMarket && !quote) {
+      return this.orderError(respond, 'NO_QUOTES', `No price for ${symbol.symbolName} yet`);
+    }
+
+    const stopsError = isMarket
+      ? this.invalidStops(payload.tradeSide, payload.tradeSide === 1 ? quote.ask : quote.bid, payload.stopLoss, payload.takeProfit)
+      : this.invalidStops(payload.tradeSide, price, payload.stopLoss, payload.takeProfit);
+    if (stopsError) return this.orderError(respond, 'TRADING_BAD_STOPS', stopsError);
+
+    const now = this.now();
+    const order = {
+      orderId: this.nextId(),
+      tradeData: {
+        symbolId: symbol.symbolId,
+        volume,
+        tradeSide: payload.tradeSide,
+        openTimestamp: now,
+        ...(payload.label && { label: payload.label }),
+        ...(payload.comment && { comment: payload.comment })
+      },
+      orderType: payload.orderType,
+      orderStatus: ORDER_STATUS.ACCEPTED,
+      timeInForce: payload.timeInForce || (isMarket ? TIME_IN_FORCE.IOC : TIME_IN_FORCE.GTC),
+      utcLastUpdateTimestamp: now,
+      ...(payload.limitPrice !== undefined && { limitPrice: payload.limitPrice }),
+      ...(payload.stopPrice !== undefined && { stopPrice: payload.stopPrice }),
+      ...(payload.stopLoss !== undefined && { stopLoss: payload.stopLoss }),
+      ...(payload.takeProfit !== undefined && { takeProfit: payload.takeProfit }),
+      ...(payload.relativeStopLoss !== undefined && { relativeStopLoss: payload.relativeStopLoss }),
+      ...(payload.relativeTakeProfit !== undefined && { relativeTakeProfit: payload.relativeTakeProfit }),
+      ...(payload.expirationTimestamp !== undefined && { expirationTimestamp: payload.expirationTimestamp }),
+      ...(payload.slippageInPoints !== undefined && { slippageInPoints: payload.slippageInPoints })
+    };
+
+    this.execution(respond, EXECUTION_TYPES.ORDER_ACCEPTED, { order });
+
+    if (isMarket) {
+      return this.fill(order, payload.tradeSide === 1 ? quote.ask : quote.bid, respond);
+    }
+
+    this.state.orders[order.orderId] = order;
+    this.store.save();
+    this.match(symbol.symbolId); // Marketable limits fill on the spot
+  }
+
+  amendOrder(payload, respond) {
+    const order = this.state.orders[payload.orderId];
+    if (!order) return this.orderError(respond, 'OA_ORDER_NOT_FOUND', `Order ${payload.orderId} not found`);
+
+    const amended = {
+      ...order,
+      tradeData: { ...order.tradeData, ...(payload.volume && { volume: payload.volume }) },
+      utcLastUpdateTimestamp: this.now()
+    };
+    for (const field of ['limitPrice', 'stopPrice', 'stopLoss', 'takeProfit', 'expirationTimestamp', 'slippageInPoints']) {
+      if (payload[field] !== undefined) amended[field] = payload[field];
+    }
+
+    this.state.orders[order.orderId] = amended;
+    this.store.save();
+    this.execution(respond, EXECUTION_TYPES.ORDER_REPLACED, { order: amended });
+    this.match(order.tradeData.symbolId);
+  }
+
+  amendPosition(payload, respond) {
+    const position = this.state.positions[payload.positionId];
+    if (!position) return this.orderError(respond, 'POSITION_NOT_FOUND', `Position ${payload.positionId} not found`);
+
+    const quote = this.quotes.get(position.tradeData.symbolId);
+    if (quote) {
+      const exit = position.tradeData.tradeSide === 1 ? quote.bid : quote.ask;
+      const stopsError = this.invalidStops(position.tradeData.tradeSide, exit, payload.stopLoss, payload.takeProfit);
+      if (stopsError) return this.orderError(respond, 'TRADING_BAD_STOPS', stopsError);
+    }
+
+    // Omitted levels are removed, as on cTrader
+    const { stopLoss, takeProfit, ...rest } = position;
+    const amended = {
+      ...rest,
+      ...(payload.stopLoss && { stopLoss: payload.stopLoss }),
+      ...(payload.takeProfit && { takeProfit: payload.takeProfit })
+    };
+
+    this.state.positions[position.positionId] = amended;
+    this.store.save();
+    this.execution(respond, EXECUTION_TYPES.ORDER_REPLACED, { position: amended });
+  }
+
+  /* ---------- matching ---------- */
+
+  // Fill an order into a new position (hedging account: every fill opens its own)
+  fill(order, price, respond = null) {
+    const symbol = this.symbols.get(order.tradeData.symbolId);
+    const direction = order.tradeData.tradeSide === 1 ? 1 : -1;
+    const round = (value) => parseFloat(value.toFixed(symbol.digits));
+    const now = this.now();
+
+    const stopLoss = order.stopLoss ?? (order.relativeStopLoss
+      ? round(price - direction * order.relativeStopLoss / SPOT_PRICE_SCALE) : undefined);
+    const takeProfit = order.takeProfit ?? (order.relativeTakeProfit
+      ? round(price + direction * order.relativeTakeProfit / SPOT_PRICE_SCALE) : undefined);
+
+    const positionId = this.nextId();
+    const position = {
+      positionId,
+      tradeData: { ...order.tradeData, openTimestamp: now },
+      positionStatus: POSITION_STATUS.OPEN,
+      price,
+      swap: 0,
+      commission: 0,
+      moneyDigits: 2,
+      utcLastUpdateTimestamp: now,
+      ...(stopLoss && { stopLoss }),
+      ...(takeProfit && { takeProfit })
+    };
+    const deal = {
+      dealId: this.nextId(),
+      orderId: order.orderId,
+      positionId,
+      symbolId: symbol.symbolId,
+      volume: order.tradeData.volume,
+      filledVolume: order.tradeData.volume,
+      tradeSide: order.tradeData.tradeSide,
+      executionPrice: price,
+      executionTimestamp: now,
+      createTimestamp: order.tradeData.openTimestamp,
+      dealStatus: 2, // FILLED
+      moneyDigits: 2
+    };
+
+    delete this.state.orders[order.orderId];
+    this.state.positions[positionId] = position;
+    this.recordDeal(deal);
+
+    console.log(`📝 Paper fill: ${direction > 0 ? 'BUY' : 'SELL'} ${order.tradeData.volume / symbol.lotSize} lots ${symbol.symbolName} @ ${price}`);
+    this.execution(respond, EXECUTION_TYPES.ORDER_FILLED, {
+      order: { ...order, orderStatus: ORDER_STATUS.FILLED, executionPrice: price, positionId },
+      position,
+      deal
+    });
+    return position;
+  }
+
+  // Close (part of) a position at the market or the given price, closingOrder fields mark SL/TP hits
+  closePosition(position, volume, closingOrder = {}, respond = null, atPrice = null) {
+    const symbol = this.symbols.get(position.tradeData.symbolId);
+    const quote = this.quotes.get(symbol.symbolId);
+    if (!quote) {
+      return respond && this.orderError(respond, 'NO_QUOTES', `No price for ${symbol.symbolName} yet`);
+    }
+
+    const tradeSide = position.tradeData.tradeSide === 1 ? 2 : 1;
+    const price = atPrice ?? (tradeSide === 2 ? quote.bid : quote.ask);
+    const closedVolume = Math.min(volume || position.tradeData.volume, position.tradeData.volume);
+    const remaining = position.tradeData.volume - closedVolume;
+    const grossProfit = this.profit(position, price, closedVolume);
+    const now = this.now();
+
+    this.state.balance += grossProfit;
+
+    const updated = {
+      ...position,
+      tradeData: { ...position.tradeData, volume: remaining },
+      positionStatus: remaining > 0 ? POSITION_STATUS.OPEN : POSITION_STATUS.CLOSED,
+      utcLastUpdateTimestamp: now
+    };
+    if (remaining > 0) {
+      this.state.positions[position.positionId] = updated;
+    } else {
+      delete this.state.positions[position.positionId];
+    }
+
+    const orderId = this.nextId();
+    const order = {
+      orderId,
+      orderType: ORDER_TYPES.MARKET,
+      orderStatus: ORDER_STATUS.FILLED,
+      closingOrder: true,
+      positionId: position.positionId,
+      executionPrice: price,
+      tradeData: { symbolId: symbol.symbolId, volume: closedVolume, tradeSide, openTimestamp: now },
+      ...closingOrder
+    };
+    const deal = {
+      dealId: this.nextId(),
+      orderId,
+      positionId: position.positionId,
+      symbolId: symbol.symbolId,
+      volume: closedVolume,
+      filledVolume: closedVolume,
+      tradeSide,
+      executionPrice: price,
+      executionTimestamp: now,
+      createTimestamp: now,
+      dealStatus: 2,
+      moneyDigits: 2,
+      closePositionDetail: {
+        entryPrice: position.price,
+        grossProfit,
+        swap: 0,
+        commission: 0,
+        balance: this.state.balance,
+        closedVolume,
+        moneyDigits: 2
+      }
+    };
+    this.recordDeal(deal);
+
+    console.log(`📝 Paper close: position ${position.positionId} @ ${price} (${(grossProfit / 100).toFixed(2)} ${this.currency})`);
+    this.execution(respond, EXECUTION_TYPES.ORDER_FILLED, { order, position: updated, deal });
+    return deal;
+  }
+
+  recordDeal(deal) {
+    this.state.deals.push(deal);
+    // The saved account keeps the last 10000, a backtest report needs every deal
+    if (this.persisted && this.state.deals.length > 10000) this.state.deals.splice(0, this.state.deals.length - 10000);
+    this.store.save();
+  }
+
+  // Trigger pending orders and SL/TP levels on the latest quote of a symbol. Limit
+  // orders fill at their price or better, take-profits at their price, stops at the
+  // market (gaps slip).
+  match(symbolId) {
+    const quote = this.quotes.get(symbolId);
+    if (!quote) return;
+    const { bid, ask } = quote;
+
+    for (const order of Object.values(this.state.orders)) {
+      if (order.tradeData.symbolId !== symbolId) continue;
+      const isBuy = order.tradeData.tradeSide === 1;
+
+      // Stop-limit orders turn into a limit at the stop price plus the allowed slippage
+      if (order.orderType === ORDER_TYPES.STOP_LIMIT && order.limitPrice === undefined &&
+          (isBuy ? ask >= order.stopPrice : bid <= order.stopPrice)) {
+        const symbol = this.symbols.get(symbolId);
+        const slippage = (order.slippageInPoints || 0) / Math.pow(10, symbol.digits);
+        order.limitPrice = parseFloat((order.stopPrice + (isBuy ? slippage : -slippage)).toFixed(symbol.digits));
+        this.store.save();
+      }
+
+      const triggered = order.limitPrice !== undefined
+        ? (isBuy ? ask <= order.limitPrice : bid >= order.limitPrice)
+        : (isBuy ? ask >= order.stopPrice : bid <= order.stopPrice);
+
+      if (!triggered) continue;
+      if (order.limitPrice === undefined) {
+        this.fill(order, isBuy ? ask : bid);
+      } else {
+        this.fill(order, isBuy ? Math.min(ask, order.limitPrice) : Math.max(bid, order.limitPrice));
+      }
+    }
+
+    for (const position of Object.values(this.state.positions)) {
+      if (position.tradeData.symbolId !== symbolId) continue;
+      const isBuy = position.tradeData.tradeSide === 1;
+      const exit = isBuy ? bid : ask;
+
+      if (position.stopLoss && (isBuy ? exit <= position.stopLoss : exit >= position.stopLoss)) {
+        this.closePosition(position, position.tradeData.volume,
+          { orderType: STOP_LOSS_TAKE_PROFIT_ORDER, stopPrice: position.stopLoss });
+      } else if (position.takeProfit && (isBuy ? exit >= position.takeProfit : exit <= position.takeProfit)) {
+        this.closePosition(position, position.tradeData.volume,
+          { orderType: STOP_LOSS_TAKE_PROFIT_ORDER, limitPrice: position.takeProfit }, null, position.takeProfit);
+      }
+    }
+
+    this.expireOrders();
+  }
+
+  expireOrders() {
+    const now = this.now();
+
+    for (const order of Object.values(this.state.orders)) {
+      if (order.timeInForce !== TIME_IN_FORCE.GTD || !order.expirationTimestamp || order.expirationTimestamp > now) continue;
+
+      delete this.state.orders[order.orderId];
+      this.store.save();
+      this.execution(null, EXECUTION_TYPES.ORDER_EXPIRED, { order: { ...order, orderStatus: ORDER_STATUS.EXPIRED } });
+    }
+  }
+
+  /* ---------- account ---------- */
+
+  summary() {
+    let unrealized = 0;
+    for (const position of Object.values(this.state.positions)) {
+      const quote = this.quotes.get(position.tradeData.symbolId);
+      if (!quote) continue;
+      unrealized += this.profit(position, position.tradeData.tradeSide === 1 ? quote.bid : quote.ask, position.tradeData.volume);
+    }
+
+    const closes = this.state.deals.filter(deal => deal.closePositionDetail);
+    const wins = closes.filter(deal => deal.closePositionDetail.grossProfit > 0).length;
+
+    return {
+      currency: this.currency,
+      initialBalance: this.state.initialBalance / 100,
+      balance: this.state.balance / 100,
+      equity: (this.state.balance + unrealized) / 100,
+      unrealizedPnl: unrealized / 100,
+      realizedPnl: (this.state.balance - this.state.initialBalance) / 100,
+      openPositions: Object.keys(this.state.positions).length,
+      pendingOrders: Object.keys(this.state.orders).length,
+      closedTrades: closes.length,
+      winRate: closes.length > 0 ? Math.round(wins / closes.length * 1000) / 10 : null,
+      symbolsPriced: this.quotes.size,
+      feed: this.feed?.describe() || null
+    };
+  }
+
+  // Start over with a fresh balance, open positions and orders are dropped
+  reset(balance = this.state.initialBalance / 100) {
+    const cents = Math.round(balance * 100);
+    this.store.data = { balance: cents, initialBalance: cents, positions: {}, orders: {}, deals: [], lastId: this.state.lastId };
+    this.store.save();
+    console.log(`📝 Paper account reset to ${balance} ${this.currency}`);
+  }
+}
+
+// Replays PAPER_TICKS_FILE at PAPER_REPLAY_SPEED x real time (0 = as fast as possible)
+class CsvTickFeed {
+  constructor(broker, file, { speed = 1, catalog = paperCatalog() } = {}) {
+    this.broker = broker;
+    this.file = file;
+    this.speed = speed;
+    this.ticks = [];
+    this.index = 0;
+    this.timer = null;
+
+    broker.setCatalog(catalog);
+  }
+
+  start() {
+    const rows = parsePriceCsv(readFileSync(this.file, 'utf8'));
+    const unknown = new Set();
+
+    this.ticks = rows.flatMap(row => {
+      const symbol = this.broker.getSymbolByName(row.symbol);
+      if (!symbol) unknown.add(row.symbol);
+      return symbol ? [{ ...row, ask: row.ask ?? row.bid, symbolId: symbol.symbolId }] : [];
+    });
+    if (unknown.size > 0) {
+      console.warn(`⚠️  Paper: ticks skipped for unknown symbols ${Array.from(unknown).join(', ')} (add them to PAPER_SYMBOLS)`);
+    }
+
+    console.log(`📼 Replaying ${this.ticks.length} ticks from ${this.file} at ${this.speed || 'max'}x`);
+    this.next();
+  }
+
+  next() {
+    const tick = this.ticks[this.index++];
+    if (!tick) {
+      console.log('📼 Tick replay finished, last prices stay in place');
+      return;
+    }
+
+    this.broker.onTick(tick.symbolId, tick.bid, tick.ask);
+
+    const following = this.ticks[this.index];
+    if (!following) return this.next();
+
+    const delay = this.speed > 0 ? (following.timestamp - tick.timestamp) / this.speed : 0;
+    this.timer = delay > 0 ? setTimeout(() => this.next(), delay) : setImmediate(() => this.next());
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    clearImmediate(this.timer);
+  }
+
+  describe() {
+    return {
+      type: 'csv',
+      file: this.file,
+      speed: this.speed,
+      ticks: this.ticks.length,
+      replayed: Math.min(this.index, this.ticks.length),
+      finished: this.index > this.ticks.length
+    };
+  }
+}
+
+// Prices and catalog from a real demo/live account, subscribed symbol by symbol
+class LiveSpotFeed {
+  constructor(broker, client) {
+    this.broker = broker;
+    this.client = client;
+    this.watched = new Set();
+
+    client.on('symbols-loaded', () => broker.setCatalog(clientCatalog(client)));
+    client.on('spot', ({ symbolId, bid, ask }) => {
+      if (bid !== undefined && ask !== undefined) broker.onTick(symbolId, bid, ask);
+    });
+  }
+
+  async watch(symbolId) {
+    if (this.watched.has(symbolId)) return;
+    this.watched.add(symbolId);
+
+    const firstSpot = this.client.waitForSpot(symbolId);
+    firstSpot.catch(() => {}); // Awaited below once subscribed
+    await this.client.subscribeSpots(symbolId);
+    await firstSpot;
+  }
+
+  start() {
+    this.client.connect();
+  }
+
+  stop() {
+    this.client.disconnect();
+  }
+
+  describe() {
+    return {
+      type: this.client.env,
+      connected: this.client.isReady(),
+      watching: this.watched.size
+    };
+  }
+}
+
+function createPaperBroker(tokenManager) {
+  const broker = new PaperBroker({
+    balance: parseFloat(PAPER_BALANCE),
+    currency: PAPER_CURRENCY,
+    persist: 'paper-account.json'
+  });
+
+  if (PAPER_FEED === 'csv') {
+    broker.feed = new CsvTickFeed(broker, PAPER_TICKS_FILE, { speed: parseFloat(PAPER_REPLAY_SPEED) });
+  } else {
+    broker.feed = new LiveSpotFeed(broker, new RobustcTraderClient(tokenManager, { env: PAPER_FEED }));
+  }
+
+  return broker;
+}
+
+/* ========================================
+   📡 SIGNAL PARSER
+   ======================================== */
+
+// Parses free-text channel messages such as
+//   "GOLD BUY NOW @ 2345-2340 SL 2330 TP1 2350 TP2 2360"
+//   "EURUSD sell limit 1.0920 sl 1.0950 tp 1.0850"
+// into the /order request body. Profiles are picked per channel.
+
+const DEFAULT_SIGNAL_PROFILE = {
+  symbolAliases: {
+    GOLD: 'XAUUSD',
+    SILVER: 'XAGUSD',
+    OIL: 'XTIUSD',
+    US30: 'US30',
+    NAS100: 'US100',
+    BTC: 'BTCUSD'
+  },
+  defaultVolume: null,   // Used when the request carries no volume / lots / risk
+  riskPercent: null,     // Risk-based sizing default, takes precedence over defaultVolume
+  defaultType: 'MARKET', // Order type when the text has no LIMIT/STOP/NOW keyword
+  entryRange: 'first',   // 'first' | 'mid' | 'best' price of an "@ 2345-2340" zone
+  takeProfit: 'first',   // 'first' | 'last' TP, or 'split' to open one position per TP
+  comment: null          // Order comment, defaults to the channel name
+};
+
+// Parse a JSON config given inline or as a file path, throws if it is unreadable or invalid
+function parseJsonConfig(value) {
+  const json = /^[{[]/.test(value.trim()) ? value : readFileSync(value, 'utf8');
+  return JSON.parse(json);
+}
+
+// Same, logging the error and falling back to {} for optional configs
+function loadJsonConfig(value, name) {
+  if (!value) return {};
+
+  try {
+    return parseJsonConfig(value);
+  } catch (error) {
+    console.error(`❌ Invalid ${name} config:`, error.message);
+    return {};
+  }
+}
+
+const signalProfiles = loadJsonConfig(SIGNAL_PROFILES, 'SIGNAL_PROFILES');
+
+function getSignalProfile(channel) {
+  const custom = (channel && signalProfiles[channel]) || signalProfiles.default || {};
+
+  return {
+    ...DEFAULT_SIGNAL_PROFILE,
+    ...custom,
+    symbolAliases: { ...DEFAULT_SIGNAL_PROFILE.symbolAliases, ...custom.symbolAliases }
+  };
+}
+
+// Recognised without the symbol catalog (e.g. dry runs while disconnected)
+const FX_PAIR = /^(EUR|USD|GBP|JPY|CHF|AUD|NZD|CAD|XAU|XAG){2}$/;
+
+const NUMBER = '(\\d+(?:[.,]\\d+)?)';
+
+// "SL 30 pips" / "TP 150 points"
+const DISTANCE_UNIT = '(?:\\s*(PIPS?|POINTS?)\\b)?';
+
+// stopLoss + "PIPS" → stopLossPips, "POINTS" → stopLossPoints
+function levelField(field, unit) {
+  if (!unit) return field;
+  return unit.startsWith('PIP') ? `${field}Pips` : `${field}Points`;
+}
+
+function parseNumber(value) {
+  return value === undefined ? null : parseFloat(value.replace(',', '.'));
+}
+
+/**
+ * Parse a signal text. Returns { order, details } where order is an /order
+ * body, or { error, missing } when the text is not a usable signal.
+ * isKnownSymbol(name) lets the parser recognise broker symbols that are not aliases.
+ */
+function parseSignal(text, profile, isKnownSymbol = () => false) {
+  const upper = text.toUpperCase().replace(/[*_`]/g, ' ');
+
+  // Symbol: alias, "EUR/USD" style pair or a known broker symbol
+  let symbol = null;
+  for (const token of upper.match(/#?[A-Z][A-Z0-9]*(?:\/[A-Z]{3})?/g) || []) {
+    const name = token.replace(/[#/]/g, '');
+    if (profile.symbolAliases[name]) {
+      symbol = profile.symbolAliases[name];
+    } else if (isKnownSymbol(name) || FX_PAIR.test(name)) {
+      symbol = name;
+    }
+    if (symbol) break;
+  }
+
+  const sideMatch = upper.match(/\b(BUY|SELL|LONG|SHORT)\b/);
+  const side = sideMatch ? (['BUY', 'LONG'].includes(sideMatch[1]) ? 1 : 2) : null;
+
+  // Order type: "BUY LIMIT", "SELL STOP", "BUY NOW" / "MARKET"
+  const typeMatch = upper.match(/\b(?:BUY|SELL|LONG|SHORT)\s+(STOP\s*LIMIT|LIMIT|STOP|NOW|MARKET)\b/) ||
+                    upper.match(/\b(STOP\s*LIMIT|LIMIT|NOW|MARKET)\b/);
+  let type = typeMatch ? typeMatch[1].replace(/\s+/g, '_') : profile.defaultType.toUpperCase();
+  if (type === 'NOW') type = 'MARKET';
+
+  // Entry: "@ 2345-2340", "ENTRY 1.0920" or the price right after the type keyword
+  const entryMatch = upper.match(new RegExp(`(?:@|\\bAT\\b|\\bENTRY\\b|\\bPRICE\\b)\\s*[:=]?\\s*${NUMBER}(?:\\s*[-–/]\\s*${NUMBER})?`)) ||
+                     upper.match(new RegExp(`\\b(?:LIMIT|STOP)\\s*[:=@]?\\s*${NUMBER}(?:\\s*[-–/]\\s*${NUMBER})?`));
+  const entryRange = entryMatch
+    ? [parseNumber(entryMatch[1]), parseNumber(entryMatch[2])].filter(v => v !== null)
+    : [];
+
+  const slMatch = upper.match(new RegExp(`\\b(?:SL|S/L|STOP\\s*LOSS)\\s*[:=@-]?\\s*${NUMBER}${DISTANCE_UNIT}`));
+  const stopLoss = slMatch ? { value: parseNumber(slMatch[1]), unit: slMatch[2] } : null;
+
+  const takeProfits = [];
+  const tpPattern = new RegExp(`\\b(?:TP|T/P|TAKE\\s*PROFIT)(\\d)?\\s*[:=@-]?\\s*${NUMBER}${DISTANCE_UNIT}`, 'g');
+  for (const match of upper.matchAll(tpPattern)) {
+    takeProfits.push({ value: parseNumber(match[2]), unit: match[3] });
+  }
+
+  const missing = [];
+  if (!symbol) missing.push('symbol');
+  if (!side) missing.push('side');
+  if (type !== 'MARKET' && entryRange.length === 0) missing.push('entry price');
+  if (missing.length > 0) {
+    return { error: 'Could not parse signal', missing };
+  }
+
+  // Collapse an entry zone into a single price
+  let price = null;
+  if (type !== 'MARKET') {
+    const [first, second = first] = entryRange;
+    if (profile.entryRange === 'mid') {
+      price = (first + second) / 2;
+    } else if (profile.entryRange === 'best') {
+      price = side === 1 ? Math.min(first, second) : Math.max(first, second);
+    } else {
+      price = first;
+    }
+  }
+
+  const split = profile.takeProfit === 'split' && takeProfits.length > 1;
+  const takeProfit = takeProfits.length === 0 || split
+    ? null
+    : profile.takeProfit === 'last' ? takeProfits[takeProfits.length - 1] : takeProfits[0];
+
+  return {
+    order: {
+      symbol,
+      side,
+      type,
+      ...(price !== null && { price }),
+      ...(stopLoss && { [levelField('stopLoss', stopLoss.unit)]: stopLoss.value }),
+      ...(takeProfit && { [levelField('takeProfit', takeProfit.unit)]: takeProfit.value }),
+      ...(split && {
+        takeProfits: takeProfits.map(tp => ({
+          [tp.unit ? (tp.unit.startsWith('PIP') ? 'pips' : 'points') : 'price']: tp.value
+        }))
+      })
+    },
+    details: { entryRange, takeProfits: takeProfits.map(tp => tp.value) }
+  };
+}
+
+// /signal body ({ text, channel, volume | lots | riskPercent | riskAmount }) -> /order request
+// Returns { orderRequest, details } or { error, missing }
+function signalOrderRequest({ text, channel, volume, lots, riskPercent, riskAmount }, isKnownSymbol) {
+  const profile = getSignalProfile(channel);
+  const parsed = parseSignal(text, profile, isKnownSymbol);
+  if (parsed.error) return parsed;
+
+  // Request sizing wins over the profile defaults
+  const sizing = volume !== undefined ? { volume }
+    : lots !== undefined ? { lots }
+    : riskPercent !== undefined ? { riskPercent }
+    : riskAmount !== undefined ? { riskAmount }
+    : profile.riskPercent ? { riskPercent: profile.riskPercent }
+    : { volume: profile.defaultVolume };
+
+  return {
+    orderRequest: {
+      ...parsed.order,
+      ...sizing,
+      comment: profile.comment || channel || 'signal'
+    },
+    details: parsed.details
+  };
+}
+
+/* ========================================
+   🔗 WEBHOOK ADAPTERS
+   ======================================== */
+
+// Each adapter maps an incoming alert payload onto the /order request body.
+// Built-in: "tradingview". Extra adapters come from WEBHOOK_ADAPTERS, e.g.
+//   { "myscanner": { "type": "jsonpath",
+//                    "fields": { "symbol": "$.instrument", "side": "$.signal.direction", "volume": "$.qty" },
+//                    "values": { "side": { "long": 1, "short": 2 } },
+//                    "defaults": { "type": "MARKET" } } }
+
+// Resolve "$.a.b[0].c" (or "a.b.0.c") inside an object
+function getJsonPath(object, path) {
+  return path
+    .replace(/^\$\.?/, '')
+    .split(/[.[\]]+/)
+    .filter(Boolean)
+    .reduce((value, key) => (value === undefined || value === null ? undefined : value[key]), object);
+}
+
+// "OANDA:XAUUSD" → "XAUUSD", "EURUSD.P" → "EURUSD"
+function normalizeTicker(ticker) {
+  return ticker.toString().split(':').pop().replace(/\.[A-Z]+$/i, '').replace(/[^A-Z0-9]/gi, '').toUpperCase();
+}
+
+function parseSide(action) {
+  if (action === undefined || action === null) return null;
+  const value = action.toString().toLowerCase();
+  if (['1', 'buy', 'long'].includes(value)) return 1;
+  if (['2', 'sell', 'short'].includes(value)) return 2;
+  return null;
+}
+
+/**
+ * TradingView alerts. JSON messages may use either flat fields
+ *   { "ticker": "{{ticker}}", "action": "{{strategy.order.action}}", "contracts": "{{strategy.order.contracts}}",
+ *     "price": "{{strategy.order.price}}", "sl": 1.09, "tp": 1.1, "type": "limit" }
+ * or the nested { "strategy": { "order": { "action", "contracts", "price" } } } shape.
+ * Plain-text alerts ("BUY EURUSD SL 1.09") go through the signal parser.
+ * "accountId" in the message, else the adapter's "account" option, picks the account.
+ */
+function tradingViewAdapter(options = {}) {
+  return (payload) => {
+    if (typeof payload === 'string') {
+      const parsed = parseSignal(payload, getSignalProfile(options.profile), name => !!ctraderClient.getSymbol(name));
+      if (parsed.error) return parsed;
+      return { order: { ...parsed.order, volume: options.defaultVolume, ...(options.account && { accountId: options.account }) } };
+    }
+
+    const order = payload.strategy?.order || {};
+    const action = payload.action ?? order.action;
+
+    // Strategy going flat without an order action: nothing to open
+    if (!action && (payload.market_position ?? payload.strategy?.market_position) === 'flat') {
+      return { ignored: 'Strategy is flat' };
+    }
+
+    const side = parseSide(action);
+    const ticker = payload.ticker ?? payload.symbol;
+    const missing = [];
+    if (!ticker) missing.push('ticker');
+    if (!side) missing.push('action');
+    if (missing.length > 0) {
+      return { error: 'Could not map TradingView alert', missing };
+    }
+
+    // Sizing: explicit lots / risk, else volume or contracts × volumePerContract
+    const contracts = parseFloat(payload.contracts ?? order.contracts);
+    const sizing = payload.lots !== undefined ? { lots: payload.lots }
+      : payload.riskPercent !== undefined ? { riskPercent: payload.riskPercent }
+      : payload.riskAmount !== undefined ? { riskAmount: payload.riskAmount }
+      : {
+        volume: payload.volume ??
+          (Number.isFinite(contracts) && options.volumePerContract ? Math.round(contracts * options.volumePerContract) : options.defaultVolume)
+      };
+    const type = payload.type ?? 'MARKET';
+    const isMarket = parseEnum(ORDER_TYPES, type) === ORDER_TYPES.MARKET;
+    const account = accountRef(payload) ?? options.account;
+
+    return {
+      order: {
+        ...(account !== undefined && { accountId: account }),
+        symbol: normalizeTicker(ticker),
+        side,
+        ...sizing,
+        type,
+        // TradingView always sends the fill price, only pending orders use it
+        ...(!isMarket && { price: payload.price ?? order.price }),
+        ...((payload.sl ?? payload.stopLoss) && { stopLoss: payload.sl ?? payload.stopLoss }),
+        ...((payload.tp ?? payload.takeProfit) && { takeProfit: payload.tp ?? payload.takeProfit }),
+        comment: (payload.comment ?? order.comment ?? options.comment ?? 'tradingview').toString()
+      }
+    };
+  };
+}
+
+// Generic JSON mapper driven by { fields, values, defaults }
+function jsonPathAdapter({ fields = {}, values = {}, defaults = {} } = {}) {
+  return (payload) => {
+    if (typeof payload === 'string') {
+      return { error: 'JSON payload required' };
+    }
+
+    const order = { ...defaults };
+
+    for (const [field, path] of Object.entries(fields)) {
+      let value = getJsonPath(payload, path);
+      if (value === undefined || value === null || value === '') continue;
+
+      // Optional value translation, e.g. { "side": { "long": 1, "short": 2 } }
+      const map = values[field];
+      if (map) {
+        value = map[value] ?? map[value.toString().toLowerCase()] ?? value;
+      }
+      order[field] = value;
+    }
+
+    if (order.side !== undefined) order.side = parseSide(order.side) ?? order.side;
+    if (order.symbol) order.symbol = normalizeTicker(order.symbol);
+
+    return { order };
+  };
+}
+
+const ADAPTER_TYPES = {
+  tradingview: tradingViewAdapter,
+  jsonpath: jsonPathAdapter
+};
+
+function loadWebhookAdapters() {
+  const adapters = new Map([['tradingview', tradingViewAdapter()]]);
+  const config = loadJsonConfig(WEBHOOK_ADAPTERS, 'WEBHOOK_ADAPTERS');
+
+  for (const [name, options] of Object.entries(config)) {
+    const factory = ADAPTER_TYPES[options.type];
+    if (!factory) {
+      console.error(`❌ Unknown webhook adapter type for "${name}": ${options.type}`);
+      continue;
+    }
+    adapters.set(name, factory(options));
+  }
+
+  return adapters;
+}
+
+const webhookAdapters = loadWebhookAdapters();
+
+/* ========================================
+   📏 POSITION SIZING
+   ======================================== */
+
+// Fills in "volume" from "lots" or from "riskPercent"/"riskAmount" + stopLoss
+// Returns { orderRequest, sizing } or { status, error } for the HTTP response
+async function applyPositionSizing(orderRequest, client = ctraderClient) {
+  const { volume, lots, riskPercent, riskAmount, stopLoss, price, side } = orderRequest;
+  const isRisk = riskPercent !== undefined || riskAmount !== undefined;
+  const modes = [volume !== undefined, lots !== undefined, isRisk].filter(Boolean).length;
+
+  if (modes > 1) {
+    return {
+      status: 400,
+      error: { error: 'Use only one of: volume, lots, riskPercent/riskAmount' }
+    };
+  }
+  if (volume !== undefined || modes === 0) {
+    return { orderRequest };
+  }
+
+  // Unknown symbols are reported by validateOrderRequest
+  const symbolInfo = client.getSymbol(orderRequest.symbolId || orderRequest.symbol);
+  if (!symbolInfo) {
+    return { orderRequest };
+  }
+  if (!symbolInfo.lotSize) {
+    return {
+      status: 400,
+      error: { error: 'Symbol has no lot size, send volume instead', symbol: symbolInfo.name }
+    };
+  }
+
+  if (lots !== undefined) {
+    const lotsValue = parseFloat(lots);
+    if (!Number.isFinite(lotsValue) || lotsValue <= 0) {
+      return {
+        status: 400,
+        error: { error: 'Invalid lots: must be a positive number', received: lots }
+      };
+    }
+
+    const lotVolume = Math.round(lotsValue * symbolInfo.lotSize);
+    return {
+      orderRequest: { ...orderRequest, volume: lotVolume },
+      sizing: { mode: 'lots', lots: lotsValue, lotSize: symbolInfo.lotSize, volume: lotVolume }
+    };
+  }
+
+  // Risk-based sizing
+  const percent = riskPercent !== undefined ? parseFloat(riskPercent) : null;
+  const amount = riskAmount !== undefined ? parseFloat(riskAmount) : null;
+
+  if (percent !== null && !(percent > 0 && percent <= 100)) {
+    return {
+      status: 400,
+      error: { error: 'Invalid riskPercent: must be between 0 and 100', received: riskPercent }
+    };
+  }
+  if (amount !== null && !(amount > 0)) {
+    return {
+      status: 400,
+      error: { error: 'Invalid riskAmount: must be a positive number', received: riskAmount }
+    };
+  }
+  // Stop distance straight from stopLossPips/Points, or from entry vs. absolute stopLoss
+  const relative = resolveRelativeLevels(orderRequest, symbolInfo);
+  if (relative.error) {
+    return {
+      status: 400,
+      error: { error: relative.error, symbol: symbolInfo.name }
+    };
+  }
+  if (!stopLoss && !relative.distances.stopLoss) {
+    return {
+      status: 400,
+      error: { error: 'Risk-based sizing requires a stopLoss, stopLossPips or stopLossPoints' }
+    };
+  }
+
+  const account = await client.getAccountInfo();
+
+  // Pending orders risk from their price, market orders from the current quote
+  let entryPrice = price ? parseFloat(price) : null;
+  if (!entryPrice && !relative.distances.stopLoss) {
+    const quote = await client.getPrice(symbolInfo.symbolId);
+    entryPrice = parseInt(side) === 1 ? quote.ask : quote.bid;
+  }
+
+  const stopDistance = relative.distances.stopLoss ?? Math.abs(entryPrice - parseFloat(stopLoss));
+  if (!(stopDistance > 0)) {
+    return {
+      status: 400,
+      error: { error: 'Stop loss must differ from the entry price', entryPrice, stopLoss }
+    };
+  }
+
+  const rate = await client.getConversionRate(symbolInfo.quoteAssetId, account.depositAssetId);
+  const riskMoney = amount ?? account.balance * percent / 100;
+  const lossPerUnit = stopDistance * rate; // Deposit currency lost per unit at the stop
+
+  // Round down to the volume step so the risk is never exceeded
+  const step = symbolInfo.stepVolume || 1;
+  let sizedVolume = Math.floor((riskMoney / lossPerUnit) * VOLUME_SCALE / step) * step;
+
+  if (symbolInfo.maxVolume && sizedVolume > symbolInfo.maxVolume) {
+    sizedVolume = symbolInfo.maxVolume;
+  }
+  if (sizedVolume <= 0 || (symbolInfo.minVolume && sizedVolume < symbolInfo.minVolume)) {
+    return {
+      status: 400,
+      error: {
+        error: 'Risk too small for the minimum volume',
+        riskAmount: riskMoney,
+        currency: account.currency,
+        minVolume: symbolInfo.minVolume
+      }
+    };
+  }
+
+  const pipSize = symbolInfo.pipPosition !== null ? Math.pow(10, -symbolInfo.pipPosition) : null;
+
+  return {
+    orderRequest: { ...orderRequest, volume: sizedVolume },
+    sizing: {
+      mode: 'risk',
+      balance: account.balance,
+      currency: account.currency,
+      riskAmount: riskMoney,
+      actualRisk: parseFloat((sizedVolume / VOLUME_SCALE * lossPerUnit).toFixed(account.moneyDigits)),
+      entryPrice,
+      stopDistance,
+      conversionRate: rate,
+      ...(pipSize && { pipValuePerLot: parseFloat((pipSize * symbolInfo.lotSize / VOLUME_SCALE * rate).toFixed(4)) }),
+      volume: sizedVolume,
+      lots: sizedVolume / symbolInfo.lotSize
+    }
+  };
+}
+
+/* ========================================
+   📣 EXECUTION EVENTS
+   ======================================== */
+
+// Broker execution / order-error / margin-call messages are normalized into
+// bridge events and published on GET /events (SSE) and /events/ws (WebSocket):
+//   order.accepted, order.filled, order.partially_filled, order.amended,
+//   order.cancelled, order.expired, order.rejected, position.closed, margin.call,
+//   connection.lost, connection.authenticated, token.refresh_failed
+// Account events carry the accountId they happened on.
+
+// Why a position was closed: take_profit, stop_loss, stop_out or manual
+function closeReason(event) {
+  const { order = {}, position = {}, deal = {} } = event;
+
+  if (order.isStopOut) return 'stop_out';
+  if (order.orderType !== STOP_LOSS_TAKE_PROFIT_ORDER) return 'manual';
+
+  // TP closes as a limit order, SL as a stop order
+  if (order.limitPrice !== undefined && order.stopPrice === undefined) return 'take_profit';
+  if (order.stopPrice !== undefined && order.limitPrice === undefined) return 'stop_loss';
+
+  // Otherwise whichever level the fill is nearer to
+  const price = deal.executionPrice;
+  if (price !== undefined && position.stopLoss && position.takeProfit) {
+    return Math.abs(price - position.takeProfit) < Math.abs(price - position.stopLoss) ? 'take_profit' : 'stop_loss';
+  }
+  return position.takeProfit && !position.stopLoss ? 'take_profit' : 'stop_loss';
+}
+
+const EXECUTION_EVENT_NAMES = {
+  [EXECUTION_TYPES.ORDER_ACCEPTED]: 'order.accepted',
+  [EXECUTION_TYPES.ORDER_FILLED]: 'order.filled',
+  [EXECUTION_TYPES.ORDER_PARTIAL_FILL]: 'order.partially_filled',
+  [EXECUTION_TYPES.ORDER_REPLACED]: 'order.amended',
+  [EXECUTION_TYPES.ORDER_CANCELLED]: 'order.cancelled',
+  [EXECUTION_TYPES.ORDER_EXPIRED]: 'order.expired',
+  [EXECUTION_TYPES.ORDER_REJECTED]: 'order.rejected',
+  [EXECUTION_TYPES.ORDER_CANCEL_REJECTED]: 'order.cancel_rejected'
+};
+
+// Number of events kept for Last-Event-ID replay
+const EVENT_HISTORY_SIZE = 200;
+
+class EventBus extends EventEmitter {
+  constructor(tokenManager) {
+    super();
+    this.history = [];
+    this.counter = 0;
+    this.setMaxListeners(0); // One 'event' listener per /events stream, as many as clients connect
+
+    // Never carries the token itself, /events is a public stream
+    tokenManager.on('refresh-failed', ({ error, final, attempts }) => {
+      this.publish('token.refresh_failed', { error, final, attempts });
+    });
+  }
+
+  // Publish the events of an account's client
+  attach(client) {
+    const { accountId } = client;
+    const publish = (type, data = {}) => this.publish(type, { accountId, ...data });
+
+    client.on('execution', (event) => this.onExecution(client, event));
+    client.on('order-error', (event) => publish('order.rejected', {
+      orderId: event.orderId ?? null,
+      positionId: event.positionId ?? null,
+      errorCode: event.errorCode,
+      description: event.description || null
+    }));
+    client.on('margin-call', (event) => publish('margin.call', {
+      marginLevel: event.marginCall?.marginLevelThreshold ?? null,
+      marginCallType: event.marginCall?.marginCallType ?? null
+    }));
+    client.on('disconnected', ({ code, reason }) => publish('connection.lost', { code, reason }));
+    client.on('authenticated', () => publish('connection.authenticated'));
+  }
+
+  publish(type, data = {}) {
+    const event = {
+      id: ++this.counter,
+      type,
+      timestamp: new Date().toISOString(),
+      ...data
+    };
+
+    this.history.push(event);
+    if (this.history.length > EVENT_HISTORY_SIZE) {
+      this.history.shift();
+    }
+
+    this.emit('event', event);
+    return event;
+  }
+
+  since(eventId) {
+    return this.history.filter(event => event.id > eventId);
+  }
+
+  onExecution(client, event) {
+    const { order = {}, position = {}, deal = {} } = event;
+    const trade = position.tradeData || order.tradeData || {};
+    const symbol = client.getSymbol(trade.symbolId ?? deal.symbolId);
+
+    const data = {
+      accountId: client.accountId,
+      symbol: symbol?.name || null,
+      symbolId: trade.symbolId ?? deal.symbolId ?? null,
+      side: trade.tradeSide ?? deal.tradeSide ?? null,
+      orderId: order.orderId ?? null,
+      positionId: position.positionId ?? null,
+      orderType: order.orderType ?? null,
+      volume: trade.volume ?? null,
+      ...(deal.executionPrice !== undefined && { price: deal.executionPrice, filledVolume: deal.filledVolume }),
+      ...(trade.label && { label: trade.label }),
+      ...(trade.comment && { comment: trade.comment }),
+      ...(event.errorCode && { errorCode: event.errorCode })
+    };
+
+    if (position.positionStatus === POSITION_STATUS.CLOSED && event.executionType === EXECUTION_TYPES.ORDER_FILLED) {
+      const detail = deal.closePositionDetail;
+      const scale = Math.pow(10, detail?.moneyDigits ?? 2);
+
+      this.publish('position.closed', {
+        ...data,
+        reason: closeReason(event),
+        closedVolume: detail?.closedVolume ?? deal.filledVolume ?? null,
+        ...(detail && {
+          grossProfit: detail.grossProfit / scale,
+          swap: (detail.swap || 0) / scale,
+          commission: (detail.commission || 0) / scale
+        })
+      });
+      return;
+    }
+
+    const type = EXECUTION_EVENT_NAMES[event.executionType];
+    if (type) {
+      this.publish(type, data);
+    }
+  }
+}
+
+// Closes are keyed with their reason so filters can pick e.g. position.closed.take_profit
+function eventKey(event) {
+  return event.reason ? `${event.type}.${event.reason}` : event.type;
+}
+
+// Parse "order.filled,position.closed.stop_loss" (string or array) into a filter
+function eventTypeFilter(types) {
+  if (!types || types.length === 0) return () => true;
+  const wanted = (Array.isArray(types) ? types : types.toString().split(','))
+    .map(t => t.trim())
+    .filter(Boolean);
+
+  return (event) => {
+    const key = eventKey(event);
+    return wanted.some(type => type === '*' || key === type || key.startsWith(`${type}.`));
+  };
+}
+
+/* ========================================
+   🔔 NOTIFICATIONS
+   ======================================== */
+
+// Outbound notifications. Sinks come from NOTIFY_SINKS, e.g.
+//   [{ "type": "webhook", "url": "https://hook.make.com/...", "events": ["order.filled", "position.closed"] },
+//    { "type": "telegram", "botToken": "123:abc", "chatId": "-100123", "events": ["position.closed.stop_loss"] },
+//    { "type": "email", "smtp": { "host": "smtp.example.com", "port": 587, "user": "...", "pass": "..." },
+//      "from": "bridge@example.com", "to": "desk@example.com", "events": ["connection.down", "token.refresh_failed"] }]
+// Besides the bus events, sinks can subscribe to connection.down (disconnected for
+// more than NOTIFY_DISCONNECT_MINUTES), connection.restored and token.refreshed (without
+// the token itself, only MAKE_WEBHOOK_URL receives it as {{refreshToken}}).
+// "template" is a string (telegram/email) or a JSON body (webhook) with {{field}} placeholders.
+
+const DEFAULT_TEMPLATES = {
+  'order.filled': '✅ {{symbol}} {{sideName}} {{volume}} filled @ {{price}}',
+  'order.partially_filled': '🟡 {{symbol}} {{sideName}} partially filled {{filledVolume}} @ {{price}}',
+  'order.rejected': '❌ Order rejected: {{errorCode}} {{description}}',
+  'order.cancelled': '🚫 {{symbol}} order {{orderId}} cancelled',
+  'position.closed': '🏁 {{symbol}} position {{positionId}} closed ({{reason}}) @ {{price}}, P&L {{grossProfit}}',
+  'margin.call': '🚨 Margin call (level {{marginLevel}})',
+  'risk.rejected': '🚦 {{symbol}} order blocked by risk rules: {{reasons}}',
+  'trading.locked': '🛑 Kill switch: trading locked ({{reason}})',
+  'trading.unlocked': '🟢 Trading unlocked',
+  'queue.expired': '⌛ Queued {{symbol}} order {{queueId}} expired before the connection came back',
+  'queue.rejected': '🚫 Queued {{symbol}} order {{queueId}} dropped ({{reason}})',
+  'queue.failed': '❌ Queued {{symbol}} order {{queueId}} failed: {{error}}',
+  'connection.lost': '⚠️  cTrader connection lost for account {{accountId}} ({{code}} {{reason}})',
+  'connection.authenticated': '🔐 cTrader account {{accountId}} authenticated',
+  'connection.down': '🔌 cTrader connection down for account {{accountId}} for {{minutes}} minutes',
+  'connection.restored': '🔌 cTrader connection restored for account {{accountId}} after {{minutes}} minutes',
+  'token.refreshed': '🔄 cTrader refresh token updated, remember to update your secrets',
+  'token.refresh_failed': '💀 cTrader token refresh failed ({{attempts}}x): {{error}}'
+};
+
+// Replace {{a.b}} placeholders, objects are rendered recursively
+function renderTemplate(template, data) {
+  if (typeof template === 'string') {
+    return template.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (_, path) => {
+      const value = getJsonPath(data, path);
+      if (value === undefined || value === null) return '';
+      return typeof value === 'object' ? JSON.stringify(value) : value.toString();
+    });
+  }
+  if (Array.isArray(template)) {
+    return template.map(item => renderTemplate(item, data));
+  }
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, renderTemplate(value, data)]));
+  }
+  return template;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+class Notifier {
+  constructor(eventBus, tokenManager, sinks) {
+    this.sinks = sinks.map((sink, i) => ({
+      name: sink.name || `${sink.type}-${i + 1}`,
+      retries: 3,
+      ...sink,
+      accepts: eventTypeFilter(sink.events),
+      stats: { sent: 0, failed: 0, lastError: null, lastSentAt: null }
+    }));
+    this.disconnectMs = parseFloat(NOTIFY_DISCONNECT_MINUTES) * 60000;
+    this.outages = new Map(); // accountId -> { since, timer, alerted }
+    this.mailTransports = new Map();
+
+    eventBus.on('event', (event) => this.onEvent(event));
+
+    // Private: the refresh token only goes to the legacy MAKE_WEBHOOK_URL sink, never to
+    // the public bus or to sinks that post the raw event
+    tokenManager.on('refreshed', ({ refreshToken }) => {
+      this.dispatch({ type: 'token.refreshed', timestamp: new Date().toISOString() }, { refreshToken });
+    });
+  }
+
+  onEvent(event) {
+    const { accountId } = event;
+    const outage = this.outages.get(accountId);
+
+    if (event.type === 'connection.lost' && !outage) {
+      const since = Date.now();
+      const down = { since, alerted: false };
+      down.timer = setTimeout(() => {
+        down.alerted = true;
+        this.dispatch({ type: 'connection.down', timestamp: new Date().toISOString(), accountId, minutes: Math.round(this.disconnectMs / 60000), since: new Date(since).toISOString() });
+      }, this.disconnectMs);
+      this.outages.set(accountId, down);
+    } else if (event.type === 'connection.authenticated' && outage) {
+      clearTimeout(outage.timer);
+      if (outage.alerted) {
+        this.dispatch({ type: 'connection.restored', timestamp: new Date().toISOString(), accountId, minutes: Math.round((Date.now() - outage.since) / 60000) });
+      }
+      this.outages.delete(accountId);
+    }
+
+    this.dispatch(event);
+  }
+
+  // secrets are only added for sinks marked receivesSecrets
+  dispatch(event, secrets = {}) {
+    const data = {
+      ...event,
+      sideName: event.side === 1 ? 'BUY' : event.side === 2 ? 'SELL' : '',
+      appName: process.env.FLY_APP_NAME || 'ctrader-order-bot'
+    };
+
+    for (const sink of this.sinks) {
+      if (!sink.accepts(event)) continue;
+      this.deliver(sink, sink.receivesSecrets ? { ...data, ...secrets } : data).catch(error => {
+        console.error(`❌ Notification to ${sink.name} failed for good (${event.type}):`, error.message);
+      });
+    }
+  }
+
+  // Exponential backoff: 1s, 2s, 4s... capped at 30s
+  async deliver(sink, data) {
+    for (let attempt = 0; ; attempt++) {
+      try {
+        await this.send(sink, data);
+        sink.stats.sent++;
+        sink.stats.lastSentAt = new Date().toISOString();
+        console.log(`📨 Notification sent to ${sink.name} (${data.type})`);
+        return;
+      } catch (error) {
+        if (attempt >= sink.retries) {
+          sink.stats.failed++;
+          sink.stats.lastError = error.message;
+          throw error;
+        }
+        const delay = Math.min(1000 * Math.pow(2, attempt), 30000);
+        console.warn(`⚠️  Notification to ${sink.name} failed (${error.message}), retrying in ${delay / 1000}s...`);
+        await sleep(delay);
+      }
+    }
+  }
+
+  text(sink, data) {
+    const template = sink.template || DEFAULT_TEMPLATES[data.type] || '{{type}}: {{json}}';
+    return renderTemplate(template, { ...data, json: JSON.stringify(data) });
+  }
+
+  async send(sink, data) {
+    switch (sink.type) {
+      case 'webhook': {
+        const body = sink.template ? renderTemplate(sink.template, data) : data;
+        const response = await fetch(sink.url, {
+          method: sink.method || 'POST',
+          headers: { 'Content-Type': 'application/json', ...sink.headers },
+          body: JSON.stringify(body)
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        return;
+      }
+
+      case 'telegram': {
+        const apiUrl = sink.apiUrl || TELEGRAM_API_URL;
+        const response = await fetch(`${apiUrl}/bot${sink.botToken}/sendMessage`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify({ chat_id: sink.chatId, text: this.text(sink, data), disable_web_page_preview: true })
+        });
+        if (!response.ok) throw new Error(`HTTP ${response.status}: ${await response.text()}`);
+        return;
+      }
+
+      case 'email': {
+        const transport = await this.getMailTransport(sink);
+        await transport.sendMail({
+          from: sink.from,
+          to: sink.to,
+          subject: renderTemplate(sink.subject || '[{{appName}}] {{type}}', data),
+          text: this.text(sink, data)
+        });
+        return;
+      }
+
+      default:
+        throw new Error(`Unknown sink type: ${sink.type}`);
+    }
+  }
+
+  async getMailTransport(sink) {
+    if (!this.mailTransports.has(sink.name)) {
+      const { default: nodemailer } = await import('nodemailer');
+      const { host, port = 587, secure = port === 465, user, pass } = sink.smtp || {};
+      this.mailTransports.set(sink.name, nodemailer.createTransport({
+        host,
+        port,
+        secure,
+        ...(user && { auth: { user, pass } })
+      }));
+    }
+    return this.mailTransports.get(sink.name);
+  }
+
+  // Sink overview without credentials
+  list() {
+    return this.sinks.map(({ name, type, events, retries, stats }) => ({
+      name,
+      type,
+      events: events || ['*'],
+      retries,
+      ...stats
+    }));
+  }
+}
+
+function loadNotificationSinks() {
+  const config = loadJsonConfig(NOTIFY_SINKS, 'NOTIFY_SINKS');
+  const sinks = (Array.isArray(config) ? config : config.sinks || [])
+    .map(({ receivesSecrets, ...sink }) => sink); // internal, see below
+
+  // Legacy Make.com token webhook, same payload as before
+  if (process.env.MAKE_WEBHOOK_URL) {
+    sinks.push({
+      name: 'make-token-refresh',
+      type: 'webhook',
+      url: process.env.MAKE_WEBHOOK_URL,
+      events: ['token.refreshed'],
+      receivesSecrets: true,
+      template: {
+        event: 'token_refreshed',
+        timestamp: '{{timestamp}}',
+        app_name: '{{appName}}',
+        refresh_token: '{{refreshToken}}',
+        message: 'cTrader refresh token has been updated. Please update your secrets.'
+      }
+    });
+  }
+
+  return sinks;
+}
+
+/* ========================================
+   🎯 TAKE-PROFIT GROUPS
+   ======================================== */
+
+// An order with takeProfits: [{ price | pips | points, percent }] is split into
+// one child order per target, each carrying its own TP. The tracker follows the
+// children through execution events to report which targets have been hit.
+
+// Split a sized order request into child requests, returns { children } or { error }
+function splitTakeProfits(orderRequest, symbolInfo) {
+  const { takeProfits, takeProfit, takeProfitPips, takeProfitPoints, ...base } = orderRequest;
+
+  if (!Array.isArray(takeProfits) || takeProfits.length === 0) {
+    return { error: 'takeProfits must be a non-empty array of { price, percent }' };
+  }
+  if ([takeProfit, takeProfitPips, takeProfitPoints].some(v => v !== undefined)) {
+    return { error: 'Use either takeProfit or takeProfits, not both' };
+  }
+
+  // Missing percents share what is left equally
+  const explicit = takeProfits.filter(tp => tp.percent !== undefined);
+  const explicitTotal = explicit.reduce((sum, tp) => sum + parseFloat(tp.percent), 0);
+  const implicitShare = (100 - explicitTotal) / (takeProfits.length - explicit.length || 1);
+  const percents = takeProfits.map(tp => (tp.percent !== undefined ? parseFloat(tp.percent) : implicitShare));
+
+  if (percents.some(p => !(p > 0)) || Math.abs(percents.reduce((a, b) => a + b, 0) - 100) > 0.01) {
+    return { error: 'takeProfits percents must be positive and add up to 100', percents };
+  }
+
+  // Floor each part to the volume step, the last target takes the remainder
+  const totalVolume = parseInt(orderRequest.volume);
+  const step = symbolInfo.stepVolume || 1;
+  const volumes = percents.map(p => Math.floor(totalVolume * p / 100 / step) * step);
+  volumes[volumes.length - 1] = totalVolume - volumes.slice(0, -1).reduce((a, b) => a + b, 0);
+
+  if (volumes.some(v => v <= 0 || (symbolInfo.minVolume && v < symbolInfo.minVolume))) {
+    return { error: 'Volume too small to split across takeProfits', volumes, minVolume: symbolInfo.minVolume };
+  }
+
+  const children = takeProfits.map((tp, i) => {
+    const level = tp.price !== undefined ? { takeProfit: tp.price }
+      : tp.pips !== undefined ? { takeProfitPips: tp.pips }
+      : tp.points !== undefined ? { takeProfitPoints: tp.points }
+      : {};
+
+    return {
+      ...base,
+      ...level,
+      volume: volumes[i],
+      comment: [base.comment, `TP${i + 1}`].filter(Boolean).join(' ')
+    };
+  });
+
+  if (children.some(child => !child.takeProfit && !child.takeProfitPips && !child.takeProfitPoints)) {
+    return { error: 'Every takeProfits entry needs a price, pips or points' };
+  }
+
+  return { children };
+}
+
+// Position / order IDs from a sendOrder result (execution event payload)
+function executionIds(result) {
+  return {
+    positionId: result?.position?.positionId ?? null,
+    orderId: result?.order?.orderId ?? null
+  };
+}
+
+// Multi-TP groups of an account, saved in DATA_DIR/tp-groups-<accountId>.json until every
+// target is closed or cancelled. After a (re)connect, targets whose position or order is gone
+// are settled, a pending target that filled while the bridge was down counts as cancelled.
+class TakeProfitTracker extends EventEmitter {
+  /**
+   * options.persist - JsonFileStore name for the groups, null keeps them in memory
+   */
+  constructor(client, { persist = null } = {}) {
+    super();
+    this.client = client;
+    this.groupCounter = 0;
+
+    const defaults = { groups: {} };
+    this.store = persist ? new JsonFileStore(persist, defaults) : { data: defaults, save() {} };
+    this.groups = new Map(Object.entries(this.store.data.groups)); // groupId -> group
+
+    this.client.on('execution', (event) => this.onExecution(event));
+    this.client.on('authenticated', () => {
+      this.rebuild().catch(err => console.error('❌ Take-profit groups rebuild failed:', err.message));
+    });
+  }
+
+  save() {
+    this.store.data = { groups: Object.fromEntries(this.groups) };
+    this.store.save();
+  }
+
+  // Drops groups with nothing left open or pending
+  prune() {
+    for (const [groupId, group] of this.groups) {
+      if (group.targets.every(target => target.status !== 'open' && target.status !== 'pending')) {
+        console.log(`🎯 ${groupId} finished: ${group.targets.map(target => target.status).join(', ')}`);
+        this.groups.delete(groupId);
+      }
+    }
+  }
+
+  async rebuild() {
+    if (this.groups.size === 0) return;
+
+    const [positions, orders] = await Promise.all([this.client.getPositions(), this.client.getPendingOrders()]);
+    const openPositions = new Set(positions.map(position => position.positionId));
+    const pendingOrders = new Set(orders.map(order => order.orderId));
+
+    for (const group of this.groups.values()) {
+      for (const target of group.targets) {
+        if (target.status === 'open' && !openPositions.has(target.positionId)) {
+          target.status = 'closed';
+        } else if (target.status === 'pending' && !pendingOrders.has(target.orderId)) {
+          target.status = 'cancelled';
+        }
+      }
+    }
+    this.prune();
+    this.save();
+  }
+
+  register(symbolId, targets) {
+    const groupId = `tp_${Date.now()}_${++this.groupCounter}`;
+
+    this.groups.set(groupId, {
+      groupId,
+      symbolId,
+      createdAt: new Date().toISOString(),
+      targets: targets.map((target, i) => ({
+        target: i + 1,
+        status: target.positionId ? 'open' : 'pending',
+        ...target
+      }))
+    });
+    this.save();
+
+    return groupId;
+  }
+
+  findTarget(event) {
+    const positionId = event.position?.positionId;
+    const orderId = event.order?.orderId;
+
+    for (const group of this.groups.values()) {
+      const target = group.targets.find(t =>
+        (positionId && t.positionId === positionId) || (orderId && t.orderId === orderId));
+      if (target) return { group, target };
+    }
+    return null;
+  }
+
+  onExecution(event) {
+    const match = this.findTarget(event);
+    if (!match) return;
+
+    const { group, target } = match;
+
+    // Pending child filled: remember its position
+    if (!target.positionId && event.position?.positionId) {
+      target.positionId = event.position.positionId;
+    }
+
+    if (event.position?.positionStatus === POSITION_STATUS.OPEN && target.status === 'pending') {
+      target.status = 'open';
+    } else if (event.position?.positionStatus === POSITION_STATUS.CLOSED) {
+      const reason = closeReason(event);
+
+      target.status = reason === 'take_profit' ? 'tp_hit'
+        : reason === 'stop_loss' || reason === 'stop_out' ? 'sl_hit'
+        : 'closed';
+      target.closedAt = new Date().toISOString();
+      target.closePrice = event.deal?.executionPrice ?? null;
+
+      console.log(`🎯 ${group.groupId} target ${target.target}: ${target.status}`);
+      if (target.status === 'tp_hit') {
+        this.emit('target-hit', { group, target });
+      }
+    } else if (event.executionType === EXECUTION_TYPES.ORDER_CANCELLED ||
+               event.executionType === EXECUTION_TYPES.ORDER_EXPIRED) {
+      target.status = 'cancelled';
+    }
+
+    this.prune();
+    this.save();
+  }
+
+  get(groupId) {
+    return this.groups.get(groupId) || null;
+  }
+
+  list() {
+    return Array.from(this.groups.values());
+  }
+}
+
+/* ========================================
+   🛡️ TRADE MANAGER (BREAK-EVEN / TRAILING)
+   ======================================== */
+
+// Per-position stop-loss rules, evaluated on every spot tick:
+//   breakEven:    { triggerPips: 15, offsetPips: 1 } or { afterTarget: 1 } (TP1 of a take-profit group)
+//   trailing:     { distancePips: 20, activationPips: 10 }
+//   stepTrailing: { stepPips: 20 } - SL follows in whole steps: entry after 1 step, +1 step after 2...
+// Rules are saved per account in DATA_DIR/trade-manager-<accountId>.json and checked against the
+// broker's positions after every (re)connect. A pending order that fills while the bridge is
+// down is not picked up, attach its rules again with PUT /positions/:id/management.
+// A rejected SL amendment is retried with backoff, the rules are dropped after
+// SL_AMEND_MAX_FAILURES rejections in a row.
+
+const SL_AMEND_MAX_FAILURES = 5;
+const SL_AMEND_MAX_BACKOFF_MS = 60000;
+
+function pipSize(symbolInfo) {
+  return symbolInfo?.pipPosition !== null && symbolInfo?.pipPosition !== undefined
+    ? Math.pow(10, -symbolInfo.pipPosition)
+    : null;
+}
+
+class TradeManager {
+  /**
+   * options.persist - JsonFileStore name for the rules, null keeps them in memory
+   * options.now     - clock, replaced by the tick time when backtesting
+   */
+  constructor(client, tracker, { persist = null, now = () => Date.now() } = {}) {
+    this.client = client;
+    this.now = now;
+    this.amending = new Set();
+
+    const defaults = { positions: {}, pending: {} };
+    this.store = persist ? new JsonFileStore(persist, defaults) : { data: defaults, save() {} };
+    this.rules = new Map(Object.values(this.store.data.positions).map(state => [state.positionId, state])); // positionId -> managed position state
+    this.pendingAttachments = new Map(Object.entries(this.store.data.pending).map(([orderId, pending]) => [parseInt(orderId), pending])); // orderId -> rules, attached once the order fills
+
+    // Saved rules take their spot references now, the client subscribes once authenticated
+    for (const state of this.rules.values()) {
+      this.client.subscribeSpots(state.symbolId)
+        .catch(err => console.warn(`⚠️  Subscribe failed for ${state.symbolId}:`, err.message));
+    }
+
+    client.on('spot', (quote) => this.onSpot(quote));
+    client.on('execution', (event) => this.onExecution(event));
+    client.on('authenticated', () => {
+      this.rebuild().catch(err => console.error('❌ Trade manager rebuild failed:', err.message));
+    });
+    tracker.on('target-hit', ({ group }) => this.onTargetHit(group));
+  }
+
+  save() {
+    this.store.data = {
+      positions: Object.fromEntries(this.rules),
+      pending: Object.fromEntries(this.pendingAttachments)
+    };
+    this.store.save();
+  }
+
+  // Returns an error message or null
+  validateRules(rules) {
+    if (!rules || typeof rules !== 'object') return 'management must be an object';
+
+    const { breakEven, trailing, stepTrailing } = rules;
+    if (!breakEven && !trailing && !stepTrailing) {
+      return 'management needs breakEven, trailing or stepTrailing';
+    }
+    if (trailing && stepTrailing) {
+      return 'Use either trailing or stepTrailing, not both';
+    }
+    if (breakEven) {
+      const hasTrigger = parseFloat(breakEven.triggerPips) > 0;
+      const hasTarget = parseInt(breakEven.afterTarget) >= 1;
+      if (hasTrigger === hasTarget) return 'breakEven needs either triggerPips > 0 or afterTarget >= 1';
+      if (breakEven.offsetPips !== undefined && !(parseFloat(breakEven.offsetPips) >= 0)) {
+        return 'breakEven.offsetPips must be >= 0';
+      }
+    }
+    if (trailing) {
+      if (!(parseFloat(trailing.distancePips) > 0)) return 'trailing.distancePips must be > 0';
+      if (trailing.activationPips !== undefined && !(parseFloat(trailing.activationPips) >= 0)) {
+        return 'trailing.activationPips must be >= 0';
+      }
+    }
+    if (stepTrailing && !(parseFloat(stepTrailing.stepPips) > 0)) {
+      return 'stepTrailing.stepPips must be > 0';
+    }
+    return null;
+  }
+
+  async attach(positionId, rules, { groupId = null } = {}) {
+    const position = await this.client.getPosition(positionId);
+    if (!position) return null;
+
+    const state = {
+      positionId: position.positionId,
+      symbolId: position.symbolId,
+      symbol: position.symbol,
+      side: position.side,
+      entryPrice: position.entryPrice,
+      stopLoss: position.stopLoss,
+      takeProfit: position.takeProfit,
+      groupId,
+      rules,
+      adjustments: [],
+      failures: 0,      // SL amendments rejected in a row
+      retryAt: null,    // no amendment before this time (ms) after a rejection
+      attachedAt: new Date(this.now()).toISOString()
+    };
+
+    // One spot reference per managed position
+    const isNew = !this.rules.has(state.positionId);
+    this.rules.set(state.positionId, state);
+    this.save();
+    if (isNew) {
+      await this.client.subscribeSpots(state.symbolId);
+    }
+
+    console.log(`🛡️ Managing position ${state.positionId} (${state.symbol}):`, JSON.stringify(rules));
+    return state;
+  }
+
+  // Attach rules to whatever a sendOrder result produced: a position now, or an order later
+  async attachFromResult(result, rules, options = {}) {
+    const { positionId, orderId } = executionIds(result);
+
+    if (positionId) {
+      return this.attach(positionId, rules, options);
+    }
+    if (orderId) {
+      this.pendingAttachments.set(orderId, { rules, options });
+      this.save();
+      return { orderId, waitingForFill: true, rules };
+    }
+    return null;
+  }
+
+  detach(positionId) {
+    const state = this.rules.get(parseInt(positionId));
+    if (!state) return false;
+
+    this.rules.delete(state.positionId);
+    this.save();
+    this.client.unsubscribeSpots(state.symbolId)
+      .catch(err => console.warn(`⚠️  Unsubscribe failed for ${state.symbolId}:`, err.message));
+    return true;
+  }
+
+  // After (re)authentication: drop closed positions and refresh levels
+  // (the client restores the spot subscriptions itself)
+  async rebuild() {
+    if (this.rules.size === 0) return;
+
+    const positions = await this.client.getPositions();
+    const byId = new Map(positions.map(p => [p.positionId, p]));
+
+    for (const [positionId, state] of this.rules) {
+      const position = byId.get(positionId);
+      if (!position) {
+        console.log(`🛡️ Position ${positionId} no longer open, dropping its rules`);
+        this.detach(positionId);
+        continue;
+      }
+      state.stopLoss = position.stopLoss;
+      state.takeProfit = position.takeProfit;
+    }
+    this.save();
+
+    console.log(`🛡️ Trade manager rebuilt (${this.rules.size} positions)`);
+  }
+
+  onExecution(event) {
+    const positionId = event.position?.positionId;
+    const orderId = event.order?.orderId;
+
+    // Pending order with rules just filled
+    if (orderId && this.pendingAttachments.has(orderId) && positionId &&
+        event.executionType === EXECUTION_TYPES.ORDER_FILLED) {
+      const { rules, options } = this.pendingAttachments.get(orderId);
+      this.pendingAttachments.delete(orderId);
+      this.save();
+      this.attach(positionId, rules, options)
+        .catch(err => console.error(`❌ Could not manage position ${positionId}:`, err.message));
+      return;
+    }
+    if (orderId && (event.executionType === EXECUTION_TYPES.ORDER_CANCELLED ||
+                    event.executionType === EXECUTION_TYPES.ORDER_EXPIRED) &&
+        this.pendingAttachments.delete(orderId)) {
+      this.save();
+    }
+
+    const state = positionId && this.rules.get(positionId);
+    if (!state) return;
+
+    if (event.position.positionStatus === POSITION_STATUS.CLOSED) {
+      console.log(`🛡️ Position ${positionId} closed, rules removed`);
+      this.detach(positionId);
+    } else {
+      // Keep levels in sync with amendments made elsewhere
+      state.stopLoss = event.position.stopLoss ?? state.stopLoss;
+      state.takeProfit = event.position.takeProfit ?? state.takeProfit;
+    }
+  }
+
+  onSpot(quote) {
+    for (const state of this.rules.values()) {
+      if (state.symbolId === quote.symbolId) {
+        this.evaluate(state, quote);
+      }
+    }
+  }
+
+  evaluate(state, quote) {
+    const symbolInfo = this.client.getSymbol(state.symbolId);
+    const pip = pipSize(symbolInfo);
+    if (!pip || !state.entryPrice) return;
+
+    const isBuy = state.side === 1;
+    const price = isBuy ? quote.bid : quote.ask; // Price the position would close at
+    if (price === undefined) return;
+
+    const direction = isBuy ? 1 : -1;
+    const profitPips = direction * (price - state.entryPrice) / pip;
+    const { breakEven, trailing, stepTrailing } = state.rules;
+    const candidates = [];
+
+    if (breakEven?.triggerPips && profitPips >= parseFloat(breakEven.triggerPips)) {
+      candidates.push({ stopLoss: state.entryPrice + direction * (parseFloat(breakEven.offsetPips) || 0) * pip, reason: 'break-even' });
+    }
+    if (trailing && profitPips >= (parseFloat(trailing.activationPips) || 0)) {
+      candidates.push({ stopLoss: price - direction * parseFloat(trailing.distancePips) * pip, reason: 'trailing' });
+    }
+    if (stepTrailing) {
+      const steps = Math.floor(profitPips / parseFloat(stepTrailing.stepPips));
+      if (steps >= 1) {
+        candidates.push({ stopLoss: state.entryPrice + direction * (steps - 1) * parseFloat(stepTrailing.stepPips) * pip, reason: 'step-trailing' });
+      }
+    }
+    if (candidates.length === 0) return;
+
+    // Tightest stop wins, and it may only ever move in the position's favour
+    const best = candidates.reduce((a, b) => (direction * (b.stopLoss - a.stopLoss) > 0 ? b : a));
+    const stopLoss = roundPrice(best.stopLoss, symbolInfo.digits);
+    const minMove = Math.pow(10, -(symbolInfo.digits ?? 5));
+
+    if (state.stopLoss && direction * (stopLoss - state.stopLoss) < minMove) return;
+
+    this.moveStopLoss(state, stopLoss, best.reason);
+  }
+
+  onTargetHit(group) {
+    const hits = group.targets.filter(t => t.status === 'tp_hit').length;
+
+    for (const target of group.targets) {
+      const state = target.positionId && this.rules.get(target.positionId);
+      const afterTarget = parseInt(state?.rules.breakEven?.afterTarget);
+      if (!state || !afterTarget || hits < afterTarget) continue;
+
+      const direction = state.side === 1 ? 1 : -1;
+      if (state.stopLoss && direction * (state.entryPrice - state.stopLoss) <= 0) continue; // Already at/above entry
+
+      const pip = pipSize(this.client.getSymbol(state.symbolId)) || 0;
+      const offset = (parseFloat(state.rules.breakEven.offsetPips) || 0) * pip;
+      this.moveStopLoss(state, state.entryPrice + direction * offset, `break-even after TP${afterTarget}`);
+    }
+  }
+
+  async moveStopLoss(state, stopLoss, reason) {
+    if (this.amending.has(state.positionId)) return; // One amendment in flight per position
+    if (state.retryAt && this.now() < state.retryAt) return; // Backing off after a rejection
+    this.amending.add(state.positionId);
+
+    try {
+      await this.client.amendPositionSltp(state.positionId, { stopLoss, takeProfit: state.takeProfit });
+
+      console.log(`🛡️ ${state.symbol} position ${state.positionId}: SL ${state.stopLoss ?? 'none'} → ${stopLoss} (${reason})`);
+      state.adjustments.push({ from: state.stopLoss, to: stopLoss, reason, at: new Date(this.now()).toISOString() });
+      state.stopLoss = stopLoss;
+      state.failures = 0;
+      state.retryAt = null;
+      this.save();
+    } catch (error) {
+      state.failures = (state.failures || 0) + 1;
+      if (state.failures >= SL_AMEND_MAX_FAILURES) {
+        console.error(`❌ SL update failed ${state.failures}x for position ${state.positionId}, dropping its rules:`, error.message);
+        this.detach(state.positionId);
+      } else {
+        // Exponential backoff: 1s, 2s, 4s... capped at SL_AMEND_MAX_BACKOFF_MS
+        const backoffTime = Math.min(1000 * Math.pow(2, state.failures - 1), SL_AMEND_MAX_BACKOFF_MS);
+        state.retryAt = this.now() + backoffTime;
+        console.error(`❌ SL update failed for position ${state.positionId}, retrying in ${backoffTime/1000}s:`, error.message);
+      }
+    } finally {
+      this.amending.delete(state.positionId);
+    }
+  }
+
+  list() {
+    return Array.from(this.rules.values());
+  }
+
+  get(positionId) {
+    return this.rules.get(parseInt(positionId)) || null;
+  }
+}
+
+/* ========================================
+   🚦 RISK ENGINE
+   ======================================== */
+
+// Pre-trade checks every order has to pass before it is sent. Rules come from
+// RISK_RULES (inline JSON or a file, reloaded with POST /risk/reload), e.g.
+//   {
+//     "maxLots": 2,                                  // open + working + new volume per symbol
+//     "maxOpenPositions": 5,                         // open positions + working orders
+//     "maxExposure": { "USD": 300000, "EUR": 200000 }, // net units per currency
+//     "dailyLossLimit": 500,                         // deposit currency, realized + floating
+//     "requireStopLoss": true,
+//     "minRewardRisk": 1.5,
+//     "tradingHours": { "timezone": "Europe/Rome", "days": ["mon", "tue", "wed", "thu", "fri"], "start": "08:00", "end": "22:00" },
+//     "symbols": { "XAUUSD": { "maxLots": 0.5, "tradingHours": { "start": "09:00", "end": "17:00" } } }
+//   }
+// Rules under "symbols" override the top-level ones for that symbol, except the account-wide
+// maxOpenPositions, maxExposure and dailyLossLimit which are refused there.
+// The trading day for dailyLossLimit starts at midnight in "timezone" (default UTC).
+
+const ACCOUNT_RISK_RULES = ['maxOpenPositions', 'maxExposure', 'dailyLossLimit'];
+
+// RISK_RULES -> rules, throws when it does not parse or sets account-wide rules per symbol
+function parseRiskRules(value) {
+  const rules = value ? parseJsonConfig(value) : {};
+  for (const [symbol, overrides] of Object.entries(rules.symbols || {})) {
+    const misplaced = ACCOUNT_RISK_RULES.filter(name => overrides?.[name] !== undefined);
+    if (misplaced.length > 0) {
+      throw new Error(`${misplaced.join(', ')} cover the whole account and cannot be set under symbols.${symbol}`);
+    }
+  }
+  return rules;
+}
+
+const WEEKDAYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+
+// Weekday and time of day in an IANA time zone
+function zonedTime(date, timeZone = 'UTC') {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    weekday: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23'
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  const hour = parseInt(parts.hour) % 24;
+  const minute = parseInt(parts.minute);
+  const second = parseInt(parts.second);
+
+  return {
+    weekday: parts.weekday.toLowerCase(),
+    minutes: hour * 60 + minute,
+    sinceMidnightMs: ((hour * 60 + minute) * 60 + second) * 1000 + date.getMilliseconds()
+  };
+}
+
+function parseClock(value) {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(value || '');
+  return match ? parseInt(match[1]) * 60 + parseInt(match[2]) : null;
+}
+
+// "start" > "end" is an overnight session, e.g. 22:00 - 06:00
+function withinTradingHours(hours, date = new Date()) {
+  const { weekday, minutes } = zonedTime(date, hours.timezone);
+  const days = (hours.days || WEEKDAYS).map(day => typeof day === 'number' ? WEEKDAYS[day] : day.toLowerCase().slice(0, 3));
+  if (!days.includes(weekday)) return false;
+
+  const start = parseClock(hours.start) ?? 0;
+  const end = parseClock(hours.end) ?? 24 * 60;
+  return start <= end
+    ? minutes >= start && minutes < end
+    : minutes >= start || minutes < end;
+}
+
+class RiskEngine {
+  /**
+   * options.rules - fixed rules instead of RISK_RULES (backtests reuse the live ones)
+   * options.now   - clock for trading hours and the daily loss window
+   */
+  constructor(client, { rules = null, now = () => Date.now() } = {}) {
+    this.client = client;
+    this.now = now;
+    this.fixedRules = rules;
+    this.reload();
+  }
+
+  // Throws and keeps the previous rules when RISK_RULES is invalid
+  reload() {
+    this.rules = this.fixedRules || parseRiskRules(RISK_RULES);
+    this.loadedAt = new Date().toISOString();
+    return this.rules;
+  }
+
+  rule(name, symbolName) {
+    return this.rules.symbols?.[symbolName]?.[name] ?? this.rules[name];
+  }
+
+  // Anything beyond the order itself needs the account state
+  needsAccount() {
+    return ['maxLots', ...ACCOUNT_RISK_RULES].some(name => this.rules[name] !== undefined) ||
+      Object.values(this.rules.symbols || {}).some(rules => rules.maxLots !== undefined);
+  }
+
+  async entryPrice(orderData) {
+    if (orderData.price) return orderData.price;
+    const quote = await this.client.getPrice(orderData.symbolId);
+    return orderData.side === 1 ? quote.ask : quote.bid;
+  }
+
+  /**
+   * Validated orders ({ orderData, symbolInfo }) -> list of violations, empty if all pass
+   *
+   * options.replacing - id of the working order an amendment replaces, left out of the totals
+   */
+  async check(orders, { replacing = null } = {}) {
+    const violations = [];
+    const account = this.needsAccount() ? await this.client.reconcile() : null;
+    const volumeChecked = new Set();
+
+    // Working orders become positions when they fill (as in getPendingOrders, closing orders never do)
+    const working = (account?.orders || []).filter(order => order.orderId !== replacing &&
+      !order.closingOrder && order.orderType !== ORDER_TYPES.MARKET);
+
+    for (const { orderData, symbolInfo } of orders) {
+      const symbol = symbolInfo.name;
+      const violation = (rule, message, details = {}) => violations.push({ rule, symbol, message, ...details });
+
+      const hours = this.rule('tradingHours', symbol);
+      if (hours && !withinTradingHours({ timezone: this.rules.timezone, ...hours }, new Date(this.now()))) {
+        violation('outside_trading_hours', `${symbol} may only be traded ${hours.start || '00:00'}-${hours.end || '24:00'} ${hours.timezone || this.rules.timezone || 'UTC'}`, { tradingHours: hours });
+      }
+
+      const hasStopLoss = !!(orderData.stopLoss || orderData.relativeStopLoss);
+      if (this.rule('requireStopLoss', symbol) && !hasStopLoss) {
+        violation('stop_loss_required', 'Orders must carry a stop loss');
+      }
+
+      const minRewardRisk = this.rule('minRewardRisk', symbol);
+      const hasTakeProfit = !!(orderData.takeProfit || orderData.relativeTakeProfit);
+      if (minRewardRisk && hasStopLoss && hasTakeProfit) {
+        let risk = orderData.relativeStopLoss;
+        let reward = orderData.relativeTakeProfit;
+        if (!risk || !reward) {
+          const entry = await this.entryPrice(orderData);
+          risk = risk || Math.abs(entry - orderData.stopLoss) * SPOT_PRICE_SCALE;
+          reward = reward || Math.abs(orderData.takeProfit - entry) * SPOT_PRICE_SCALE;
+        }
+
+        const ratio = risk > 0 ? reward / risk : 0;
+        if (ratio < minRewardRisk) {
+          violation('min_reward_risk', `Reward/risk ${ratio.toFixed(2)} is below ${minRewardRisk}`, {
+            limit: minRewardRisk,
+            actual: parseFloat(ratio.toFixed(2))
+          });
+        }
+      }
+
+      // Split take-profit children share one symbol, count them together once
+      const maxLots = this.rule('maxLots', symbol);
+      if (maxLots !== undefined && symbolInfo.lotSize && !volumeChecked.has(symbolInfo.symbolId)) {
+        volumeChecked.add(symbolInfo.symbolId);
+        const openVolume = [...account.positions, ...working]
+          .filter(entry => entry.tradeData?.symbolId === symbolInfo.symbolId)
+          .reduce((sum, entry) => sum + entry.tradeData.volume, 0);
+        const newVolume = orders
+          .filter(order => order.orderData.symbolId === symbolInfo.symbolId)
+          .reduce((sum, order) => sum + order.orderData.volume, 0);
+        const lots = (openVolume + newVolume) / symbolInfo.lotSize;
+
+        if (lots > maxLots) {
+          violation('max_lots', `${symbol} volume would reach ${lots} lots, limit is ${maxLots}`, {
+            limit: maxLots,
+            actual: parseFloat(lots.toFixed(4))
+          });
+        }
+      }
+    }
+
+    if (account) {
+      const maxOpenPositions = this.rules.maxOpenPositions;
+      const total = account.positions.length + working.length + orders.length;
+      if (maxOpenPositions !== undefined && total > maxOpenPositions) {
+        violations.push({
+          rule: 'max_open_positions',
+          message: `${account.positions.length} positions open and ${working.length} orders working, limit is ${maxOpenPositions}`,
+          limit: maxOpenPositions,
+          actual: total
+        });
+      }
+
+      if (this.rules.maxExposure) {
+        violations.push(...await this.checkExposure(orders, account.positions));
+      }
+
+      if (this.rules.dailyLossLimit !== undefined) {
+        const pnl = await this.dailyPnl(account.positions);
+        if (-pnl.total >= this.rules.dailyLossLimit) {
+          violations.push({
+            rule: 'daily_loss_limit',
+            message: `Daily loss ${(-pnl.total).toFixed(2)} reached the limit of ${this.rules.dailyLossLimit}`,
+            limit: this.rules.dailyLossLimit,
+            actual: -pnl.total,
+            ...pnl
+          });
+        }
+      }
+    }
+
+    return violations;
+  }
+
+  // Net units per currency: long EURUSD is +EUR / -USD
+  exposure(entries) {
+    const byAsset = new Map();
+    const add = (assetId, units) => byAsset.set(assetId, (byAsset.get(assetId) || 0) + units);
+
+    for (const { symbolId, side, volume, price } of entries) {
+      const symbolInfo = this.client.getSymbol(symbolId);
+      if (!symbolInfo) continue;
+
+      const direction = side === 1 ? 1 : -1;
+      const units = volume / VOLUME_SCALE;
+      add(symbolInfo.baseAssetId, direction * units);
+      add(symbolInfo.quoteAssetId, -direction * units * price);
+    }
+
+    return new Map(Array.from(byAsset, ([assetId, units]) => [this.client.assetsById.get(assetId)?.name || `${assetId}`, units]));
+  }
+
+  async checkExposure(orders, positions) {
+    const open = positions.map(position => ({
+      symbolId: position.tradeData.symbolId,
+      side: position.tradeData.tradeSide,
+      volume: position.tradeData.volume,
+      price: position.price
+    }));
+    const incoming = [];
+    for (const { orderData } of orders) {
+      incoming.push({ ...orderData, price: await this.entryPrice(orderData) });
+    }
+
+    const before = this.exposure(open);
+    const after = this.exposure([...open, ...incoming]);
+    const violations = [];
+
+    for (const [currency, units] of after) {
+      const limit = this.rules.maxExposure[currency] ?? this.rules.maxExposure.default;
+      const previous = Math.abs(before.get(currency) || 0);
+
+      // Orders that reduce an already too large exposure are fine
+      if (limit !== undefined && Math.abs(units) > limit && Math.abs(units) > previous) {
+        violations.push({
+          rule: 'max_exposure',
+          currency,
+          message: `${currency} exposure would reach ${Math.round(units)}, limit is ${limit}`,
+          limit,
+          actual: Math.round(units)
+        });
+      }
+    }
+
+    return violations;
+  }
+
+  // Realized P&L since the start of the trading day plus floating P&L, in the deposit currency
+  async dailyPnl(positions) {
+    const now = new Date(this.now());
+    const dayStart = now.getTime() - zonedTime(now, this.rules.timezone).sinceMidnightMs;
+    const { depositAssetId, currency } = await this.client.getAccountInfo();
+
+    let realized = 0;
+    for (const deal of await this.client.getDeals(dayStart, now.getTime())) {
+      const detail = deal.closePositionDetail;
+      if (detail) {
+        realized += (detail.grossProfit + (detail.swap || 0) + (detail.commission || 0)) / Math.pow(10, detail.moneyDigits ?? 2);
+      } else {
+        realized += (deal.commission || 0) / Math.pow(10, deal.moneyDigits ?? 2);
+      }
+    }
+
+    let floating = 0;
+    for (const position of positions) {
+      const { symbolId, tradeSide, volume } = position.tradeData;
+      const symbolInfo = this.client.getSymbol(symbolId);
+      if (!symbolInfo) continue;
+
+      const quote = await this.client.getPrice(symbolId);
+      const exit = tradeSide === 1 ? quote.bid : quote.ask;
+      const direction = tradeSide === 1 ? 1 : -1;
+      const rate = await this.client.getConversionRate(symbolInfo.quoteAssetId, depositAssetId);
+      const money = Math.pow(10, position.moneyDigits ?? 2);
+
+      floating += direction * (exit - position.price) * (volume / VOLUME_SCALE) * rate;
+      floating += ((position.swap || 0) + (position.commission || 0)) / money;
+    }
+
+    return {
+      currency,
+      realized: parseFloat(realized.toFixed(2)),
+      floating: parseFloat(floating.toFixed(2)),
+      total: parseFloat((realized + floating).toFixed(2))
+    };
+  }
+}
+
+/* ========================================
+   💾 PERSISTENT STATE
+   ======================================== */
+
+// Small JSON documents under DATA_DIR, rewritten atomically on every save
+class JsonFileStore {
+  constructor(name, defaults = {}) {
+    this.file = path.join(DATA_DIR, name);
+    this.data = defaults;
+    this.readError = null; // set when the file exists but could not be read or parsed
+
+    try {
+      this.data = { ...defaults, ...JSON.parse(readFileSync(this.file, 'utf8')) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ Could not read ${this.file}:`, error.message);
+        this.readError = error;
+      }
+    }
+  }
+
+  // -> true once written, false (logged) if the write failed
+  save() {
+    try {
+      mkdirSync(DATA_DIR, { recursive: true });
+      writeFileSync(`${this.file}.tmp`, JSON.stringify(this.data));
+      renameSync(`${this.file}.tmp`, this.file);
+      return true;
+    } catch (error) {
+      console.error(`❌ Could not write ${this.file}:`, error.message);
+      return false;
+    }
+  }
+}
+
+/* ========================================
+   🔁 IDEMPOTENCY
+   ======================================== */
+
+// Outcome of every request sent with an Idempotency-Key header or a "signalId",
+// so a retried webhook gets the original response instead of a second order
+class IdempotencyStore {
+  constructor() {
+    this.store = new JsonFileStore('idempotency.json', { entries: {} });
+    this.ttlMs = parseFloat(IDEMPOTENCY_TTL_HOURS) * 3600000;
+
+    // A restart mid-request leaves the outcome unknown, the order may or may not exist
+    for (const entry of Object.values(this.store.data.entries)) {
+      if (entry.state === 'in_progress') {
+        Object.assign(entry, {
+          state: 'completed',
+          status: 500,
+          body: {
+            error: 'Bridge restarted while this request was in progress',
+            message: 'Check /positions and /orders/pending before sending it again with a new key'
+          },
+          completedAt: new Date().toISOString()
+        });
+      }
+    }
+    this.prune();
+
+    // Expired entries are already ignored by get(), this only keeps the file small
+    this.pruneTimer = setInterval(() => this.prune(), 600000);
+    this.pruneTimer.unref();
+  }
+
+  get(key) {
+    const entry = this.store.data.entries[key];
+    if (entry && Date.now() - Date.parse(entry.startedAt) > this.ttlMs) {
+      delete this.store.data.entries[key];
+      return null;
+    }
+    return entry || null;
+  }
+
+  begin(key, request) {
+    this.store.data.entries[key] = {
+      key,
+      state: 'in_progress',
+      ...request,
+      startedAt: new Date().toISOString()
+    };
+    this.store.save();
+  }
+
+  complete(key, status, body) {
+    const entry = this.store.data.entries[key];
+    if (!entry) return;
+
+    Object.assign(entry, { state: 'completed', status, body, completedAt: new Date().toISOString() });
+    this.store.save();
+  }
+
+  // Nothing was sent, a retry may go through
+  release(key) {
+    delete this.store.data.entries[key];
+    this.store.save();
+  }
+
+  prune() {
+    const cutoff = Date.now() - this.ttlMs;
+    const expired = Object.entries(this.store.data.entries).filter(([, entry]) => Date.parse(entry.startedAt) < cutoff);
+    for (const [key] of expired) delete this.store.data.entries[key];
+    if (expired.length) this.store.save();
+  }
+}
+
+/* ========================================
+   📒 JOURNAL
+   ======================================== */
+
+// Append-only JSONL audit trail in DATA_DIR/journal.jsonl, rotated at JOURNAL_MAX_MB:
+//   request      - inbound call with its source and raw payload
+//   order.sent   - order data sent to cTrader
+//   order.result - broker response (or error) for that order
+//   response     - HTTP status returned to the caller
+//   order.*, position.closed, ... - bus events, linked back to the request by order / position id
+
+const JOURNAL_CSV_COLUMNS = [
+  'id', 'timestamp', 'type', 'requestId', 'source', 'apiKey', 'accountId', 'symbol', 'side', 'volume', 'price',
+  'orderId', 'positionId', 'status', 'reason', 'netProfit', 'error', 'raw'
+];
+
+function summarizeExecution(result) {
+  return {
+    executionType: result?.executionType ?? null,
+    ...executionIds(result),
+    ...(result?.deal?.executionPrice !== undefined && {
+      price: result.deal.executionPrice,
+      filledVolume: result.deal.filledVolume
+    })
+  };
+}
+
+// The last bytes of a file, '' when it does not exist
+function readTail(file, bytes) {
+  let fd;
+  try {
+    fd = openSync(file, 'r');
+    const { size } = fstatSync(fd);
+    const buffer = Buffer.alloc(Math.min(bytes, size));
+    readSync(fd, buffer, 0, buffer.length, size - buffer.length);
+    return buffer.toString('utf8');
+  } catch (error) {
+    if (error.code !== 'ENOENT') console.error(`❌ Could not read ${file}:`, error.message);
+    return '';
+  } finally {
+    if (fd !== undefined) closeSync(fd);
+  }
+}
+
+function csvValue(value) {
+  if (value === undefined || value === null) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : value.toString();
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class Journal {
+  constructor(eventBus) {
+    this.file = path.join(DATA_DIR, 'journal.jsonl');
+    this.maxBytes = parseFloat(JOURNAL_MAX_MB) * 1048576;
+    this.retentionMs = parseFloat(JOURNAL_RETENTION_DAYS) * 86400000;
+    this.links = new Map(); // "order:<id>" / "position:<id>" -> { requestId, source }
+    this.writes = Promise.resolve(); // appends in order, off the request path
+
+    try {
+      this.size = statSync(this.file).size;
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error(`❌ Could not read ${this.file}:`, error.message);
+      this.size = 0;
+    }
+    this.counter = this.lastId();
+
+    // Links of the current file, so a fill after a restart still finds its request. Links of
+    // entries appended meanwhile are newer and win.
+    const loaded = new Map();
+    this.scan(this.file, entry => this.link(entry, loaded)).then(() => {
+      for (const [key, origin] of loaded) {
+        if (!this.links.has(key)) this.links.set(key, origin);
+      }
+    });
+    this.prune();
+
+    // Deferred so the order.result entry (and its ids) is written before the fill it caused
+    eventBus.on('event', (event) => setImmediate(() => this.onEvent(event)));
+  }
+
+  // journal-<time>.jsonl, oldest first
+  rotatedFiles() {
+    try {
+      return readdirSync(DATA_DIR).filter(name => /^journal-.+\.jsonl$/.test(name)).sort().map(name => path.join(DATA_DIR, name));
+    } catch {
+      return [];
+    }
+  }
+
+  // Highest entry id so far, from the end of the newest file that has one
+  lastId() {
+    for (const file of [this.file, ...this.rotatedFiles().reverse()]) {
+      const lines = readTail(file, 65536).split('\n').filter(Boolean).reverse();
+      for (const line of lines) {
+        try {
+          return JSON.parse(line).id;
+        } catch {
+          // torn last line after a crash, or the cut first one
+        }
+      }
+    }
+    return 0;
+  }
+
+  // Calls onEntry with every entry of a file, oldest first
+  async scan(file, onEntry) {
+    const input = createReadStream(file);
+    try {
+      await once(input, 'open');
+      for await (const line of createInterface({ input, crlfDelay: Infinity })) {
+        if (!line) continue;
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          continue; // torn last line after a crash
+        }
+        if (onEntry(entry) === false) break;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.error(`❌ Could not read ${file}:`, error.message);
+    } finally {
+      input.destroy();
+    }
+  }
+
+  append(type, data = {}) {
+    const entry = {
+      id: ++this.counter,
+      timestamp: new Date().toISOString(),
+      type,
+      ...data
+    };
+
+    const line = `${JSON.stringify(entry)}\n`;
+    this.writes = this.writes
+      .then(() => this.write(line))
+      .catch(error => console.error('❌ Could not write journal entry:', error.message));
+
+    this.link(entry);
+    return entry;
+  }
+
+  async write(line) {
+    const bytes = Buffer.byteLength(line);
+    if (this.size > 0 && this.size + bytes > this.maxBytes) await this.rotate();
+    if (this.size === 0) await mkdir(DATA_DIR, { recursive: true });
+
+    await appendFile(this.file, line);
+    this.size += bytes;
+  }
+
+  // Resolves once every entry appended so far is on disk
+  flush() {
+    return this.writes;
+  }
+
+  async rotate() {
+    const rotated = path.join(DATA_DIR, `journal-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl`);
+    await rename(this.file, rotated);
+    this.size = 0;
+    console.log(`🗂️  Journal rotated to ${path.basename(rotated)}`);
+    await this.prune();
+  }
+
+  // Rotated files are last written when rotated, so their mtime is their newest entry
+  async prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    for (const file of this.rotatedFiles()) {
+      try {
+        if (statSync(file).mtimeMs >= cutoff) continue;
+        await unlink(file);
+        console.log(`🗑️  Deleted ${path.basename(file)}, older than JOURNAL_RETENTION_DAYS`);
+      } catch (error) {
+        console.error(`❌ Could not delete ${file}:`, error.message);
+      }
+    }
+  }
+
+  link(entry, links = this.links) {
+    if (!entry.requestId) return;
+    const origin = { requestId: entry.requestId, source: entry.source, ...(entry.apiKey && { apiKey: entry.apiKey }) };
+    if (entry.orderId) links.set(`order:${entry.orderId}`, origin);
+    if (entry.positionId) links.set(`position:${entry.positionId}`, origin);
+  }
+
+  origin(event) {
+    return this.links.get(`order:${event.orderId}`) || this.links.get(`position:${event.positionId}`) || {};
+  }
+
+  onEvent(event) {
+    if (!/^(order|position|margin|connection|queue|risk|trading)\./.test(event.type)) return;
+
+    const { id, timestamp, type, ...data } = event;
+    this.append(type, {
+      ...this.origin(event),
+      ...data,
+      eventId: id,
+      ...(event.grossProfit !== undefined && {
+        netProfit: parseFloat((event.grossProfit + event.swap + event.commission).toFixed(2))
+      })
+    });
+  }
+
+  // Every order to the broker goes through here, so the journal sees it even when it throws
+  async sendOrder(client, orderData, context = {}) {
+    const symbol = client.getSymbol(orderData.symbolId)?.name || null;
+    const base = { ...context, accountId: client.accountId, symbol, side: orderData.side, volume: orderData.volume };
+
+    this.append('order.sent', { ...base, orderData });
+    try {
+      const result = await client.sendOrder(orderData);
+      this.append('order.result', { ...base, status: 'ok', ...summarizeExecution(result) });
+      return result;
+    } catch (error) {
+      this.append('order.result', { ...base, status: 'error', error: error.message, errorCode: error.errorCode });
+      throw error;
+    }
+  }
+
+  // Streams the journal files that can hold the range and keeps the last "limit" matches.
+  // visible(entry) narrows the result before the limit, e.g. to what an API key may see.
+  async query({ from, to, accountId, symbol, source, type, requestId, limit } = {}, visible = () => true) {
+    const fromTime = from ? Date.parse(from) : null;
+    // A bare date includes that whole day
+    const toTime = to ? Date.parse(to) + (/^\d{4}-\d{2}-\d{2}$/.test(to) ? 86400000 : 0) : null;
+    const symbolName = symbol?.toUpperCase();
+    const max = limit ? parseInt(limit) : Infinity;
+
+    const matches = (entry) => {
+      if (fromTime && Date.parse(entry.timestamp) < fromTime) return false;
+      if (accountId && entry.accountId !== accountId) return false;
+      if (symbolName && entry.symbol?.toUpperCase() !== symbolName) return false;
+      if (source && !entry.source?.startsWith(source)) return false;
+      if (type && !type.split(',').some(t => entry.type === t || entry.type.startsWith(`${t}.`))) return false;
+      if (requestId && (entry.requestId ?? (entry.type === 'request' ? entry.id : null)) !== parseInt(requestId)) return false;
+      return visible(entry);
+    };
+
+    await this.flush();
+    const files = [
+      ...this.rotatedFiles().filter(file => !fromTime || statSync(file, { throwIfNoEntry: false })?.mtimeMs >= fromTime),
+      this.file
+    ];
+
+    const entries = [];
+    let done = false;
+    for (const file of files) {
+      if (done) break;
+      await this.scan(file, (entry) => {
+        // Entries are in time order, nothing after "to" can match
+        if (toTime && Date.parse(entry.timestamp) >= toTime) {
+          done = true;
+          return false;
+        }
+        if (!matches(entry)) return;
+        entries.push(entry);
+        if (entries.length > max) entries.shift();
+      });
+    }
+    return entries;
+  }
+
+  toCsv(entries) {
+    const rows = entries.map(entry => JOURNAL_CSV_COLUMNS.map(column => csvValue(entry[column])).join(','));
+    return [JOURNAL_CSV_COLUMNS.join(','), ...rows].join('\n') + '\n';
+  }
+}
+
+/* ========================================
+   🔑 API KEYS
+   ======================================== */
+
+// Callers from API_KEYS, e.g.
+//   { "keys": [
+//     { "name": "make", "key": "sk_live_...", "scopes": ["trade", "read"], "symbols": ["EURUSD", "XAUUSD"], "maxLots": 1,
+//       "accounts": ["main", 67890] },
+//     { "name": "tradingview", "keySha256": "9f86d0...", "scopes": ["trade"], "hmacSecret": "..." },
+//     { "name": "ops", "key": "sk_ops_...", "scopes": ["admin"] }
+//   ] }
+// The key goes in "Authorization: Bearer <key>", "X-API-Key" or, for senders that cannot set
+// headers (TradingView), an "apiKey" field in the JSON body. Keys with an hmacSecret may instead
+// sign the request: X-Timestamp (unix seconds) and X-Signature = hex HMAC-SHA256 of
+// "<timestamp>.<METHOD>.<path with query>.<raw body>", so a signature only covers the request
+// it was made for. "admin" implies every other scope. "accounts" (ids or aliases)
+// limits the accounts a key may trade and manage, every account by default. "symbols" and
+// "maxLots" also hold for closing, amending and cancelling existing positions and orders.
+// Without API_KEYS the bridge stays open, except /token-update which keeps TOKEN_UPDATE_KEY.
+
+const API_SCOPES = ['read', 'trade', 'admin'];
+
+const sha256 = (value) => createHash('sha256').update(value).digest();
+
+class ApiKeyStore {
+  constructor(config) {
+    this.keys = (Array.isArray(config) ? config : config.keys || []).map(key => ({
+      ...key,
+      scopes: key.scopes || ['read'],
+      hash: key.keySha256 ? Buffer.from(key.keySha256, 'hex') : key.key ? sha256(key.key) : null,
+      symbols: key.symbols?.map(symbol => symbol.toUpperCase()) || null,
+      accounts: key.accounts?.map(account => account.toString().toLowerCase()) || null
+    }));
+    this.enabled = this.keys.length > 0;
+    this.seenSignatures = new Map(); // signature -> expiry, rejects replays inside the tolerance window
+
+    for (const key of this.keys) {
+      const unknown = key.scopes.filter(scope => !API_SCOPES.includes(scope));
+      if (unknown.length > 0) console.warn(`⚠️  API key ${key.name}: unknown scopes ${unknown.join(', ')}`);
+    }
+
+    // Legacy shared key, only valid for /token-update
+    if (TOKEN_UPDATE_KEY) {
+      this.keys.push({ name: 'token-update-key', scopes: ['token'], hash: sha256(TOKEN_UPDATE_KEY), symbols: null, accounts: null });
+    }
+  }
+
+  get(name) {
+    return this.keys.find(key => key.name === name) || null;
+  }
+
+  hasScope(key, scope) {
+    return key.scopes.includes(scope) || key.scopes.includes('admin');
+  }
+
+  findByKey(presented) {
+    const hash = sha256(presented);
+    return this.keys.find(key => key.hash && key.hash.length === hash.length && timingSafeEqual(key.hash, hash)) || null;
+  }
+
+  // -> { key, via } or { error }
+  authenticate(req) {
+    const signature = req.get('X-Signature');
+    if (signature) return this.verifySignature(req, signature);
+
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.get('Authorization') || '')?.[1];
+    const body = req.body && typeof req.body === 'object' ? req.body : null;
+    const presented = bearer || req.get('X-API-Key') || req.get('X-Auth-Key') || body?.apiKey;
+
+    // Never keep the key around for logs or the journal
+    if (body?.apiKey !== undefined) delete body.apiKey;
+    if (!presented) return { error: 'Missing API key' };
+
+    const key = this.findByKey(presented.toString());
+    return key ? { key, via: 'key' } : { error: 'Invalid API key' };
+  }
+
+  verifySignature(req, header) {
+    const timestamp = req.get('X-Timestamp');
+    if (!timestamp) return { error: 'Missing X-Timestamp header' };
+
+    const seconds = parseInt(timestamp) > 1e12 ? parseInt(timestamp) / 1000 : parseInt(timestamp);
+    const tolerance = parseInt(SIGNATURE_TOLERANCE_SECONDS);
+    if (!Number.isFinite(seconds) || Math.abs(Date.now() / 1000 - seconds) > tolerance) {
+      return { error: `Signature timestamp outside the ${tolerance}s window` };
+    }
+
+    const signature = header.replace(/^sha256=/, '').toLowerCase();
+    const payload = `${timestamp}.${req.method}.${req.originalUrl}.${req.rawBody?.toString('utf8') || ''}`;
+    const keyId = req.get('X-Key-Id');
+    const candidates = this.keys.filter(key => key.hmacSecret && (!keyId || key.name === keyId));
+
+    const key = candidates.find(candidate => {
+      const expected = createHmac('sha256', candidate.hmacSecret).update(payload).digest('hex');
+      return expected.length === signature.length && timingSafeEqual(Buffer.from(expected), Buffer.from(signature));
+    });
+    if (!key) return { error: 'Invalid signature' };
+
+    const now = Date.now();
+    for (const [seen, expiry] of this.seenSignatures) {
+      if (expiry < now) this.seenSignatures.delete(seen);
+    }
+    if (this.seenSignatures.has(signature)) return { error: 'Signature already used' };
+    this.seenSignatures.set(signature, now + tolerance * 2000);
+
+    return { key, via: 'signature' };
+  }
+
+  // Per-key account whitelist, by id or alias
+  allowsAccount(name, { accountId, alias }) {
+    const key = name && this.get(name);
+    if (!key?.accounts) return true;
+    return key.accounts.includes(accountId) || (!!alias && key.accounts.includes(alias.toLowerCase()));
+  }
+
+  // Per-key symbol whitelist and volume cap for validated orders
+  checkOrders(name, validations) {
+    const key = name && this.get(name);
+    if (!key) return [];
+
+    const violations = [];
+    for (const { orderData, symbolInfo } of validations) {
+      if (key.symbols && !key.symbols.includes(symbolInfo.name.toUpperCase())) {
+        violations.push({ rule: 'symbol_not_allowed', symbol: symbolInfo.name, message: `API key ${key.name} may not trade ${symbolInfo.name}`, allowed: key.symbols });
+      }
+    }
+
+    const lots = validations.reduce((sum, { orderData, symbolInfo }) =>
+      sum + (symbolInfo.lotSize ? orderData.volume / symbolInfo.lotSize : 0), 0);
+    if (key.maxLots !== undefined && lots > key.maxLots) {
+      violations.push({ rule: 'key_volume_cap', message: `API key ${key.name} is capped at ${key.maxLots} lots per order`, limit: key.maxLots, actual: parseFloat(lots.toFixed(4)) });
+    }
+
+    return violations;
+  }
+
+  list() {
+    return this.keys.map(({ name, scopes, symbols, accounts, maxLots, hmacSecret }) => ({
+      name,
+      scopes,
+      symbols,
+      accounts,
+      maxLots: maxLots ?? null,
+      signed: !!hmacSecret
+    }));
+  }
+}
+
+/* ========================================
+   🛑 TRADING LOCK
+   ======================================== */
+
+// Set by the kill switch, persisted so a restart does not re-enable trading. A lock
+// file that exists but cannot be read counts as locked, and lock / unlock throw when
+// the new state could not be saved.
+class TradingLock {
+  constructor(eventBus) {
+    this.eventBus = eventBus;
+    this.store = new JsonFileStore('trading-lock.json', { locked: false });
+
+    if (this.store.readError) {
+      this.store.data = {
+        locked: true,
+        reason: `lock file unreadable: ${this.store.readError.message}`,
+        filter: {},
+        lockedAt: new Date().toISOString()
+      };
+    }
+
+    if (this.store.data.locked) {
+      console.log(`🛑 Trading is locked since ${this.store.data.lockedAt} (${this.store.data.reason || 'kill switch'})`);
+    }
+  }
+
+  isLocked() {
+    return this.store.data.locked;
+  }
+
+  // Locked in memory even when saving fails, the error tells the caller a restart would unlock
+  lock(reason, filter = {}) {
+    this.store.data = {
+      locked: true,
+      reason: reason || null,
+      filter,
+      lockedAt: new Date().toISOString()
+    };
+    this.eventBus.publish('trading.locked', { reason: reason || null, ...filter });
+    if (!this.store.save()) {
+      throw new Error(`Trading is locked but ${this.store.file} could not be saved, a restart would unlock it`);
+    }
+  }
+
+  // Stays locked when the unlocked state cannot be saved
+  unlock(reason) {
+    const previous = this.store.data;
+    this.store.data = {
+      locked: false,
+      unlockedAt: new Date().toISOString(),
+      previousLock: previous.locked ? { reason: previous.reason, lockedAt: previous.lockedAt } : null
+    };
+    if (!this.store.save()) {
+      this.store.data = previous;
+      throw new Error(`${this.store.file} could not be saved, trading stays locked`);
+    }
+    this.eventBus.publish('trading.unlocked', { reason: reason || null, lockedAt: previous.lockedAt || null });
+  }
+
+  status() {
+    return this.store.data;
+  }
+}
+
+/* ========================================
+   📥 ORDER QUEUE
+   ======================================== */
+
+// Orders received while cTrader is unreachable, replayed in arrival order once their
+// account is authenticated again and its catalog is loaded. Opt-in per order with
+//   "queue": true  or  "queue": { "maxAgeSeconds": 60, "maxDeviationPips": 5, "referencePrice": 1.0850 }
+// or for every order with QUEUE_ORDERS=true.
+// States: queued -> sent | failed | expired | rejected (price moved) | cancelled
+
+const QUEUE_FINAL_STATES = ['sent', 'failed', 'expired', 'rejected', 'cancelled'];
+const QUEUE_RETENTION_MS = 24 * 3600000;
+
+class OrderQueue {
+  constructor(accounts, eventBus, submit) {
+    this.accounts = accounts;
+    this.eventBus = eventBus;
+    this.submit = submit;
+    this.store = new JsonFileStore('order-queue.json', { counter: 0, items: [] });
+    this.processing = false;
+
+    // Interrupted mid-replay: the order may have reached the broker, don't send it twice
+    for (const item of this.store.data.items.filter(item => item.state === 'processing')) {
+      this.finish(item, 'failed', { error: 'Bridge restarted while this order was being sent, check /positions' });
+    }
+
+    accounts.on('symbols-loaded', () => this.process());
+    this.sweepTimer = setInterval(() => this.expireStale(), 5000);
+  }
+
+  // Returns the queue options for an order request, or null if it should not be queued
+  options(orderRequest) {
+    const queue = orderRequest.queue ?? (QUEUE_ORDERS === 'true');
+    if (!queue) return null;
+    return typeof queue === 'object' ? queue : {};
+  }
+
+  enqueue(account, orderRequest, options, extra = {}, context = {}) {
+    const maxAgeSeconds = parseFloat(options.maxAgeSeconds ?? QUEUE_MAX_AGE_SECONDS);
+    if (!(maxAgeSeconds > 0)) {
+      return { error: 'queue.maxAgeSeconds must be a positive number' };
+    }
+    if (options.maxDeviationPips !== undefined && !(parseFloat(options.maxDeviationPips) > 0)) {
+      return { error: 'queue.maxDeviationPips must be a positive number' };
+    }
+
+    // Without an explicit reference, guard against the last quote seen before the disconnect
+    const { client } = account;
+    const symbolInfo = client.getSymbol(orderRequest.symbolId || orderRequest.symbol);
+    const lastQuote = symbolInfo && client.getQuote(symbolInfo.symbolId);
+    const referencePrice = options.referencePrice !== undefined ? parseFloat(options.referencePrice)
+      : lastQuote ? (parseSide(orderRequest.side) === 2 ? lastQuote.bid : lastQuote.ask) ?? null
+      : null;
+
+    const now = Date.now();
+    const item = {
+      queueId: `q_${++this.store.data.counter}`,
+      state: 'queued',
+      accountId: account.accountId,
+      symbol: symbolInfo?.name || orderRequest.symbol || null,
+      orderRequest: { ...orderRequest, accountId: account.accountId, queue: false },
+      extra,
+      context,
+      maxDeviationPips: options.maxDeviationPips !== undefined ? parseFloat(options.maxDeviationPips) : null,
+      referencePrice,
+      receivedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + maxAgeSeconds * 1000).toISOString()
+    };
+
+    this.store.data.items.push(item);
+    this.store.save();
+
+    console.log(`📥 Order queued as ${item.queueId} (expires ${item.expiresAt})`);
+    this.eventBus.publish('queue.queued', this.summary(item));
+    return { item };
+  }
+
+  finish(item, state, data = {}) {
+    Object.assign(item, { state, ...data, finishedAt: new Date().toISOString() });
+    this.store.save();
+    this.eventBus.publish(`queue.${state}`, this.summary(item));
+  }
+
+  expireStale() {
+    const now = Date.now();
+    for (const item of this.store.data.items) {
+      if (item.state === 'queued' && Date.parse(item.expiresAt) <= now) {
+        console.log(`⌛ Queued order ${item.queueId} expired`);
+        this.finish(item, 'expired');
+      }
+    }
+
+    const before = this.store.data.items.length;
+    this.store.data.items = this.store.data.items.filter(item =>
+      !QUEUE_FINAL_STATES.includes(item.state) || now - Date.parse(item.finishedAt) < QUEUE_RETENTION_MS);
+    if (this.store.data.items.length !== before) this.store.save();
+  }
+
+  // Price moved more than maxDeviationPips away from the reference while we were offline
+  async checkDeviation(item) {
+    if (item.maxDeviationPips === null || item.referencePrice === null) return null;
+
+    const { client } = this.accounts.find(item.accountId);
+    const symbolInfo = client.getSymbol(item.orderRequest.symbolId || item.orderRequest.symbol);
+    const pip = pipSize(symbolInfo);
+    if (!pip) return null;
+
+    const quote = await client.getPrice(symbolInfo.symbolId);
+    const price = parseSide(item.orderRequest.side) === 2 ? quote.bid : quote.ask;
+    const deviationPips = Math.abs(price - item.referencePrice) / pip;
+
+    return deviationPips > item.maxDeviationPips
+      ? { price, deviationPips: parseFloat(deviationPips.toFixed(1)) }
+      : null;
+  }
+
+  async process() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      this.expireStale();
+      const waiting = new Set(); // Accounts still offline, their later orders keep their turn
+
+      for (const item of this.store.data.items) {
+        if (item.state !== 'queued' || waiting.has(item.accountId)) continue;
+        if (!this.accounts.find(item.accountId)?.client.isReady()) {
+          waiting.add(item.accountId);
+          continue;
+        }
+
+        item.state = 'processing';
+        this.store.save();
+
+        try {
+          const deviation = await this.checkDeviation(item);
+          if (deviation) {
+            console.log(`🚫 Queued order ${item.queueId} dropped, price moved ${deviation.deviationPips} pips`);
+            this.finish(item, 'rejected', { reason: 'price_deviation', ...deviation });
+            continue;
+          }
+
+          console.log(`📤 Replaying queued order ${item.queueId}`);
+          const { status, body } = await this.submit(item.orderRequest, { ...item.extra, queueId: item.queueId }, item.context);
+
+          if (status === 503) {
+            // Lost the connection again, wait for the next authentication
+            item.state = 'queued';
+            this.store.save();
+            waiting.add(item.accountId);
+            continue;
+          }
+
+          this.finish(item, status < 400 ? 'sent' : 'failed', { result: { status, body } });
+        } catch (error) {
+          console.error(`❌ Queued order ${item.queueId} failed:`, error.message);
+          this.finish(item, 'failed', { error: error.message });
+        }
+      }
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  cancel(queueId) {
+    const item = this.get(queueId);
+    if (!item || item.state !== 'queued') return item;
+
+    this.finish(item, 'cancelled');
+    return item;
+  }
+
+  summary(item) {
+    return {
+      queueId: item.queueId,
+      state: item.state,
+      ...(item.accountId && { accountId: item.accountId }),
+      symbol: item.symbol,
+      ...item.context,
+      ...(item.reason && { reason: item.reason }),
+      ...((item.error || item.result?.body?.error) && { error: item.error || item.result.body.error }),
+      ...executionIds(item.result?.body?.result)
+    };
+  }
+
+  get(queueId) {
+    return this.store.data.items.find(item => item.queueId === queueId) || null;
+  }
+
+  list(state) {
+    return this.store.data.items.filter(item => !state || item.state === state);
+  }
+
+  destroy() {
+    clearInterval(this.sweepTimer);
+  }
+}
+
+/* ========================================
+   🏦 ACCOUNTS
+   ======================================== */
+
+// One access token usually grants several cTrader accounts, live and demo. Each
+// account gets its own client (catalog, quotes, spot subscriptions), risk engine,
+// take-profit tracker and trade manager. Accounts of one environment share a
+// connection: the first one opens it, the others authenticate on it.
+//
+// CTRADER_ACCOUNTS lists the accounts to authenticate at startup:
+//   { "default": "main",
+//     "accounts": [{ "accountId": 12345, "alias": "main" }, { "accountId": 67890, "alias": "prop" }] }
+// "default" (id or alias) serves requests that name no account, CTRADER_ACCOUNT_ID or
+// the first account otherwise. Order and position endpoints take "accountId" (id or
+// alias) in the body or the query; any other account the token grants is
+// authenticated on first use, except live accounts when CTRADER_ENV is not live:
+// those have to be listed. Paper trading simulates a single account.
+
+// Accounts from CTRADER_ACCOUNTS (ids as strings) and which one is the default
+function loadAccountConfig() {
+  const config = loadJsonConfig(CTRADER_ACCOUNTS, 'CTRADER_ACCOUNTS');
+  const accounts = (Array.isArray(config) ? config : config.accounts || [])
+    .filter(account => account?.accountId)
+    .map(({ accountId, alias }) => ({ accountId: accountId.toString(), alias: alias ? alias.toString() : null }));
+
+  const preferred = config.default?.toString();
+  const match = preferred && accounts.find(account => account.accountId === preferred || account.alias === preferred);
+  if (preferred && !match) {
+    console.error(`❌ CTRADER_ACCOUNTS default "${preferred}" is not one of its accounts`);
+  }
+
+  return {
+    defaultAccountId: match?.accountId || CTRADER_ACCOUNT_ID || accounts[0]?.accountId,
+    accounts
+  };
+}
+
+// "accountId" or "account" (id or alias) of a request body or query
+function accountRef(source) {
+  return source && typeof source === 'object' ? source.accountId ?? source.account : undefined;
+}
+
+class AccountRegistry extends EventEmitter {
+  constructor(client, eventBus, { accounts = [] } = {}) {
+    super();
+    this.eventBus = eventBus;
+    this.configured = accounts;
+    this.accounts = new Map(); // accountId -> { accountId, alias, client, riskEngine, takeProfitTracker, tradeManager }
+    this.connections = new Map([[client.env, client]]); // env -> client owning the socket
+    this.granted = new Map(); // accountId -> { accountId, isLive, traderLogin }
+    this.grantedAt = null;
+
+    const alias = accounts.find(account => account.accountId === client.accountId)?.alias ?? null;
+    this.default = this.add(client, alias);
+
+    // The default account lists the others once it is in, after every reconnect
+    client.on('authenticated', () => {
+      this.refresh().catch(err => console.error('❌ Could not list the accounts of the access token:', err.message));
+    });
+  }
+
+  add(client, alias = null) {
+    const takeProfitTracker = new TakeProfitTracker(client, { persist: `tp-groups-${client.accountId}.json` });
+    const account = {
+      accountId: client.accountId,
+      alias,
+      client,
+      riskEngine: new RiskEngine(client),
+      takeProfitTracker,
+      tradeManager: new TradeManager(client, takeProfitTracker, { persist: `trade-manager-${client.accountId}.json` })
+    };
+
+    this.accounts.set(account.accountId, account);
+    this.eventBus.attach(client);
+    client.on('symbols-loaded', () => this.emit('symbols-loaded', account));
+    return account;
+  }
+
+  // Re-read the accounts the token grants, then open the configured ones
+  async refresh() {
+    const granted = await this.default.client.listAccounts();
+    this.granted = new Map(granted.map(account => [account.accountId, account]));
+    this.grantedAt = new Date().toISOString();
+
+    for (const { accountId, alias } of this.configured) {
+      if (this.accounts.has(accountId)) continue;
+      if (!this.granted.has(accountId)) {
+        console.error(`❌ Account ${alias || accountId} is not granted by the access token, skipped`);
+        continue;
+      }
+      this.open(accountId, alias);
+    }
+  }
+
+  // Authenticate an account on the connection of its environment, opening one if needed
+  open(accountId, alias = null) {
+    const env = this.granted.get(accountId)?.isLive ? 'live' : 'demo';
+    const connection = this.connections.get(env);
+    const client = connection
+      ? new SharedAccountClient(connection, accountId)
+      : new RobustcTraderClient(this.default.client.tokenManager, { env, accountId });
+    if (!connection) this.connections.set(env, client);
+
+    console.log(`🏦 Opening ${env} account ${alias ? `${alias} (${accountId})` : accountId}`);
+    const account = this.add(client, alias);
+    client.connect();
+    return account;
+  }
+
+  // By id or alias (any case), the default account without a ref; null if unknown
+  find(ref) {
+    if (ref === undefined || ref === null || ref === '') return this.default;
+
+    const key = ref.toString();
+    return this.accounts.get(key) ||
+      this.list().find(account => account.alias?.toLowerCase() === key.toLowerCase()) ||
+      null;
+  }
+
+  // Same as find(), opening a granted account on first use. A demo deployment only
+  // opens the live accounts CTRADER_ACCOUNTS lists.
+  async resolve(ref) {
+    const account = this.find(ref);
+    const granted = account ? null : this.granted.get(ref.toString());
+    if (!granted) return account;
+    if (granted.isLive && this.default.client.env !== 'live') {
+      console.warn(`⚠️  Live account ${granted.accountId} is not in CTRADER_ACCOUNTS, not opened from a ${CTRADER_ENV} deployment`);
+      return null;
+    }
+
+    const opened = this.open(ref.toString());
+    await once(opened.client, 'symbols-loaded', { signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) }).catch(() => {});
+    return opened;
+  }
+
+  list() {
+    return Array.from(this.accounts.values());
+  }
+
+  status() {
+    return this.list().map(account => {
+      const granted = this.granted.get(account.accountId);
+      return {
+        accountId: account.accountId,
+        alias: account.alias,
+        default: account === this.default,
+        env: account.client.env,
+        isLive: granted?.isLive ?? null,
+        traderLogin: granted?.traderLogin ?? null,
+        ready: !!account.client.isReady(),
+        ...account.client.getStatus()
+      };
+    });
+  }
+
+  // Every account the token grants, open or not
+  grantedList() {
+    return Array.from(this.granted.values()).map(account => ({
+      ...account,
+      alias: this.accounts.get(account.accountId)?.alias ?? null,
+      open: this.accounts.has(account.accountId)
+    }));
+  }
+
+  disconnect() {
+    for (const account of this.list()) account.client.disconnect();
+  }
+}
+
+/* ========================================
+   🧪 BACKTEST
+   ======================================== */
+
+// Replays timestamped signals against price history through the same parsing,
+// sizing, validation and risk rules as /signal and /order. Orders go to an
+// in-memory PaperBroker whose clock follows the data: a signal trades on the
+// prices known at its timestamp, then pending orders and SL/TP play out on the
+// ticks that follow. Break-even / trailing management is not simulated.
+//
+// Signals: a JSON array, JSON lines or a Telegram chat export (result.json) of
+//   { "timestamp": "2026-01-05T08:00:00Z", "channel": "vip", "text": "EURUSD buy sl 20 pips tp 40 pips" }
+// or of /order bodies with a "timestamp". Prices: see parsePriceCsv.
+
+const SIZING_FIELDS = ['volume', 'lots', 'riskPercent', 'riskAmount'];
+
+// Telegram export text is a string or a list of strings and { type, text } entities
+function telegramText(text) {
+  return Array.isArray(text)
+    ? text.map(part => (typeof part === 'string' ? part : part.text || '')).join('')
+    : text || '';
+}
+
+// Signals file content (string or parsed JSON) -> { signals } sorted by time, or { error }
+function parseSignals(content) {
+  let data = content;
+  if (typeof content === 'string') {
+    try {
+      data = JSON.parse(content);
+    } catch {
+      try {
+        data = content.split(/\r?\n/).filter(line => line.trim()).map(line => JSON.parse(line));
+      } catch (error) {
+        return { error: `Signals must be JSON or JSON lines: ${error.message}` };
+      }
+    }
+  }
+
+  if (data && Array.isArray(data.messages)) {
+    data = data.messages
+      .filter(message => message.type === 'message' && telegramText(message.text).trim())
+      .map(message => ({
+        timestamp: message.date_unixtime ? parseInt(message.date_unixtime) * 1000 : message.date,
+        channel: data.name || null,
+        text: telegramText(message.text)
+      }));
+  }
+  if (!Array.isArray(data)) {
+    return { error: 'Signals must be an array, JSON lines or a Telegram export' };
+  }
+
+  const signals = data.map((entry, i) => {
+    const { timestamp, time, date, channel, text, ...fields } = entry || {};
+    const when = timestamp ?? time ?? date;
+    return {
+      index: i + 1,
+      timestamp: when !== undefined && when !== null ? parseTimestamp(when) : null,
+      channel: channel || null,
+      ...(text && { text }),
+      fields
+    };
+  });
+
+  return { signals: signals.sort((a, b) => (a.timestamp ?? Infinity) - (b.timestamp ?? Infinity)) };
+}
+
+/**
+ * options.signals    - from parseSignals()
+ * options.ticks      - from parsePriceCsv()
+ * options.catalog    - broker catalog ({ assets, symbols }), default paperCatalog()
+ * options.balance    - starting balance in options.currency
+ * options.spreadPips - added to prices that come without an ask
+ * options.sizing     - { volume | lots | riskPercent | riskAmount } for signals without their own
+ * options.rules      - risk rules, default the live ones
+ * options.apiKey     - API key name whose symbol / volume limits apply
+ */
+async function runBacktest({
+  signals, ticks, catalog = paperCatalog(), balance = 10000, currency = 'USD',
+  spreadPips = 0, sizing = {}, rules = accounts.default.riskEngine.rules, apiKey = null
+}) {
+  let clock = ticks[0]?.timestamp ?? Date.now();
+  const broker = new PaperBroker({ balance, currency, now: () => clock });
+  broker.setCatalog(catalog);
+
+  const unknown = new Set();
+  const prices = ticks.flatMap(tick => {
+    const symbol = broker.getSymbolByName(tick.symbol);
+    if (!symbol) {
+      unknown.add(tick.symbol);
+      return [];
+    }
+    const spread = spreadPips * Math.pow(10, -symbol.pipPosition);
+    return [{ ...tick, symbolId: symbol.symbolId, ask: tick.ask ?? roundPrice(tick.bid + spread, symbol.digits) }];
+  });
+
+  const client = new RobustcTraderClient(null, { env: 'paper', broker, accountId: '1', logMessages: false });
+  const takeProfitTracker = new TakeProfitTracker(client);
+  const account = {
+    accountId: client.accountId,
+    alias: null,
+    client,
+    riskEngine: new RiskEngine(client, { rules, now: () => clock }),
+    takeProfitTracker,
+    tradeManager: new TradeManager(client, takeProfitTracker, { now: () => clock })
+  };
+  const trades = { levels: new Map(), closeReasons: new Map(), expired: new Set() };
+
+  client.on('execution', event => {
+    const { executionType, order, position, deal } = event;
+    if (position?.positionStatus === POSITION_STATUS.CLOSED) {
+      trades.closeReasons.set(position.positionId, closeReason(event));
+    } else if (executionType === EXECUTION_TYPES.ORDER_FILLED && deal && !deal.closePositionDetail) {
+      trades.levels.set(position.positionId, { stopLoss: position.stopLoss ?? null, takeProfit: position.takeProfit ?? null });
+    } else if (executionType === EXECUTION_TYPES.ORDER_EXPIRED) {
+      trades.expired.add(order.orderId);
+    }
+  });
+
+  const loaded = new Promise((resolve, reject) => {
+    client.once('symbols-loaded', resolve);
+    setTimeout(() => reject(new Error('Backtest broker did not start')), REQUEST_TIMEOUT_MS).unref();
+  });
+  client.connect();
+
+  // The replay shares the server's event loop, so it steps aside every few ticks
+  const yieldEvery = Math.max(1, parseInt(BACKTEST_YIELD_TICKS) || 1000);
+  const nextTurn = () => new Promise(resolve => setImmediate(resolve));
+  let next = 0;
+  const advance = async (until) => {
+    while (next < prices.length && prices[next].timestamp <= until) {
+      const tick = prices[next++];
+      clock = tick.timestamp;
+      broker.onTick(tick.symbolId, tick.bid, tick.ask, tick.timestamp);
+
+      // Managed positions see every tick, and their SL moves land before the next one
+      if (account.tradeManager.rules.size > 0) {
+        await nextTurn();
+        while (account.tradeManager.amending.size > 0) await nextTurn();
+      } else if (next % yieldEvery === 0) {
+        await nextTurn();
+      }
+    }
+    await nextTurn(); // Fills and closes reach the client
+  };
+
+  const outcomes = [];
+  try {
+    await loaded;
+
+    for (const signal of signals) {
+      if (signal.timestamp === null) {
+        outcomes.push({ signal: signal.index, timestamp: null, status: 'invalid', error: 'Missing or invalid timestamp' });
+        continue;
+      }
+
+      await advance(signal.timestamp);
+      clock = Math.max(clock, signal.timestamp);
+
+      // Sizing and validation read the client's quotes, hand them the prices as of now
+      for (const [symbolId, quote] of broker.quotes) {
+        client.handleSpotEvent({
+          symbolId,
+          bid: Math.round(quote.bid * SPOT_PRICE_SCALE),
+          ask: Math.round(quote.ask * SPOT_PRICE_SCALE)
+        });
+      }
+
+      outcomes.push(await backtestSignal(signal, { account, sizing, apiKey, now: clock }));
+    }
+
+    await advance(Infinity);
+  } finally {
+    client.disconnect();
+  }
+
+  const report = backtestReport(broker, outcomes, trades);
+  report.period = {
+    from: prices.length > 0 ? new Date(prices[0].timestamp).toISOString() : null,
+    to: prices.length > 0 ? new Date(prices[prices.length - 1].timestamp).toISOString() : null,
+    ticks: prices.length
+  };
+  report.warnings = unknown.size > 0
+    ? [`Prices skipped for symbols missing from the catalog: ${Array.from(unknown).join(', ')}`]
+    : [];
+  return report;
+}
+
+// One signal through parse -> prepareOrder -> key limits and risk -> sendPrepared, as /signal and /order do
+async function backtestSignal(signal, { account, sizing, apiKey, now }) {
+  const { client } = account;
+  const outcome = {
+    signal: signal.index,
+    timestamp: new Date(signal.timestamp).toISOString(),
+    channel: signal.channel,
+    ...(signal.text ? { text: signal.text } : { request: signal.fields })
+  };
+  const invalid = (error) => ({ ...outcome, status: 'invalid', error: error.error, details: error });
+
+  // Sizing of the run applies to signals that bring none of their own
+  const ownSizing = SIZING_FIELDS.some(field => signal.fields[field] !== undefined);
+  const body = { ...(ownSizing ? {} : sizing), ...signal.fields };
+
+  let orderRequest = body;
+  if (signal.text) {
+    const parsed = signalOrderRequest({ ...body, text: signal.text, channel: signal.channel }, name => !!client.getSymbol(name));
+    if (parsed.error) return { ...outcome, status: 'invalid', error: parsed.error, missing: parsed.missing };
+    orderRequest = parsed.orderRequest;
+  }
+
+  const prepared = await prepareOrder(orderRequest, account, { now });
+  if (prepared.error) return invalid(prepared.error);
+  const { sized, validations } = prepared;
+
+  const keyViolations = apiKeys.checkOrders(apiKey, validations);
+  const violations = keyViolations.length > 0 ? keyViolations : await account.riskEngine.check(validations);
+  if (violations.length > 0) {
+    return { ...outcome, status: 'rejected', reasons: violations.map(v => v.rule), violations };
+  }
+
+  const { sent, groupId } = await sendPrepared(account, prepared, orderData => client.sendOrder(orderData));
+  const orders = sent.map(({ positionId, orderId, orderData, error }) =>
+    error ? { orderData, error: error.message } : { positionId, orderId, orderData });
+
+  return {
+    ...outcome,
+    status: orders.some(order => !order.error) ? 'sent' : 'failed',
+    ...(sized.sizing && { sizing: sized.sizing }),
+    ...(groupId && { groupId }),
+    orders
+  };
+}
+
+// Per-signal outcomes and the summary: win rate, expectancy, drawdown
+function backtestReport(broker, outcomes, trades) {
+  const money = (value) => Math.round(value * 100) / 100;
+  const opening = new Map(); // orderId -> opening deal
+  const closing = new Map(); // positionId -> closing deals
+
+  for (const deal of broker.state.deals) {
+    if (deal.closePositionDetail) {
+      closing.set(deal.positionId, [...(closing.get(deal.positionId) || []), deal]);
+    } else {
+      opening.set(deal.orderId, deal);
+    }
+  }
+
+  const tradeOf = ({ orderId, orderData, error }) => {
+    if (error) return { orderId: orderId ?? null, result: 'failed', error };
+
+    const open = opening.get(orderId);
+    if (!open) {
+      const result = trades.expired.has(orderId) ? 'expired' : broker.state.orders[orderId] ? 'not_filled' : 'cancelled';
+      return { orderId, result };
+    }
+
+    const position = broker.state.positions[open.positionId];
+    const closes = closing.get(open.positionId) || [];
+    const realized = closes.reduce((sum, deal) => sum + deal.closePositionDetail.grossProfit, 0) / 100;
+    const lastClose = closes[closes.length - 1];
+    const { stopLoss = null, takeProfit = null } = trades.levels.get(open.positionId) || {};
+    const risked = stopLoss
+      ? Math.abs(broker.profit({ tradeData: { symbolId: open.symbolId, tradeSide: open.tradeSide }, price: open.executionPrice }, stopLoss, open.volume)) / 100
+      : null;
+
+    let unrealized = 0;
+    if (position) {
+      const quote = broker.quotes.get(open.symbolId);
+      const exit = position.tradeData.tradeSide === 1 ? quote.bid : quote.ask;
+      unrealized = broker.profit(position, exit, position.tradeData.volume) / 100;
+    }
+
+    return {
+      orderId,
+      positionId: open.positionId,
+      side: open.tradeSide,
+      volume: open.volume,
+      entryPrice: open.executionPrice,
+      openedAt: new Date(open.executionTimestamp).toISOString(),
+      stopLoss,
+      takeProfit,
+      ...(lastClose && {
+        exitPrice: lastClose.executionPrice,
+        closedAt: new Date(lastClose.executionTimestamp).toISOString(),
+        closeReason: trades.closeReasons.get(open.positionId) || null
+      }),
+      result: position ? 'open' : 'closed',
+      profit: money(realized),
+      ...(position && { unrealizedProfit: money(unrealized) }),
+      risk: risked !== null ? money(risked) : null
+    };
+  };
+
+  const signals = outcomes.map(outcome => {
+    if (outcome.status !== 'sent') return { ...outcome, outcome: outcome.status };
+
+    const positions = outcome.orders.map(tradeOf);
+    const filled = positions.filter(trade => trade.positionId);
+    const profit = money(filled.reduce((sum, trade) => sum + trade.profit, 0));
+    const risked = filled.every(trade => trade.risk) ? filled.reduce((sum, trade) => sum + trade.risk, 0) : null;
+
+    const result = filled.length === 0 ? 'not_filled'
+      : filled.some(trade => trade.result === 'open') ? 'open'
+      : profit > 0 ? 'win' : profit < 0 ? 'loss' : 'breakeven';
+
+    return {
+      ...outcome,
+      outcome: result,
+      profit,
+      ...(risked && { rMultiple: parseFloat((profit / risked).toFixed(2)) }),
+      trades: positions
+    };
+  });
+
+  // Closed signals only, open trades are reported but not scored
+  const resolved = signals.filter(signal => ['win', 'loss', 'breakeven'].includes(signal.outcome));
+  const wins = resolved.filter(signal => signal.outcome === 'win');
+  const losses = resolved.filter(signal => signal.outcome === 'loss');
+  const grossProfit = wins.reduce((sum, signal) => sum + signal.profit, 0);
+  const grossLoss = -losses.reduce((sum, signal) => sum + signal.profit, 0);
+  const withR = resolved.filter(signal => signal.rMultiple !== undefined);
+
+  // Drawdown of the realized balance, close by close
+  const initialBalance = broker.state.initialBalance / 100;
+  let peak = initialBalance;
+  let maxDrawdown = 0;
+  let maxDrawdownPercent = 0;
+  for (const deal of broker.state.deals) {
+    if (!deal.closePositionDetail) continue;
+    const balance = deal.closePositionDetail.balance / 100;
+    peak = Math.max(peak, balance);
+    maxDrawdown = Math.max(maxDrawdown, peak - balance);
+    maxDrawdownPercent = Math.max(maxDrawdownPercent, (peak - balance) / peak * 100);
+  }
+
+  const count = (outcome) => signals.filter(signal => signal.outcome === outcome).length;
+
+  return {
+    summary: {
+      signals: signals.length,
+      traded: signals.filter(signal => signal.trades?.some(trade => trade.positionId)).length,
+      invalid: count('invalid'),
+      rejected: count('rejected'),
+      failed: count('failed'),
+      notFilled: count('not_filled'),
+      open: count('open'),
+      wins: wins.length,
+      losses: losses.length,
+      breakeven: count('breakeven'),
+      winRate: resolved.length > 0 ? Math.round(wins.length / resolved.length * 1000) / 10 : null,
+      netProfit: money(grossProfit - grossLoss),
+      grossProfit: money(grossProfit),
+      grossLoss: money(grossLoss),
+      profitFactor: grossLoss > 0 ? parseFloat((grossProfit / grossLoss).toFixed(2)) : null,
+      averageWin: wins.length > 0 ? money(grossProfit / wins.length) : null,
+      averageLoss: losses.length > 0 ? money(grossLoss / losses.length) : null,
+      expectancy: resolved.length > 0 ? money((grossProfit - grossLoss) / resolved.length) : null,
+      expectancyR: withR.length > 0 ? parseFloat((withR.reduce((sum, signal) => sum + signal.rMultiple, 0) / withR.length).toFixed(2)) : null,
+      maxDrawdown: money(maxDrawdown),
+      maxDrawdownPercent: parseFloat(maxDrawdownPercent.toFixed(2))
+    },
+    account: {
+      currency: broker.currency,
+      initialBalance,
+      finalBalance: broker.state.balance / 100
+    },
+    signals
+  };
+}
+
+// node index.js backtest --signals signals.jsonl --prices prices.csv [--out report.json]
+//   [--balance 10000] [--currency USD] [--spread-pips 0.5] [--symbol EURUSD]
+//   [--volume N | --lots 0.1 | --risk-percent 1 | --risk-amount 50] [--api-key name]
+async function runBacktestCli(args) {
+  const options = {};
+  for (let i = 0; i < args.length; i += 2) {
+    const name = args[i].replace(/^--/, '').replace(/-([a-z])/g, (_, letter) => letter.toUpperCase());
+    options[name] = args[i + 1];
+  }
+
+  if (!options.signals || !options.prices) {
+    console.error('Usage: node index.js backtest --signals <file> --prices <csv> [--out report.json] [--balance 10000]');
+    console.error('       [--currency USD] [--spread-pips 0] [--symbol NAME] [--lots 0.1 | --risk-percent 1 | ...]');
+    process.exit(1);
+  }
+
+  const parsed = parseSignals(readFileSync(options.signals, 'utf8'));
+  if (parsed.error) {
+    console.error(`❌ ${parsed.error}`);
+    process.exit(1);
+  }
+  const ticks = parsePriceCsv(readFileSync(options.prices, 'utf8'), { symbol: options.symbol });
+
+  const sizing = Object.fromEntries(SIZING_FIELDS
+    .filter(field => options[field] !== undefined)
+    .map(field => [field, parseFloat(options[field])]));
+
+  const report = await runBacktest({
+    signals: parsed.signals,
+    ticks,
+    balance: parseFloat(options.balance || PAPER_BALANCE),
+    currency: options.currency || PAPER_CURRENCY,
+    spreadPips: parseFloat(options.spreadPips || 0),
+    sizing,
+    apiKey: options.apiKey || null
+  });
+
+  if (options.out) {
+    writeFileSync(options.out, JSON.stringify(report, null, 2));
+  }
+
+  console.log('\n📊 Backtest report');
+  for (const signal of report.signals) {
+    const profit = signal.profit !== undefined ? ` ${signal.profit >= 0 ? '+' : ''}${signal.profit}` : '';
+    console.log(`   #${signal.signal} ${signal.timestamp || '-'} ${signal.outcome}${profit}${signal.error ? ` (${signal.error})` : ''}`);
+  }
+  console.log(JSON.stringify({ ...report.summary, ...report.account, period: report.period }, null, 2));
+  report.warnings.forEach(warning => console.warn(`⚠️  ${warning}`));
+  if (options.out) console.log(`💾 Full report written to ${options.out}`);
+}
+
+/* ========================================
+   🌐 HTTP SERVER
+   ======================================== */
+
+// Validate environment variables
+function validateConfig() {
+  // Paper trading on CSV ticks never talks to cTrader
+  const required = CTRADER_ENV === 'paper' && PAPER_FEED === 'csv' ? ['PAPER_TICKS_FILE'] : [
+    'CTRADER_CLIENT_ID',
+    'CTRADER_CLIENT_SECRET', 
+    'CTRADER_REFRESH_TOKEN',
+    // CTRADER_ACCOUNTS can name the accounts instead, paper trading needs the one account
+    ...(CTRADER_ACCOUNTS && CTRADER_ENV !== 'paper' ? [] : ['CTRADER_ACCOUNT_ID'])
+  ];
+
+  const missing = required.filter(key => !process.env[key]);
+  
+  if (missing.length > 0) {
+    console.error('❌ Missing required environment variables:', missing);
+    process.exit(1);
+  }
+
+  if (!['json', 'protobuf'].includes(CTRADER_TRANSPORT)) {
+    console.error(`❌ Invalid CTRADER_TRANSPORT "${CTRADER_TRANSPORT}": use json or protobuf`);
+    process.exit(1);
+  }
+
+  // A broken API_KEYS would fall back to no keys and leave every endpoint open
+  if (API_KEYS) {
+    let config;
+    try {
+      config = parseJsonConfig(API_KEYS);
+    } catch (error) {
+      console.error('❌ Invalid API_KEYS config, refusing to start:', error.message);
+      process.exit(1);
+    }
+    if (!(Array.isArray(config) ? config : config?.keys)?.length) {
+      console.error('❌ API_KEYS is set but lists no keys, refusing to start unauthenticated');
+      process.exit(1);
+    }
+  }
+
+  // Without its rules the risk engine would let every order through
+  if (RISK_RULES) {
+    try {
+      parseRiskRules(RISK_RULES);
+    } catch (error) {
+      console.error('❌ Invalid RISK_RULES config, refusing to start without risk limits:', error.message);
+      process.exit(1);
+    }
+  }
+
+  // FLY_API_TOKEN is optional but recommended for full automation
+  if (!process.env.FLY_API_TOKEN) {
+    console.warn('⚠️  FLY_API_TOKEN not set - token updates will be semi-automatic');
+    console.log('💡 For 100% automation: fly secrets set FLY_API_TOKEN=$(fly auth token)');
+  }
+
+  console.log('✅ Configuration validated');
+}
+
+// Check volume against a symbol's min/max/step, returns an error message or null
+function validateVolume(symbolInfo, volume) {
+  if (!Number.isFinite(volume) || volume <= 0) {
+    return 'Invalid volume: must be a positive integer';
+  }
+  if (symbolInfo.minVolume && volume < symbolInfo.minVolume) {
+    return `Volume below minimum (${symbolInfo.minVolume})`;
+  }
+  if (symbolInfo.maxVolume && volume > symbolInfo.maxVolume) {
+    return `Volume above maximum (${symbolInfo.maxVolume})`;
+  }
+  if (symbolInfo.stepVolume && volume % symbolInfo.stepVolume !== 0) {
+    return `Volume must be a multiple of ${symbolInfo.stepVolume}`;
+  }
+  return null;
+}
+
+// Resolve an enum value given as number or name ("LIMIT", "gtc"), null if unknown
+function parseEnum(enumObject, value) {
+  const numeric = parseInt(value);
+  if (!Number.isNaN(numeric)) {
+    return Object.values(enumObject).includes(numeric) ? numeric : null;
+  }
+  return enumObject[value.toString().toUpperCase().replace(/[\s-]/g, '_')] || null;
+}
+
+// Accept ISO dates or millisecond timestamps, null if invalid
+function parseTimestamp(value) {
+  const timestamp = /^\d+$/.test(value.toString()) ? parseInt(value) : Date.parse(value);
+  return Number.isFinite(timestamp) ? timestamp : null;
+}
+
+function roundPrice(price, digits) {
+  return digits === null || digits === undefined ? price : parseFloat(price.toFixed(digits));
+}
+
+// Price distance of a pips/points value: 1 pip = 10^-pipPosition, 1 point = 10^-digits
+function priceDistance(symbolInfo, { pips, points }) {
+  if (pips !== undefined && pips !== null) {
+    if (symbolInfo.pipPosition === null) return null;
+    return parseFloat(pips) * Math.pow(10, -symbolInfo.pipPosition);
+  }
+  if (points !== undefined && points !== null) {
+    if (symbolInfo.digits === null) return null;
+    return parseFloat(points) * Math.pow(10, -symbolInfo.digits);
+  }
+  return undefined;
+}
+
+// Collect stopLossPips/Points and takeProfitPips/Points as price distances
+// Returns { distances: { stopLoss?, takeProfit? } } or { error }
+function resolveRelativeLevels(body, symbolInfo) {
+  const distances = {};
+
+  for (const field of ['stopLoss', 'takeProfit']) {
+    const pips = body[`${field}Pips`];
+    const points = body[`${field}Points`];
+    const given = [body[field], pips, points].filter(v => v !== undefined && v !== null);
+
+    if (given.length > 1) {
+      return { error: `Use only one of ${field}, ${field}Pips, ${field}Points` };
+    }
+
+    const distance = priceDistance(symbolInfo, { pips, points });
+    if (distance === undefined) continue;
+    if (distance === null) {
+      return { error: `Symbol has no pip/digit information for ${field}Pips/${field}Points` };
+    }
+    if (!(distance > 0)) {
+      return { error: `${field}Pips/${field}Points must be a positive number` };
+    }
+    distances[field] = distance;
+  }
+
+  return { distances };
+}
+
+// Check entry price, SL/TP, time-in-force and expiry are consistent, returns an error message or null
+function validateOrderPrices(orderData, quote, now = Date.now()) {
+  const { type, side, price, stopLoss, takeProfit, timeInForce, expirationTimestamp, slippageInPoints } = orderData;
+  const isBuy = side === 1;
+
+  if (type === ORDER_TYPES.MARKET) {
+    if (price) return 'Market orders do not take a price';
+    if (timeInForce === TIME_IN_FORCE.GTC || timeInForce === TIME_IN_FORCE.GTD) {
+      return 'Market orders only support IOC or FOK time-in-force';
+    }
+  } else {
+    if (!price || price <= 0) return 'Pending orders require a positive price';
+    if (timeInForce === TIME_IN_FORCE.FOK) return 'FOK is only supported for market orders';
+    if (timeInForce === TIME_IN_FORCE.IOC && type !== ORDER_TYPES.LIMIT) {
+      return 'IOC is only supported for market and limit orders';
+    }
+  }
+
+  if (type === ORDER_TYPES.STOP_LIMIT && !slippageInPoints) {
+    return 'STOP_LIMIT orders require slippage (in points)';
+  }
+  if (slippageInPoints && type !== ORDER_TYPES.STOP_LIMIT) {
+    return 'Slippage is only supported for STOP_LIMIT orders';
+  }
+
+  if (timeInForce === TIME_IN_FORCE.GTD && !expirationTimestamp) {
+    return 'GTD orders require an expiry';
+  }
+  if (expirationTimestamp) {
+    if (timeInForce !== TIME_IN_FORCE.GTD) return 'Expiry is only supported with GTD time-in-force';
+    if (expirationTimestamp <= now) return 'Expiry must be in the future';
+  }
+
+  // SL below / TP above the entry for buys, the opposite for sells
+  const entry = price || (quote && (isBuy ? quote.ask : quote.bid));
+  if (entry) {
+    if (stopLoss && (isBuy ? stopLoss >= entry : stopLoss <= entry)) {
+      return `Stop loss must be ${isBuy ? 'below' : 'above'} the entry price (${entry})`;
+    }
+    if (takeProfit && (isBuy ? takeProfit <= entry : takeProfit >= entry)) {
+      return `Take profit must be ${isBuy ? 'above' : 'below'} the entry price (${entry})`;
+    }
+  }
+
+  // Pending price vs. market, only once a quote is known
+  if (type !== ORDER_TYPES.MARKET && quote?.bid && quote?.ask) {
+    const market = isBuy ? quote.ask : quote.bid;
+    const belowMarket = price < market;
+    const mustBeBelow = (type === ORDER_TYPES.LIMIT) === isBuy;
+
+    if (belowMarket !== mustBeBelow) {
+      const name = Object.keys(ORDER_TYPES).find(key => ORDER_TYPES[key] === type);
+      return `${isBuy ? 'BUY' : 'SELL'} ${name} price must be ${mustBeBelow ? 'below' : 'above'} the market (${market})`;
+    }
+  }
+
+  return null;
+}
+
+// Validate an order request body against the live symbol catalog
+// Returns { orderData, symbolInfo } or { status, error } for the HTTP response
+// (options.client / options.now let backtests validate against their own broker and clock)
+function validateOrderRequest(body, { client = ctraderClient, now = Date.now() } = {}) {
+  const {
+    symbol, symbolId, side, volume, type, price, timeInForce, expiry, slippage,
+    stopLoss, takeProfit, comment
+  } = body;
+
+  // Resolve symbol against the live catalog
+  if (!client.hasSymbols()) {
+    return {
+      status: 503,
+      error: {
+        error: 'Symbol catalog not loaded yet',
+        message: 'Please retry in a few seconds'
+      }
+    };
+  }
+
+  if (!symbolId && !symbol) {
+    return {
+      status: 400,
+      error: {
+        error: 'Missing symbolId or symbol',
+        example: { symbol: 'EURUSD', side: 1, volume: 100000, type: 1 }
+      }
+    };
+  }
+
+  const symbolInfo = client.getSymbol(symbolId || symbol);
+  if (!symbolInfo) {
+    return {
+      status: 400,
+      error: {
+        error: 'Invalid symbol',
+        received: symbolId || symbol,
+        message: 'See GET /symbols for available symbols'
+      }
+    };
+  }
+
+  if (!symbolInfo.enabled || symbolInfo.tradingMode !== 'ENABLED') {
+    return {
+      status: 400,
+      error: {
+        error: 'Symbol not tradable',
+        symbol: symbolInfo.name,
+        tradingMode: symbolInfo.tradingMode
+      }
+    };
+  }
+
+  // Validate required fields
+  if (!side || !volume) {
+    return {
+      status: 400,
+      error: {
+        error: 'Missing required fields: side, volume (or lots / riskPercent / riskAmount)',
+        received: body
+      }
+    };
+  }
+
+  // Validate enum values
+  if (![1, 2].includes(parseInt(side))) {
+    return {
+      status: 400,
+      error: {
+        error: 'Invalid side: must be 1 (BUY) or 2 (SELL)',
+        received: side
+      }
+    };
+  }
+
+  const orderType = type ? parseEnum(ORDER_TYPES, type) : ORDER_TYPES.MARKET;
+  if (!orderType) {
+    return {
+      status: 400,
+      error: {
+        error: 'Invalid type: must be 1 (MARKET), 2 (LIMIT), 3 (STOP) or 6 (STOP_LIMIT)',
+        received: type
+      }
+    };
+  }
+
+  const tif = timeInForce ? parseEnum(TIME_IN_FORCE, timeInForce) : null;
+  if (timeInForce && !tif) {
+    return {
+      status: 400,
+      error: {
+        error: 'Invalid timeInForce: must be GTC, GTD, IOC or FOK',
+        received: timeInForce
+      }
+    };
+  }
+
+  const expirationTimestamp = expiry ? parseTimestamp(expiry) : null;
+  if (expiry && !expirationTimestamp) {
+    return {
+      status: 400,
+      error: {
+        error: 'Invalid expiry: use an ISO date or a millisecond timestamp',
+        received: expiry
+      }
+    };
+  }
+
+  // Validate volume against symbol limits
+  const volumeError = validateVolume(symbolInfo, parseInt(volume));
+  if (volumeError) {
+    return {
+      status: 400,
+      error: {
+        error: volumeError,
+        symbol: symbolInfo.name,
+        limits: {
+          minVolume: symbolInfo.minVolume,
+          maxVolume: symbolInfo.maxVolume,
+          stepVolume: symbolInfo.stepVolume
+        }
+      }
+    };
+  }
+
+  // Pip/point distances: relative levels for market orders, absolute from the entry otherwise
+  const relative = resolveRelativeLevels(body, symbolInfo);
+  if (relative.error) {
+    return {
+      status: 400,
+      error: {
+        error: relative.error,
+        symbol: symbolInfo.name
+      }
+    };
+  }
+
+  const entryPrice = price && roundPrice(parseFloat(price), symbolInfo.digits);
+  const isBuy = parseInt(side) === 1;
+  const levels = {};
+
+  for (const [field, distance] of Object.entries(relative.distances)) {
+    const isStop = field === 'stopLoss';
+    if (orderType === ORDER_TYPES.MARKET) {
+      const relativeField = isStop ? 'relativeStopLoss' : 'relativeTakeProfit';
+      levels[relativeField] = Math.round(distance * SPOT_PRICE_SCALE);
+    } else if (entryPrice) {
+      const direction = (isStop === isBuy) ? -1 : 1; // Buy: SL below / TP above
+      levels[field] = roundPrice(entryPrice + direction * distance, symbolInfo.digits);
+    }
+  }
+
+  // Prepare order data
+  const orderData = {
+    symbolId: symbolInfo.symbolId,
+    side: parseInt(side),
+    volume: parseInt(volume),
+    type: orderType,
+    ...(price && { price: roundPrice(parseFloat(price), symbolInfo.digits) }),
+    // An expiry without explicit time-in-force means GTD
+    ...((tif || expirationTimestamp) && { timeInForce: tif || TIME_IN_FORCE.GTD }),
+    ...(expirationTimestamp && { expirationTimestamp }),
+    ...(slippage && { slippageInPoints: parseInt(slippage) }),
+    ...(stopLoss && { stopLoss: roundPrice(parseFloat(stopLoss), symbolInfo.digits) }),
+    ...(takeProfit && { takeProfit: roundPrice(parseFloat(takeProfit), symbolInfo.digits) }),
+    ...levels,
+    ...(comment && { comment: comment.toString() })
+  };
+
+  // Check price / time-in-force / expiry consistency
+  const orderError = validateOrderPrices(orderData, client.getQuote(symbolInfo.symbolId), now);
+  if (orderError) {
+    return {
+      status: 400,
+      error: {
+        error: orderError,
+        orderData
+      }
+    };
+  }
+
+  return { orderData, symbolInfo };
+}
+
+// Create instances
+if (!CLI_COMMAND) validateConfig();
+const tokenManager = new SmartTokenManager();
+const paperBroker = CTRADER_ENV === 'paper' ? createPaperBroker(tokenManager) : null;
+const accountConfig = paperBroker ? { defaultAccountId: CTRADER_ACCOUNT_ID || '1' } : loadAccountConfig();
+// The default account, its connection carries every other account of its environment
+const ctraderClient = new RobustcTraderClient(tokenManager, {
+  broker: paperBroker,
+  accountId: accountConfig.defaultAccountId
+});
+const eventBus = new EventBus(tokenManager);
+const accounts = new AccountRegistry(ctraderClient, eventBus, accountConfig);
+const idempotencyStore = new IdempotencyStore();
+const journal = new Journal(eventBus);
+const orderQueue = new OrderQueue(accounts, eventBus, placeOrder);
+const tradingLock = new TradingLock(eventBus);
+const apiKeys = new ApiKeyStore(loadJsonConfig(API_KEYS, 'API_KEYS'));
+const notifier = new Notifier(eventBus, tokenManager, loadNotificationSinks());
+const app = express();
+
+// Middleware
+// Raw body kept for HMAC signature checks
+const keepRawBody = (req, res, buf) => { req.rawBody = buf; };
+app.use('/backtest', express.json({ verify: keepRawBody, limit: BACKTEST_MAX_BODY }));
+app.use(express.json({ verify: keepRawBody }));
+app.use(express.text({ type: 'text/plain', verify: keepRawBody })); // TradingView plain-text alerts
+
+// Scope needed per route: reads are "read", anything that changes state is "trade".
+// Express routes ignore case and a trailing slash, so the path is compared the same way.
+function requiredScope(req) {
+  const route = req.path.toLowerCase().replace(/\/+$/, '') || '/';
+  if (route === '/') return null;
+  if (route === '/token-update') return 'token';
+  if (route.startsWith('/admin/') || route === '/risk/reload' || route === '/paper/reset') return 'admin';
+  return req.method === 'GET' ? 'read' : 'trade';
+}
+
+app.use((req, res, next) => {
+  const scope = requiredScope(req);
+  if (!scope || (!apiKeys.enabled && scope !== 'token')) return next();
+
+  const auth = apiKeys.authenticate(req);
+  if (auth.error) {
+    console.warn(`🔒 ${req.method} ${req.path} rejected: ${auth.error}`);
+    return res.status(401).json({ error: auth.error });
+  }
+  if (!apiKeys.hasScope(auth.key, scope)) {
+    console.warn(`🔒 ${req.method} ${req.path} rejected: ${auth.key.name} lacks the ${scope} scope`);
+    return res.status(403).json({
+      error: `API key ${auth.key.name} lacks the ${scope} scope`,
+      scopes: auth.key.scopes
+    });
+  }
+
+  req.apiKey = auth.key;
+  if (req.method !== 'GET') {
+    console.log(`🔑 ${req.method} ${req.path} by ${auth.key.name}${auth.via === 'signature' ? ' (signed)' : ''}`);
+  }
+  next();
+});
+
+// Enhanced health check endpoint
+app.get('/', (req, res) => {
+  const status = {
+    status: 'running',
+    environment: CTRADER_ENV,
+    websocket: ctraderClient.getStatus(),
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    tokenRefreshNeeded: tokenManager.pendingRefreshToken ? true : false,
+    tradingLocked: tradingLock.isLocked()
+  };
+  
+  res.json(status);
+});
+
+// Detailed status endpoint
+app.get('/status', (req, res) => {
+  const status = {
+    service: 'cTrader Trading Bridge',
+    version: '2.0.0',
+    environment: CTRADER_ENV,
+    account: accounts.default.accountId,
+    websocket: ctraderClient.getStatus(),
+    accounts: accounts.status(),
+    token: {
+      hasAccessToken: !!tokenManager.accessToken,
+      expiresAt: tokenManager.expiryTime ? new Date(tokenManager.expiryTime).toISOString() : null,
+      daysUntilExpiry: tokenManager.expiryTime ? Math.round((tokenManager.expiryTime - Date.now()) / 86400000) : null
+    },
+    trading: tradingLock.status(),
+    ...(paperBroker && { paper: paperBroker.summary() }),
+    timestamp: new Date().toISOString(),
+    uptime: Math.round(process.uptime())
+  };
+  
+  res.json(status);
+});
+
+// Authenticated accounts, and every account the access token grants
+app.get('/accounts', (req, res) => {
+  res.json({
+    default: accounts.default.accountId,
+    accounts: accounts.status(),
+    granted: accounts.grantedList(),
+    grantedAt: accounts.grantedAt,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Symbol catalog (of ?accountId=, brokers name and number symbols their own way)
+app.get('/symbols', withAccount, (req, res) => {
+  const { client } = req.account;
+  const symbols = client.listSymbols();
+
+  res.json({
+    accountId: req.account.accountId,
+    count: symbols.length,
+    loadedAt: client.symbolsLoadedAt ? new Date(client.symbolsLoadedAt).toISOString() : null,
+    symbols
+  });
+});
+
+app.get('/symbols/:name', withAccount, (req, res) => {
+  const symbol = req.account.client.getSymbol(req.params.name);
+
+  if (!symbol) {
+    return res.status(404).json({
+      error: 'Symbol not found',
+      received: req.params.name
+    });
+  }
+
+  res.json(symbol);
+});
+
+// Shared order path for /order, /signal and /webhook: connection check, validation, send
+// Returns { status, body } for the HTTP response, broker errors are thrown
+async function placeOrder(orderRequest, extra = {}, context = {}) {
+  if (tradingLock.isLocked()) {
+    return {
+      status: 423,
+      body: {
+        error: 'Trading is locked by the kill switch',
+        lock: tradingLock.status(),
+        message: 'POST /admin/unlock to resume trading',
+        ...extra
+      }
+    };
+  }
+
+  const resolved = await resolveAccount(accountRef(orderRequest), context.apiKey);
+  if (resolved.error) {
+    return { status: resolved.status, body: { ...resolved.error, ...extra } };
+  }
+  const { account } = resolved;
+  const { client } = account;
+
+  if (!client.isReady()) {
+    const queueOptions = orderQueue.options(orderRequest);
+    if (queueOptions) {
+      const invalid = await validateQueuedOrder(account, orderRequest);
+      if (invalid) {
+        return { status: invalid.status, body: { ...invalid.error, ...extra } };
+      }
+
+      const queued = orderQueue.enqueue(account, orderRequest, queueOptions, extra, context);
+      if (queued.error) {
+        return { status: 400, body: { error: queued.error, queue: orderRequest.queue, ...extra } };
+      }
+
+      return {
+        status: 202,
+        body: {
+          success: true,
+          queued: true,
+          accountId: account.accountId,
+          queueId: queued.item.queueId,
+          expiresAt: queued.item.expiresAt,
+          statusUrl: `/queue/${queued.item.queueId}`,
+          message: 'cTrader connection not ready, order will be sent once it is back',
+          ...extra,
+          timestamp: new Date().toISOString()
+        }
+      };
+    }
+
+    return {
+      status: 503,
+      body: {
+        error: 'cTrader connection not ready',
+        accountId: account.accountId,
+        status: client.getStatus(),
+        message: 'Please wait for connection to establish'
+      }
+    };
+  }
+
+  const prepared = await prepareOrder(orderRequest, account);
+  if (prepared.error) {
+    return {
+      status: prepared.status,
+      body: { ...prepared.error, ...extra }
+    };
+  }
+  const { sized, validations } = prepared;
+
+  const blocked = await checkRisk(account, validations, extra, context);
+  if (blocked) return blocked;
+
+  // Send order(s) to cTrader
+  const { sent, groupId } = await sendPrepared(account, prepared, (orderData, orderContext) => journal.sendOrder(client, orderData, orderContext), context);
+
+  if (prepared.split) {
+    const children = sent.filter(order => !order.error);
+    const failed = sent.filter(order => order.error).map(({ target, orderData, error }) => ({ target, orderData, error: error.message }));
+
+    console.log(`✅ Take-profit split: ${children.length}/${sent.length} orders placed`);
+    return {
+      status: failed.length === 0 ? 200 : children.length > 0 ? 207 : 400,
+      body: {
+        success: failed.length === 0,
+        accountId: account.accountId,
+        groupId,
+        positionIds: children.map(child => child.positionId).filter(Boolean),
+        orderIds: children.map(child => child.orderId).filter(Boolean),
+        children,
+        failed,
+        ...(sized.sizing && { sizing: sized.sizing }),
+        ...extra,
+        timestamp: new Date().toISOString()
+      }
+    };
+  }
+
+  const [{ result, orderData, management, error }] = sent;
+  if (error) throw error;
+
+  console.log('✅ Order executed successfully');
+  return {
+    status: 200,
+    body: {
+      success: true,
+      accountId: account.accountId,
+      result,
+      orderData,
+      ...(sized.sizing && { sizing: sized.sizing }),
+      ...(management && { management }),
+      ...extra,
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+// The steps between an order request and the broker that placeOrder, queued orders and the
+// backtest share: management rules, sizing, take-profit split and validation.
+// Returns { status, error } or { sized, validations, split }, one validation per order to send.
+async function prepareOrder(orderRequest, { client, tradeManager }, { now } = {}) {
+  // Break-even / trailing rules are checked before anything reaches the broker
+  const managementError = orderRequest.management && tradeManager.validateRules(orderRequest.management);
+  if (managementError) {
+    return { status: 400, error: { error: managementError, management: orderRequest.management } };
+  }
+
+  // Resolve lots / risk-based sizing into a volume
+  const sized = await applyPositionSizing(orderRequest, client);
+  if (sized.error) return sized;
+
+  if (sized.orderRequest.takeProfits === undefined) {
+    const validation = validateOrderRequest(sized.orderRequest, { client, now });
+    return validation.error ? validation : { sized, validations: [validation], split: false };
+  }
+
+  // Multiple take-profits: the regular validation reports a bad symbol / volume, then every child is checked
+  const total = validateOrderRequest({ ...sized.orderRequest, takeProfits: undefined }, { client, now });
+  if (total.error) return total;
+
+  const split = splitTakeProfits(sized.orderRequest, total.symbolInfo);
+  if (split.error) return { status: 400, error: split };
+
+  const validations = split.children.map(child => validateOrderRequest(child, { client, now }));
+  return validations.find(validation => validation.error) || { sized, validations, split: true };
+}
+
+// Sends prepared orders one by one, registers the take-profit group of a split and attaches
+// management rules to what was placed. send(orderData, context) returns the execution.
+// Returns { sent, groupId }, sent holds { positionId, orderId, orderData, result, management }
+// or { orderData, error } per order, with its "target" number for splits.
+async function sendPrepared(account, { sized, validations, split }, send, context = {}) {
+  const sent = [];
+  for (const [i, { orderData }] of validations.entries()) {
+    const target = split ? { target: i + 1 } : {};
+    try {
+      const result = await send(orderData, { ...context, ...target });
+      sent.push({ ...target, ...executionIds(result), orderData, result });
+    } catch (error) {
+      sent.push({ ...target, orderData, error });
+    }
+  }
+
+  const placed = sent.filter(order => !order.error);
+  const groupId = split && placed.length > 0
+    ? account.takeProfitTracker.register(validations[0].symbolInfo.symbolId, placed.map(child => ({
+      positionId: child.positionId,
+      orderId: child.orderId,
+      volume: child.orderData.volume,
+      takeProfit: child.result?.position?.takeProfit ?? child.orderData.takeProfit,
+      stopLoss: child.result?.position?.stopLoss ?? child.orderData.stopLoss
+    })))
+    : null;
+
+  for (const order of placed) {
+    order.management = await attachManagement(account, order.result, sized.orderRequest.management, { groupId });
+  }
+  return { sent, groupId };
+}
+
+// The checks of placeOrder that need no broker round trip, for an order about to be queued:
+// the catalog and quotes from before the disconnect are still loaded, so a bad symbol,
+// volume or SL/TP is reported while the caller waits. Risk-based sizing needs the balance,
+// those orders are checked at the symbol's minimum volume and sized on replay.
+// Returns { status, error } or null.
+async function validateQueuedOrder(account, orderRequest) {
+  const { client } = account;
+  if (!client.hasSymbols()) return null; // never connected, nothing to check against
+
+  const symbolInfo = client.getSymbol(orderRequest.symbolId || orderRequest.symbol);
+  const isRisk = orderRequest.riskPercent !== undefined || orderRequest.riskAmount !== undefined;
+  const request = isRisk && symbolInfo
+    ? { ...orderRequest, riskPercent: undefined, riskAmount: undefined, volume: symbolInfo.minVolume }
+    : orderRequest;
+
+  const prepared = await prepareOrder(request, account);
+  return prepared.error ? prepared : null;
+}
+
+// Attach break-even / trailing rules to a freshly placed order, never failing the order itself
+async function attachManagement(account, result, rules, options = {}) {
+  if (!rules) return null;
+
+  try {
+    return await account.tradeManager.attachFromResult(result, rules, options);
+  } catch (error) {
+    console.error('❌ Could not attach management rules:', error.message);
+    return { error: error.message };
+  }
+}
+
+// Symbol and volume limits of an API key -> { status: 403, body } or null
+function checkKeyLimits(apiKey, validations, extra = {}) {
+  const keyViolations = apiKeys.checkOrders(apiKey, validations);
+  if (keyViolations.length === 0) return null;
+
+  console.log(`🔒 Request outside the limits of API key ${apiKey}: ${keyViolations.map(v => v.rule).join(', ')}`);
+  return {
+    status: 403,
+    body: {
+      error: 'Not allowed for this API key',
+      reasons: keyViolations.map(v => v.rule),
+      violations: keyViolations,
+      ...extra,
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+// Risk rules for validated orders, a 422 response if any of them is violated
+// options.replacing - id of the working order an amendment replaces, see RiskEngine.check
+async function checkRisk(account, validations, extra, context = {}, options = {}) {
+  // Key limits are cheap and need no broker round trip, check them first
+  const denied = checkKeyLimits(context.apiKey, validations, extra);
+  if (denied) return denied;
+
+  const violations = await account.riskEngine.check(validations, options);
+  if (violations.length === 0) return null;
+
+  console.log(`🚦 Order blocked by risk rules: ${violations.map(v => v.rule).join(', ')}`);
+  eventBus.publish('risk.rejected', {
+    accountId: account.accountId,
+    symbol: validations[0].symbolInfo.name,
+    reasons: violations.map(v => v.rule),
+    violations
+  });
+
+  return {
+    status: 422,
+    body: {
+      error: 'Order rejected by risk rules',
+      reasons: violations.map(v => v.rule),
+      violations,
+      orderData: validations.length === 1 ? validations[0].orderData : validations.map(v => v.orderData),
+      ...extra,
+      timestamp: new Date().toISOString()
+    }
+  };
+}
+
+function formatQuote(symbolInfo, quote) {
+  const spread = quote.ask - quote.bid;
+  const pip = pipSize(symbolInfo);
+
+  return {
+    symbol: symbolInfo.name,
+    symbolId: symbolInfo.symbolId,
+    bid: quote.bid,
+    ask: quote.ask,
+    spread: roundPrice(spread, symbolInfo.digits),
+    ...(pip && { spreadPips: parseFloat((spread / pip).toFixed(1)) }),
+    timestamp: new Date(quote.timestamp).toISOString()
+  };
+}
+
+// Latest bid/ask for a symbol
+app.get('/quotes/:symbol', requireConnection, async (req, res) => {
+  try {
+    const { client } = req.account;
+    const symbolInfo = client.getSymbol(req.params.symbol);
+    if (!symbolInfo) {
+      return res.status(404).json({
+        error: 'Symbol not found',
+        received: req.params.symbol
+      });
+    }
+
+    const quote = await client.getPrice(symbolInfo.symbolId);
+    res.json(formatQuote(symbolInfo, quote));
+
+  } catch (error) {
+    console.error('❌ Quote failed:', error.message);
+    res.status(502).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Live ticks as Server-Sent Events, subscribed for as long as the client listens
+app.get('/quotes/:symbol/stream', withAccount, (req, res) => {
+  const { client } = req.account;
+  const symbolInfo = client.getSymbol(req.params.symbol);
+  if (!symbolInfo) {
+    return res.status(404).json({
+      error: 'Symbol not found',
+      received: req.params.symbol
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const onSpot = (quote) => {
+    if (quote.symbolId !== symbolInfo.symbolId || quote.bid === undefined || quote.ask === undefined) return;
+    res.write(`event: quote\ndata: ${JSON.stringify(formatQuote(symbolInfo, quote))}\n\n`);
+  };
+
+  // Comment line keeps proxies from closing an idle stream
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+
+  client.on('spot', onSpot);
+  client.subscribeSpots(symbolInfo.symbolId).catch(err => {
+    res.write(`event: error\ndata: ${JSON.stringify({ error: err.message })}\n\n`);
+  });
+  console.log(`📈 Quote stream opened for ${symbolInfo.name}`);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    client.off('spot', onSpot);
+    client.unsubscribeSpots(symbolInfo.symbolId)
+      .catch(err => console.warn(`⚠️  Unsubscribe failed for ${symbolInfo.name}:`, err.message));
+    console.log(`📈 Quote stream closed for ${symbolInfo.name}`);
+  });
+});
+
+// Trading endpoint with enhanced validation
+// Journals the inbound request and the status we answered with.
+// source(req) names where it came from, e.g. "api" or "webhook:tradingview".
+function journaled(source) {
+  return (req, res, next) => {
+    const body = req.body && typeof req.body === 'object' ? req.body : {};
+    const entry = journal.append('request', {
+      source: source(req),
+      apiKey: req.apiKey?.name || null,
+      path: req.path,
+      symbol: body.symbol || null,
+      signalId: body.signalId ?? null,
+      idempotencyKey: req.get('Idempotency-Key') || null,
+      raw: req.body
+    });
+    req.journal = { requestId: entry.id, source: entry.source, ...(req.apiKey && { apiKey: req.apiKey.name }) };
+
+    const json = res.json.bind(res);
+    res.json = (responseBody) => {
+      journal.append('response', {
+        ...req.journal,
+        status: res.statusCode,
+        ...(res.get('Idempotent-Replayed') && { replayed: true }),
+        ...(responseBody?.error && { error: responseBody.error })
+      });
+      return json(responseBody);
+    };
+    next();
+  };
+}
+
+// Replays the stored response for a known Idempotency-Key / "signalId".
+// 503s are not stored: nothing reached the broker, so the retry should go through.
+// Keys are per account, API key and route: one signal copied to several accounts,
+// or the same id reused by another caller or on another endpoint, is not a retry.
+function idempotent(req, res, next) {
+  const body = req.body && typeof req.body === 'object' ? req.body : {};
+  const key = req.get('Idempotency-Key') || (body.signalId !== undefined ? body.signalId.toString() : null);
+  if (!key || body.dryRun) return next();
+
+  const ref = accountRef(body) ?? accountRef(req.query);
+  const accountId = ref === undefined ? accounts.default.accountId : accounts.find(ref)?.accountId ?? ref.toString();
+  const storeKey = JSON.stringify([accountId, req.apiKey?.name ?? null, req.path, key]);
+
+  const existing = idempotencyStore.get(storeKey);
+  if (existing?.state === 'in_progress') {
+    return res.status(409).set('Retry-After', '5').json({
+      error: 'Request with this idempotency key is still in progress',
+      idempotencyKey: key,
+      startedAt: existing.startedAt
+    });
+  }
+  if (existing) {
+    console.log(`🔁 Replaying response for idempotency key ${key}`);
+    return res.status(existing.status).set('Idempotent-Replayed', 'true').json(existing.body);
+  }
+
+  idempotencyStore.begin(storeKey, { method: req.method, path: req.path });
+
+  const json = res.json.bind(res);
+  res.json = (responseBody) => {
+    if (res.statusCode === 503) {
+      idempotencyStore.release(storeKey);
+    } else {
+      idempotencyStore.complete(storeKey, res.statusCode, responseBody);
+    }
+    return json(responseBody);
+  };
+  next();
+}
+
+app.post('/order', journaled(req => req.body?.source ? `api:${req.body.source}` : 'api'), idempotent, async (req, res) => {
+  try {
+    console.log('📝 Order request received:', req.body);
+
+    const { status, body } = await placeOrder(req.body, {}, req.journal);
+    res.status(status).json(body);
+
+  } catch (error) {
+    console.error('❌ Order failed:', error.message);
+    res.status(400).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Free-text signal: { text, channel, volume, accountId, dryRun }
+app.post('/signal', journaled(req => `signal:${req.body?.channel || 'default'}`), withAccount, idempotent, async (req, res) => {
+  try {
+    console.log('📝 Signal received:', req.body);
+
+    const { text, dryRun } = req.body || {};
+    if (!text || typeof text !== 'string') {
+      return res.status(400).json({
+        error: 'Missing signal text',
+        example: { text: 'EURUSD sell limit 1.0920 sl 1.0950 tp 1.0850', channel: 'default', volume: 100000 }
+      });
+    }
+
+    const { client } = req.account;
+    const parsed = signalOrderRequest(req.body, name => !!client.getSymbol(name));
+
+    if (parsed.error) {
+      return res.status(422).json({
+        error: parsed.error,
+        missing: parsed.missing,
+        text
+      });
+    }
+
+    const orderRequest = {
+      ...parsed.orderRequest,
+      accountId: req.account.accountId,
+      ...(req.body.queue !== undefined && { queue: req.body.queue })
+    };
+
+    if (dryRun) {
+      // Sizing needs the broker (balance, prices), validation only the catalog
+      const sized = client.isReady() ? await applyPositionSizing(orderRequest, client) : { orderRequest };
+      const validation = sized.error ? sized
+        : client.hasSymbols() ? validateOrderRequest(sized.orderRequest, { client }) : null;
+
+      return res.json({
+        dryRun: true,
+        order: sized.orderRequest || orderRequest,
+        details: parsed.details,
+        ...(sized.sizing && { sizing: sized.sizing }),
+        valid: validation ? !validation.error : null,
+        ...(validation?.error && { validationError: validation.error }),
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    // Same path as /order from here on
+    const { status, body } = await placeOrder(orderRequest, { details: parsed.details }, req.journal);
+    res.status(status).json(body);
+
+  } catch (error) {
+    console.error('❌ Signal order failed:', error.message);
+    res.status(400).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Alert webhooks, mapped onto /order by a named adapter
+app.post('/webhook/:adapter', journaled(req => `webhook:${req.params.adapter}`), idempotent, async (req, res) => {
+  try {
+    console.log(`📝 Webhook received (${req.params.adapter}):`, req.body);
+
+    const adapter = webhookAdapters.get(req.params.adapter);
+    if (!adapter) {
+      return res.status(404).json({
+        error: 'Unknown webhook adapter',
+        received: req.params.adapter,
+        available: Array.from(webhookAdapters.keys())
+      });
+    }
+
+    const mapped = adapter(req.body ?? {});
+
+    if (mapped.ignored) {
+      return res.json({
+        success: true,
+        ignored: mapped.ignored,
+        timestamp: new Date().toISOString()
+      });
+    }
+
+    if (mapped.error) {
+      return res.status(422).json({
+        error: mapped.error,
+        missing: mapped.missing,
+        received: req.body
+      });
+    }
+
+    // Plain-text alerts can only name their account in the URL: /webhook/tradingview?accountId=prop
+    const ref = accountRef(mapped.order) ?? accountRef(req.query);
+    const order = { ...mapped.order, ...(ref !== undefined && { accountId: ref }) };
+
+    const { status, body } = await placeOrder(order, { adapter: req.params.adapter }, req.journal);
+    res.status(status).json(body);
+
+  } catch (error) {
+    console.error('❌ Webhook order failed:', error.message);
+    res.status(400).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Multi-TP groups and which targets were hit, on every account
+app.get('/tp-groups', (req, res) => {
+  res.json({
+    groups: accounts.list().flatMap(({ accountId, takeProfitTracker }) =>
+      takeProfitTracker.list().map(group => ({ accountId, ...group })))
+  });
+});
+
+app.get('/tp-groups/:id', (req, res) => {
+  const account = accounts.list().find(({ takeProfitTracker }) => takeProfitTracker.get(req.params.id));
+  const group = account && { accountId: account.accountId, ...account.takeProfitTracker.get(req.params.id) };
+
+  if (!group) {
+    return res.status(404).json({
+      error: 'Take-profit group not found',
+      groupId: req.params.id
+    });
+  }
+
+  res.json(group);
+});
+
+// Break-even / trailing rules currently applied, on every account
+app.get('/management', (req, res) => {
+  const all = accounts.list();
+  res.json({
+    positions: all.flatMap(({ accountId, tradeManager }) => tradeManager.list().map(state => ({ accountId, ...state }))),
+    waitingForFill: all.flatMap(({ tradeManager }) => Array.from(tradeManager.pendingAttachments.keys())),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Active risk rules, plus the figures of the account (?accountId=) they are checked against
+app.get('/risk', withAccount, async (req, res) => {
+  const { client, riskEngine } = req.account;
+  const state = {};
+
+  if (client.isReady() && riskEngine.needsAccount()) {
+    try {
+      const { positions } = await client.reconcile();
+      state.openPositions = positions.length;
+      if (riskEngine.rules.dailyLossLimit !== undefined) {
+        state.dailyPnl = await riskEngine.dailyPnl(positions);
+      }
+    } catch (error) {
+      state.error = error.message;
+    }
+  }
+
+  res.json({
+    accountId: req.account.accountId,
+    rules: riskEngine.rules,
+    loadedAt: riskEngine.loadedAt,
+    ...state,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Re-read RISK_RULES (e.g. after editing the file on the volume)
+app.post('/risk/reload', journaled(() => 'admin'), (req, res) => {
+  try {
+    for (const { riskEngine } of accounts.list()) riskEngine.reload();
+  } catch (error) {
+    console.error('❌ Invalid RISK_RULES config, keeping the previous rules:', error.message);
+    return res.status(500).json({
+      error: `Invalid RISK_RULES config: ${error.message}`,
+      rules: accounts.default.riskEngine.rules,
+      loadedAt: accounts.default.riskEngine.loadedAt
+    });
+  }
+
+  res.json({
+    success: true,
+    rules: accounts.default.riskEngine.rules,
+    loadedAt: accounts.default.riskEngine.loadedAt
+  });
+});
+
+// Simulated account (CTRADER_ENV=paper)
+app.get('/paper', (req, res) => {
+  if (!paperBroker) {
+    return res.status(404).json({ error: 'Paper trading is off, start with CTRADER_ENV=paper' });
+  }
+  res.json({ ...paperBroker.summary(), timestamp: new Date().toISOString() });
+});
+
+app.post('/paper/reset', journaled(() => 'admin'), (req, res) => {
+  if (!paperBroker) {
+    return res.status(404).json({ error: 'Paper trading is off, start with CTRADER_ENV=paper' });
+  }
+
+  const balance = req.body?.balance !== undefined ? parseFloat(req.body.balance) : undefined;
+  if (balance !== undefined && !(balance > 0)) {
+    return res.status(400).json({ error: 'Invalid balance: must be a positive number' });
+  }
+
+  paperBroker.reset(balance);
+  res.json({ success: true, account: paperBroker.summary() });
+});
+
+// Backtest: { signals: [...] or JSON lines, prices: CSV text, balance?, currency?, spreadPips?, symbol?,
+//             volume | lots | riskPercent | riskAmount } -> report
+app.post('/backtest', async (req, res) => {
+  try {
+    const { signals, prices, symbol, balance, currency, spreadPips } = req.body || {};
+    if (!signals || typeof prices !== 'string') {
+      return res.status(400).json({
+        error: 'Missing signals or prices',
+        example: {
+          signals: [{ timestamp: '2026-01-05T08:00:00Z', text: 'EURUSD buy sl 20 pips tp 40 pips', channel: 'vip' }],
+          prices: 'timestamp,symbol,bid,ask\n2026-01-05T07:59:00Z,EURUSD,1.08500,1.08510',
+          lots: 0.1
+        }
+      });
+    }
+
+    const parsed = parseSignals(signals);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const ticks = parsePriceCsv(prices, { symbol });
+    if (ticks.length === 0) {
+      return res.status(400).json({ error: 'No prices found in the CSV', formats: ['timestamp,symbol,bid,ask', 'timestamp,symbol,open,high,low,close'] });
+    }
+
+    const startBalance = balance !== undefined ? parseFloat(balance) : parseFloat(PAPER_BALANCE);
+    if (!(startBalance > 0)) {
+      return res.status(400).json({ error: 'Invalid balance: must be a positive number', received: balance });
+    }
+
+    console.log(`🧪 Backtest: ${parsed.signals.length} signals over ${ticks.length} ticks`);
+    const report = await runBacktest({
+      signals: parsed.signals,
+      ticks,
+      // The broker's own contract specs when connected, the paper catalog otherwise
+      catalog: ctraderClient.hasSymbols() ? clientCatalog(ctraderClient) : paperCatalog(),
+      balance: startBalance,
+      currency: currency || PAPER_CURRENCY,
+      spreadPips: parseFloat(spreadPips || 0),
+      sizing: Object.fromEntries(SIZING_FIELDS.filter(field => req.body[field] !== undefined).map(field => [field, req.body[field]])),
+      apiKey: req.apiKey?.name || null
+    });
+
+    res.json({ ...report, rules: accounts.default.riskEngine.rules, timestamp: new Date().toISOString() });
+
+  } catch (error) {
+    console.error('❌ Backtest failed:', error.message);
+    res.status(400).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Orders held while disconnected (optional ?state=queued)
+app.get('/queue', (req, res) => {
+  const items = orderQueue.list(req.query.state);
+  res.json({
+    items,
+    count: items.length,
+    connected: ctraderClient.isReady(),
+    timestamp: new Date().toISOString()
+  });
+});
+
+app.get('/queue/:id', (req, res) => {
+  const item = orderQueue.get(req.params.id);
+
+  if (!item) {
+    return res.status(404).json({
+      error: 'Queued order not found',
+      queueId: req.params.id
+    });
+  }
+
+  res.json(item);
+});
+
+app.delete('/queue/:id', journaled(() => 'api'), (req, res) => {
+  const item = orderQueue.cancel(req.params.id);
+
+  if (!item) {
+    return res.status(404).json({
+      error: 'Queued order not found',
+      queueId: req.params.id
+    });
+  }
+  if (item.state !== 'cancelled') {
+    return res.status(409).json({
+      error: `Order is already ${item.state}`,
+      queueId: item.queueId,
+      state: item.state
+    });
+  }
+
+  res.json({ success: true, ...orderQueue.summary(item) });
+});
+
+// Journal history: ?from=2024-05-01&to=2024-05-31&accountId=prop&symbol=EURUSD&source=webhook&type=order&requestId=12&format=csv
+app.get('/journal', async (req, res) => {
+  // Aliases name open accounts, past ones can still be looked up by id
+  const ref = accountRef(req.query);
+  const named = ref === undefined ? null : accounts.find(ref) || { accountId: ref.toString(), alias: null };
+  if (named && !apiKeys.allowsAccount(req.apiKey?.name, named)) {
+    return res.status(403).json({
+      error: `API key ${req.apiKey.name} may not use account ${named.alias || named.accountId}`,
+      accountId: named.accountId
+    });
+  }
+
+  const entries = await journal.query({ ...req.query, accountId: named?.accountId }, visibleTo(req.apiKey?.name));
+  const realized = entries.filter(entry => entry.netProfit !== undefined);
+
+  if (req.query.format === 'csv' || req.accepts(['json', 'text/csv']) === 'text/csv') {
+    return res
+      .type('text/csv')
+      .attachment(`journal-${new Date().toISOString().slice(0, 10)}.csv`)
+      .send(journal.toCsv(entries));
+  }
+
+  res.json({
+    entries,
+    count: entries.length,
+    realizedPnl: parseFloat(realized.reduce((sum, entry) => sum + entry.netProfit, 0).toFixed(2)),
+    closedPositions: realized.length,
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Configured notification sinks and their delivery stats
+app.get('/notifications', (req, res) => {
+  res.json({
+    sinks: notifier.list(),
+    disconnectAlertMinutes: parseFloat(NOTIFY_DISCONNECT_MINUTES),
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Bridge events as Server-Sent Events (optional ?types=order,position.closed)
+app.get('/events', (req, res) => {
+  const accepts = eventTypeFilter(req.query.types);
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const visible = visibleTo(req.apiKey?.name);
+  const send = (event) => {
+    if (!accepts(event) || !visible(event)) return;
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  };
+
+  // Replay what a reconnecting EventSource missed
+  const lastEventId = parseInt(req.headers['last-event-id']);
+  if (lastEventId) {
+    eventBus.since(lastEventId).forEach(send);
+  }
+
+  const keepAlive = setInterval(() => res.write(': keep-alive\n\n'), 15000);
+  eventBus.on('event', send);
+
+  req.on('close', () => {
+    clearInterval(keepAlive);
+    eventBus.off('event', send);
+  });
+});
+
+// Bridge events over WebSocket: ws://host/events/ws?types=...
+const eventSocketServer = new WebSocketServer({ noServer: true });
+
+eventSocketServer.on('connection', (socket, req) => {
+  const url = new URL(req.url, 'http://localhost');
+  const accepts = eventTypeFilter(url.searchParams.get('types'));
+  const visible = visibleTo(req.apiKey?.name);
+
+  const send = (event) => {
+    if (accepts(event) && visible(event) && socket.readyState === WebSocket.OPEN) {
+      socket.send(JSON.stringify(event));
+    }
+  };
+
+  eventBus.on('event', send);
+  socket.on('close', () => eventBus.off('event', send));
+  socket.on('error', (error) => console.error('❌ Event socket error:', error.message));
+});
+
+function handleUpgrade(req, socket, head) {
+  const { pathname } = new URL(req.url, 'http://localhost');
+
+  if (pathname !== '/events/ws') {
+    socket.destroy();
+    return;
+  }
+
+  if (apiKeys.enabled) {
+    const auth = apiKeys.authenticate({ get: (name) => req.headers[name.toLowerCase()], method: req.method, originalUrl: req.url, body: null });
+    if (auth.error || !apiKeys.hasScope(auth.key, 'read')) {
+      socket.end('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      return;
+    }
+    req.apiKey = auth.key;
+  }
+
+  eventSocketServer.handleUpgrade(req, socket, head, (ws) => {
+    eventSocketServer.emit('connection', ws, req);
+  });
+}
+
+function unknownAccount(ref) {
+  return {
+    error: 'Unknown account',
+    received: ref,
+    accounts: accounts.list().map(account => account.alias || account.accountId),
+    message: 'Use an accountId or alias from GET /accounts'
+  };
+}
+
+// Journal entries and events an API key may see: those of its accounts, its own requests
+// and the bridge-wide ones (token, trading lock) that belong to no account
+function visibleTo(keyName) {
+  if (!apiKeys.get(keyName)?.accounts) return () => true;
+
+  return (entry) => {
+    if (entry.accountId) {
+      return apiKeys.allowsAccount(keyName, { accountId: entry.accountId, alias: accounts.find(entry.accountId)?.alias });
+    }
+    return !entry.apiKey || entry.apiKey === keyName;
+  };
+}
+
+// The account a request names, checked against the API key's account whitelist before
+// anything is opened -> { account } or { status, error }
+async function resolveAccount(ref, keyName) {
+  const named = accounts.find(ref) || (ref !== undefined && { accountId: ref.toString(), alias: null });
+  if (named && !apiKeys.allowsAccount(keyName, named)) {
+    console.log(`🔒 API key ${keyName} may not use account ${named.alias || named.accountId}`);
+    return {
+      status: 403,
+      error: { error: `API key ${keyName} may not use account ${named.alias || named.accountId}`, accountId: named.accountId }
+    };
+  }
+
+  const account = await accounts.resolve(ref);
+  return account ? { account } : { status: 400, error: unknownAccount(ref) };
+}
+
+// req.account from "accountId" / "account" (id or alias) in the body or query, the default account otherwise
+async function withAccount(req, res, next) {
+  const { account, status, error } = await resolveAccount(accountRef(req.body) ?? accountRef(req.query), req.apiKey?.name);
+  if (error) return res.status(status).json(error);
+
+  req.account = account;
+  next();
+}
+
+// Reject requests while the account's cTrader session is not usable
+function requireConnection(req, res, next) {
+  withAccount(req, res, () => {
+    const { accountId, client } = req.account;
+    if (!client.isReady()) {
+      return res.status(503).json({
+        error: 'cTrader connection not ready',
+        accountId,
+        status: client.getStatus(),
+        message: 'Please wait for connection to establish'
+      });
+    }
+    next();
+  });
+}
+
+// Key limits for a request on an existing position or order of symbolId. volume is
+// the new volume of an amendment, 0 when it closes, cancels or only moves levels.
+function checkKeyLimitsOn(req, symbolId, volume = 0) {
+  const symbolInfo = req.account.client.getSymbol(symbolId) || { name: `${symbolId}` };
+  return checkKeyLimits(req.apiKey?.name, [{ orderData: { volume }, symbolInfo }]);
+}
+
+// Open positions (optional ?symbol= filter)
+app.get('/positions', requireConnection, async (req, res) => {
+  try {
+    const { client } = req.account;
+    let positions = await client.getPositions();
+
+    if (req.query.symbol) {
+      const symbolInfo = client.getSymbol(req.query.symbol);
+      positions = positions.filter(p => p.symbolId === symbolInfo?.symbolId);
+    }
+
+    res.json({
+      accountId: req.account.accountId,
+      count: positions.length,
+      positions,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to fetch positions:', error.message);
+    res.status(502).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Close a position, optional { volume } for a partial close
+app.post('/positions/:id/close', journaled(() => 'api'), requireConnection, async (req, res) => {
+  try {
+    const { client } = req.account;
+    console.log(`📝 Close request for position ${req.params.id}:`, req.body);
+
+    const position = await client.getPosition(req.params.id);
+    if (!position) {
+      return res.status(404).json({
+        error: 'Position not found',
+        positionId: req.params.id
+      });
+    }
+
+    const denied = checkKeyLimitsOn(req, position.symbolId);
+    if (denied) return res.status(denied.status).json(denied.body);
+
+    const volume = req.body?.volume ? parseInt(req.body.volume) : position.volume;
+
+    if (!Number.isFinite(volume) || volume <= 0 || volume > position.volume) {
+      return res.status(400).json({
+        error: `Invalid volume: must be between 1 and ${position.volume}`,
+        received: req.body.volume
+      });
+    }
+
+    const symbolInfo = client.getSymbol(position.symbolId);
+    if (volume < position.volume && symbolInfo?.stepVolume && volume % symbolInfo.stepVolume !== 0) {
+      return res.status(400).json({
+        error: `Volume must be a multiple of ${symbolInfo.stepVolume}`,
+        received: volume
+      });
+    }
+
+    const result = await client.closePosition(position.positionId, volume);
+
+    console.log(`✅ Position ${position.positionId} closed (${volume}/${position.volume})`);
+    res.json({
+      success: true,
+      accountId: req.account.accountId,
+      positionId: position.positionId,
+      closedVolume: volume,
+      partial: volume < position.volume,
+      result,
+      timestamp: new Date().toISOString()
+    });
 
-  const missing = required.filter(key => !process.env[key]);
-  
-  if (missing.length > 0) {
-    console.error('❌ Missing required environment variables:', missing);
-    process.exit(1);
+  } catch (error) {
+    console.error('❌ Close failed:', error.message);
+    res.status(400).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
   }
+});
 
-  // FLY_API_TOKEN is optional but recommended for full automation
-  if (!process.env.FLY_API_TOKEN) {
-    console.warn('⚠️  FLY_API_TOKEN not set - token updates will be semi-automatic');
-    console.log('💡 For 100% automation: fly secrets set FLY_API_TOKEN=$(fly auth token)');
+// Amend SL/TP: { stopLoss, takeProfit }, null removes a level, "entry" = break-even
+app.patch('/positions/:id', journaled(() => 'api'), requireConnection, async (req, res) => {
+  try {
+    const { client } = req.account;
+    console.log(`📝 Amend request for position ${req.params.id}:`, req.body);
+
+    const { stopLoss, takeProfit } = req.body || {};
+    if (stopLoss === undefined && takeProfit === undefined) {
+      return res.status(400).json({
+        error: 'Missing stopLoss or takeProfit',
+        example: { stopLoss: 'entry', takeProfit: 1.095 }
+      });
+    }
+
+    const position = await client.getPosition(req.params.id);
+    if (!position) {
+      return res.status(404).json({
+        error: 'Position not found',
+        positionId: req.params.id
+      });
+    }
+
+    const denied = checkKeyLimitsOn(req, position.symbolId);
+    if (denied) return res.status(denied.status).json(denied.body);
+
+    const digits = client.getSymbol(position.symbolId)?.digits;
+    const resolveLevel = (value, current) => {
+      if (value === undefined) return current; // Keep: the broker replaces both levels
+      if (value === null) return null;
+      if (value.toString().toLowerCase() === 'entry') return position.entryPrice;
+      return roundPrice(parseFloat(value), digits);
+    };
+
+    const levels = {
+      stopLoss: resolveLevel(stopLoss, position.stopLoss),
+      takeProfit: resolveLevel(takeProfit, position.takeProfit)
+    };
+
+    if (Number.isNaN(levels.stopLoss) || Number.isNaN(levels.takeProfit)) {
+      return res.status(400).json({
+        error: 'Invalid stopLoss or takeProfit',
+        received: req.body
+      });
+    }
+
+    const result = await client.amendPositionSltp(position.positionId, levels);
+
+    console.log(`✅ Position ${position.positionId} amended`);
+    res.json({
+      success: true,
+      accountId: req.account.accountId,
+      positionId: position.positionId,
+      ...levels,
+      result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Amend failed:', error.message);
+    res.status(400).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
   }
+});
 
-  console.log('✅ Configuration validated');
-}
+// Attach or replace break-even / trailing rules on an open position
+app.put('/positions/:id/management', journaled(() => 'api'), requireConnection, async (req, res) => {
+  try {
+    const { client } = req.account;
+    console.log(`📝 Management rules for position ${req.params.id}:`, req.body);
 
-// Create instances
-validateConfig();
-const tokenManager = new SmartTokenManager();
-const ctraderClient = new RobustcTraderClient(tokenManager);
-const app = express();
+    const { tradeManager } = req.account;
+    const rulesError = tradeManager.validateRules(req.body);
+    if (rulesError) {
+      return res.status(400).json({
+        error: rulesError,
+        example: { breakEven: { triggerPips: 15 }, trailing: { distancePips: 20 } }
+      });
+    }
 
-// Middleware
-app.use(express.json());
+    const position = await client.getPosition(req.params.id);
+    if (!position) {
+      return res.status(404).json({
+        error: 'Position not found',
+        positionId: req.params.id
+      });
+    }
 
-// Enhanced health check endpoint
-app.get('/', (req, res) => {
-  const status = {
-    status: 'running',
-    environment: CTRADER_ENV,
-    websocket: ctraderClient.getStatus(),
-    timestamp: new Date().toISOString(),
-    uptime: process.uptime(),
-    tokenRefreshNeeded: tokenManager.pendingRefreshToken ? true : false
-  };
-  
-  res.json(status);
+    const denied = checkKeyLimitsOn(req, position.symbolId);
+    if (denied) return res.status(denied.status).json(denied.body);
+
+    const current = tradeManager.get(req.params.id);
+    const state = await tradeManager.attach(req.params.id, req.body, { groupId: current?.groupId ?? null });
+    if (!state) {
+      return res.status(404).json({
+        error: 'Position not found',
+        positionId: req.params.id
+      });
+    }
+
+    res.json({
+      success: true,
+      accountId: req.account.accountId,
+      management: state,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Attaching management rules failed:', error.message);
+    res.status(400).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
 });
 
-// Detailed status endpoint
-app.get('/status', (req, res) => {
-  const status = {
-    service: 'cTrader Trading Bridge',
-    version: '2.0.0',
-    environment: CTRADER_ENV,
-    account: CTRADER_ACCOUNT_ID,
-    websocket: ctraderClient.getStatus(),
-    token: {
-      hasAccessToken: !!tokenManager.accessToken,
-      expiresAt: tokenManager.expiryTime ? new Date(tokenManager.expiryTime).toISOString() : null,
-      daysUntilExpiry: tokenManager.expiryTime ? Math.round((tokenManager.expiryTime - Date.now()) / 86400000) : null
-    },
-    timestamp: new Date().toISOString(),
-    uptime: Math.round(process.uptime())
-  };
-  
-  res.json(status);
+app.delete('/positions/:id/management', journaled(() => 'api'), withAccount, (req, res) => {
+  const { tradeManager } = req.account;
+  const state = tradeManager.get(req.params.id);
+  if (!state) {
+    return res.status(404).json({
+      error: 'No management rules for this position',
+      positionId: req.params.id
+    });
+  }
+
+  const denied = checkKeyLimitsOn(req, state.symbolId);
+  if (denied) return res.status(denied.status).json(denied.body);
+
+  tradeManager.detach(state.positionId);
+
+  res.json({
+    success: true,
+    accountId: req.account.accountId,
+    positionId: parseInt(req.params.id),
+    timestamp: new Date().toISOString()
+  });
 });
 
-// Trading endpoint with enhanced validation
-app.post('/order', async (req, res) => {
+// Working orders (optional ?symbol= filter)
+app.get('/orders/pending', requireConnection, async (req, res) => {
   try {
-    console.log('📝 Order request received:', req.body);
+    const { client } = req.account;
+    let orders = await client.getPendingOrders();
 
-    // Validate WebSocket connection
-    if (!ctraderClient.isReady()) {
-      return res.status(503).json({
-        error: 'cTrader connection not ready',
-        status: ctraderClient.getStatus(),
-        message: 'Please wait for connection to establish'
+    if (req.query.symbol) {
+      const symbolInfo = client.getSymbol(req.query.symbol);
+      orders = orders.filter(o => o.symbolId === symbolInfo?.symbolId);
+    }
+
+    res.json({
+      accountId: req.account.accountId,
+      count: orders.length,
+      orders,
+      timestamp: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('❌ Failed to fetch pending orders:', error.message);
+    res.status(502).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Cancel every working order on a symbol: DELETE /orders/pending?symbol=XAUUSD
+app.delete('/orders/pending', journaled(() => 'api'), requireConnection, async (req, res) => {
+  try {
+    const { client } = req.account;
+    console.log('📝 Bulk cancel request:', req.query);
+
+    if (!req.query.symbol) {
+      return res.status(400).json({
+        error: 'Missing symbol query parameter',
+        example: '/orders/pending?symbol=EURUSD'
+      });
+    }
+
+    const symbolInfo = client.getSymbol(req.query.symbol);
+    if (!symbolInfo) {
+      return res.status(400).json({
+        error: 'Invalid symbol',
+        received: req.query.symbol
       });
     }
 
-    // Parse and validate order data
-    const { symbol, symbolId, side, volume, type, stopLoss, takeProfit, comment } = req.body;
+    const denied = checkKeyLimitsOn(req, symbolInfo.symbolId);
+    if (denied) return res.status(denied.status).json(denied.body);
 
-    // Convert symbol to symbolId if needed
-    let finalSymbolId = symbolId;
-    if (!finalSymbolId && symbol) {
-      finalSymbolId = SYMBOLS[symbol.toUpperCase()];
-      if (!finalSymbolId) {
-        return res.status(400).json({
-          error: 'Invalid symbol',
-          availableSymbols: Object.keys(SYMBOLS)
-        });
+    const orders = (await client.getPendingOrders())
+      .filter(o => o.symbolId === symbolInfo.symbolId);
+
+    const cancelled = [];
+    const failed = [];
+
+    // One at a time to stay under the broker's request rate limit
+    for (const order of orders) {
+      try {
+        await client.cancelOrder(order.orderId);
+        cancelled.push(order.orderId);
+      } catch (error) {
+        failed.push({ orderId: order.orderId, error: error.message });
       }
     }
 
-    if (!finalSymbolId) {
+    console.log(`✅ Cancelled ${cancelled.length}/${orders.length} ${symbolInfo.name} orders`);
+    res.status(failed.length ? 207 : 200).json({
+      success: failed.length === 0,
+      accountId: req.account.accountId,
+      symbol: symbolInfo.name,
+      cancelled,
+      failed,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Bulk cancel failed:', error.message);
+    res.status(400).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Kill switch: { accountId, symbol, label, reason }. Locks trading, then cancels pending
+// orders and closes positions (on every account, or only the one named, and only those
+// matching symbol / label). The lock itself always covers every account.
+app.post('/admin/kill-switch', journaled(() => 'admin'), async (req, res) => {
+  try {
+    const { symbol, label, reason } = req.body || {};
+    console.log('🛑 Kill switch triggered:', req.body);
+
+    const ref = accountRef(req.body);
+    const account = ref === undefined ? null : accounts.find(ref);
+    if (ref !== undefined && !account) {
+      return res.status(400).json(unknownAccount(ref));
+    }
+    const targets = account ? [account] : accounts.list();
+
+    // Symbol ids differ between brokers, every account resolves the name in its own catalog
+    const symbolName = symbol ? (account || accounts.default).client.getSymbol(symbol)?.name : null;
+    if (symbol && !symbolName) {
       return res.status(400).json({
-        error: 'Missing symbolId or symbol',
-        example: { symbolId: 1, side: 1, volume: 100000, type: 1 }
+        error: 'Invalid symbol',
+        received: symbol
       });
     }
 
-    // Validate required fields
-    if (!side || !volume) {
-      return res.status(400).json({
-        error: 'Missing required fields: side, volume',
-        received: req.body
+    const filter = {
+      ...(account && { accountId: account.accountId }),
+      ...(symbolName && { symbol: symbolName }),
+      ...(label && { label })
+    };
+
+    // Lock first so nothing new slips in while we flatten. Not being able to save the
+    // lock fails the request, but positions are still closed.
+    let lockError = null;
+    try {
+      tradingLock.lock(reason || 'kill switch', filter);
+    } catch (error) {
+      console.error('❌', error.message);
+      lockError = error.message;
+    }
+
+    const dequeued = orderQueue.list('queued')
+      .filter(item => !account || (item.accountId ?? accounts.default.accountId) === account.accountId)
+      .filter(item => !symbolName || item.symbol === symbolName)
+      .map(item => orderQueue.cancel(item.queueId).queueId);
+
+    const offline = targets.filter(({ client }) => !client.isReady());
+    if (offline.length === targets.length) {
+      return res.status(lockError ? 500 : 503).json({
+        error: 'cTrader connection not ready, trading is locked but nothing was closed',
+        locked: true,
+        ...(lockError && { persisted: false, lockError }),
+        dequeued,
+        ...(account ? { status: account.client.getStatus() } : { accounts: accounts.status() })
       });
     }
 
-    // Validate enum values
-    if (![1, 2].includes(parseInt(side))) {
+    const cancelled = [];
+    const closed = [];
+    const failed = offline.map(({ accountId }) => ({ accountId, error: 'cTrader connection not ready' }));
+
+    for (const { accountId, client } of targets.filter(target => !offline.includes(target))) {
+      const symbolId = symbolName ? client.getSymbol(symbolName)?.symbolId : null;
+      const matches = (item) =>
+        (!symbolName || item.symbolId === symbolId) && (!label || item.label === label);
+
+      // Pending orders first so none of them fills while positions are being closed
+      const orders = (await client.getPendingOrders()).filter(matches);
+      for (const order of orders) {
+        try {
+          await client.cancelOrder(order.orderId);
+          cancelled.push(order.orderId);
+        } catch (error) {
+          failed.push({ accountId, orderId: order.orderId, error: error.message });
+        }
+      }
+
+      const positions = (await client.getPositions()).filter(matches);
+      for (const position of positions) {
+        try {
+          await client.closePosition(position.positionId, position.volume);
+          closed.push(position.positionId);
+        } catch (error) {
+          failed.push({ accountId, positionId: position.positionId, error: error.message });
+        }
+      }
+    }
+
+    console.log(`🛑 Kill switch: ${cancelled.length} orders cancelled, ${closed.length} positions closed, ${failed.length} failed`);
+    res.status(lockError ? 500 : failed.length ? 207 : 200).json({
+      success: !lockError && failed.length === 0,
+      locked: true,
+      ...(lockError && { persisted: false, error: lockError }),
+      filter,
+      cancelled,
+      closed,
+      dequeued,
+      failed,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Kill switch failed:', error.message);
+    res.status(500).json({
+      error: error.message,
+      locked: tradingLock.isLocked(),
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+app.post('/admin/unlock', journaled(() => 'admin'), (req, res) => {
+  if (!tradingLock.isLocked()) {
+    return res.status(409).json({
+      error: 'Trading is not locked',
+      lock: tradingLock.status()
+    });
+  }
+
+  try {
+    tradingLock.unlock(req.body?.reason);
+  } catch (error) {
+    console.error('❌ Unlock failed:', error.message);
+    return res.status(500).json({
+      error: error.message,
+      lock: tradingLock.status()
+    });
+  }
+  console.log('🟢 Trading unlocked');
+  res.json({
+    success: true,
+    lock: tradingLock.status()
+  });
+});
+
+app.get('/admin/lock', (req, res) => {
+  res.json(tradingLock.status());
+});
+
+// Configured API keys, without the keys themselves
+app.get('/admin/keys', (req, res) => {
+  res.json({
+    enabled: apiKeys.enabled,
+    keys: apiKeys.list()
+  });
+});
+
+// Amend a working order: { price, volume, stopLoss, takeProfit, expiry }
+app.patch('/orders/:id', journaled(() => 'api'), requireConnection, async (req, res) => {
+  try {
+    const { client } = req.account;
+    console.log(`📝 Amend request for order ${req.params.id}:`, req.body);
+
+    const { price, volume, stopLoss, takeProfit, expiry } = req.body || {};
+    if ([price, volume, stopLoss, takeProfit, expiry].every(v => v === undefined)) {
       return res.status(400).json({
-        error: 'Invalid side: must be 1 (BUY) or 2 (SELL)',
-        received: side
+        error: 'Nothing to amend: send price, volume, stopLoss, takeProfit or expiry',
+        example: { price: 1.092, stopLoss: 1.095 }
+      });
+    }
+
+    const order = await client.getPendingOrder(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        error: 'Order not found',
+        orderId: req.params.id
       });
     }
 
-    if (type && ![1, 2, 3].includes(parseInt(type))) {
+    const symbolInfo = client.getSymbol(order.symbolId);
+    const digits = symbolInfo?.digits;
+
+    const expirationTimestamp = expiry ? parseTimestamp(expiry) : order.expirationTimestamp;
+    if (expiry && !expirationTimestamp) {
       return res.status(400).json({
-        error: 'Invalid type: must be 1 (MARKET), 2 (LIMIT), or 3 (STOP)',
-        received: type
+        error: 'Invalid expiry: use an ISO date or a millisecond timestamp',
+        received: expiry
       });
     }
 
-    // Prepare order data
-    const orderData = {
-      symbolId: parseInt(finalSymbolId),
-      side: parseInt(side),
-      volume: parseInt(volume),
-      type: parseInt(type) || 1, // Default to market order
-      ...(stopLoss && { stopLoss: parseFloat(stopLoss) }),
-      ...(takeProfit && { takeProfit: parseFloat(takeProfit) }),
-      ...(comment && { comment: comment.toString() })
+    // Merge requested changes over the current order
+    const amended = {
+      type: order.type,
+      side: order.side,
+      volume: volume !== undefined ? parseInt(volume) : order.volume,
+      price: price !== undefined ? roundPrice(parseFloat(price), digits) : order.price,
+      stopLoss: stopLoss === undefined ? order.stopLoss : stopLoss && roundPrice(parseFloat(stopLoss), digits),
+      takeProfit: takeProfit === undefined ? order.takeProfit : takeProfit && roundPrice(parseFloat(takeProfit), digits),
+      timeInForce: expiry ? TIME_IN_FORCE.GTD : order.timeInForce,
+      expirationTimestamp,
+      slippageInPoints: order.slippageInPoints
     };
 
-    // Send order to cTrader
-    const result = await ctraderClient.sendOrder(orderData);
+    const denied = checkKeyLimitsOn(req, order.symbolId, amended.volume);
+    if (denied) return res.status(denied.status).json(denied.body);
+
+    const volumeError = symbolInfo && validateVolume(symbolInfo, amended.volume);
+    const orderError = volumeError || validateOrderPrices(amended, client.getQuote(order.symbolId));
+    if (orderError) {
+      return res.status(400).json({
+        error: orderError,
+        orderData: amended
+      });
+    }
+
+    // Added volume has to pass the risk rules like a new order would
+    if (symbolInfo && amended.volume > order.volume) {
+      const validation = { orderData: { ...amended, symbolId: order.symbolId }, symbolInfo };
+      const rejected = await checkRisk(req.account, [validation], { orderId: order.orderId }, { apiKey: req.apiKey?.name }, { replacing: order.orderId });
+      if (rejected) return res.status(rejected.status).json(rejected.body);
+    }
+
+    const result = await client.amendOrder(order.orderId, amended);
 
-    console.log('✅ Order executed successfully');
+    console.log(`✅ Order ${order.orderId} amended`);
     res.json({
       success: true,
+      accountId: req.account.accountId,
+      orderId: order.orderId,
+      orderData: amended,
       result,
-      orderData,
       timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('❌ Order failed:', error.message);
+    console.error('❌ Amend failed:', error.message);
+    res.status(400).json({
+      error: error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+});
+
+// Cancel a working order
+app.delete('/orders/:id', journaled(() => 'api'), requireConnection, async (req, res) => {
+  try {
+    const { client } = req.account;
+    console.log(`📝 Cancel request for order ${req.params.id}`);
+
+    const order = await client.getPendingOrder(req.params.id);
+    if (!order) {
+      return res.status(404).json({
+        error: 'Order not found',
+        orderId: req.params.id
+      });
+    }
+
+    const denied = checkKeyLimitsOn(req, order.symbolId);
+    if (denied) return res.status(denied.status).json(denied.body);
+
+    const result = await client.cancelOrder(order.orderId);
+
+    console.log(`✅ Order ${order.orderId} cancelled`);
+    res.json({
+      success: true,
+      accountId: req.account.accountId,
+      orderId: order.orderId,
+      result,
+      timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('❌ Cancel failed:', error.message);
     res.status(400).json({
       error: error.message,
       timestamp: new Date().toISOString()
@@ -875,14 +7474,8 @@ app.post('/order', async (req, res) => {
 });
 
 // Secure endpoint to retrieve pending token update
+// Needs an admin key, or TOKEN_UPDATE_KEY in the X-Auth-Key header (no longer in the query string)
 app.get('/token-update', (req, res) => {
-  // Simple security: require a key
-  const authKey = req.headers['x-auth-key'] || req.query.key;
-  
-  if (authKey !== process.env.TOKEN_UPDATE_KEY) {
-    return res.status(401).json({ error: 'Unauthorized' });
-  }
-  
   if (tokenManager.pendingRefreshToken) {
     res.json({
       status: 'token_available',
@@ -903,6 +7496,14 @@ app.get('/token-update', (req, res) => {
 
 // Error handling
 app.use((error, req, res, next) => {
+  // Body parser rejections (malformed JSON, body over the limit) are the client's
+  if (error.expose && error.status >= 400 && error.status < 500) {
+    return res.status(error.status).json({
+      error: error.type === 'entity.too.large' ? `Request body over the ${error.limit} byte limit` : error.message,
+      timestamp: new Date().toISOString()
+    });
+  }
+
   console.error('❌ Server error:', error);
   res.status(500).json({ 
     error: 'Internal server error',
@@ -918,15 +7519,27 @@ async function startup() {
   try {
     console.log('\n🚀 Starting cTrader Trading Bridge v2.0...');
     console.log(`📊 Environment: ${CTRADER_ENV}`);
-    console.log(`🏦 Account ID: ${CTRADER_ACCOUNT_ID}`);
+    if (!paperBroker) console.log(`🔌 Transport: ${CTRADER_TRANSPORT}`);
+    if (paperBroker) {
+      console.log(`📝 Paper trading on ${PAPER_FEED === 'csv' ? PAPER_TICKS_FILE : `${PAPER_FEED} prices`}, no orders reach cTrader`);
+    }
+    console.log(`🏦 Account ID: ${accounts.default.accountId} (default)`);
+    for (const { accountId, alias } of accounts.configured.filter(({ accountId }) => accountId !== accounts.default.accountId)) {
+      console.log(`🏦 Account ID: ${accountId}${alias ? ` (${alias})` : ''}`);
+    }
     console.log('🔒 Production-ready with rate limiting protection');
+    if (!apiKeys.enabled) {
+      console.warn('⚠️  API_KEYS not set: trading endpoints are NOT authenticated');
+    }
     
     // Start HTTP server
     const server = app.listen(PORT, '0.0.0.0', () => {
       console.log(`🌐 HTTP server listening on port ${PORT}`);
     });
+    server.on('upgrade', handleUpgrade);
 
-    // Connect to cTrader
+    // Connect to cTrader (or the paper broker and its price feed)
+    paperBroker?.start();
     await ctraderClient.connect();
 
     // Graceful shutdown
@@ -934,11 +7547,19 @@ async function startup() {
       console.log('\n⏹️  Shutting down gracefully...');
       
       server.close(() => {
-        ctraderClient.disconnect();
+        accounts.disconnect();
+        paperBroker?.stop();
         tokenManager.destroy();
-        console.log('👋 Shutdown complete');
-        process.exit(0);
+        orderQueue.destroy();
+        journal.flush().then(() => {
+          console.log('👋 Shutdown complete');
+          process.exit(0);
+        });
       });
+
+      // Streaming clients (SSE / WebSocket) would otherwise keep the server open
+      eventSocketServer.clients.forEach(socket => socket.terminate());
+      server.closeAllConnections();
     };
 
     process.on('SIGTERM', shutdown);
@@ -948,14 +7569,45 @@ async function startup() {
     console.log('\n📋 API Endpoints:');
     console.log(`   GET  /        - Health check`);
     console.log(`   GET  /status  - Detailed status`);
-    console.log(`   POST /order   - Place trading order`);
+    console.log(`   GET  /accounts - Accounts granted by the token ("accountId" or alias on orders and positions)`);
+    console.log(`   GET  /symbols - Symbol catalog (GET /symbols/:name for details)`);
+    console.log(`   GET  /quotes/:symbol        - Latest bid / ask / spread`);
+    console.log(`   GET  /quotes/:symbol/stream - Live ticks (Server-Sent Events)`);
+    console.log(`   GET  /events  - Execution events (SSE), WebSocket at /events/ws`);
+    console.log(`   POST /admin/kill-switch - Lock trading, cancel orders, close positions ("symbol" / "label" filter)`);
+    console.log(`   POST /admin/unlock      - Resume trading after the kill switch`);
+    console.log(`   GET  /risk    - Pre-trade risk rules (POST /risk/reload after editing RISK_RULES)`);
+    console.log(`   GET  /queue   - Orders held while disconnected ("queue": true on the order, GET/DELETE /queue/:id)`);
+    if (paperBroker) {
+      console.log(`   GET  /paper   - Simulated account: balance, equity, P&L (POST /paper/reset to start over)`);
+    }
+    console.log(`   GET  /journal - Audit trail (?from, to, symbol, source, type, format=csv)`);
+    console.log(`   POST /backtest - Replay timestamped signals over price history ("signals", "prices" CSV)`);
+    console.log(`   GET  /notifications - Notification sinks (${notifier.sinks.map(sink => sink.name).join(', ') || 'none'})`);
+    console.log(`   POST /order   - Place trading order (Idempotency-Key header or "signalId" dedupes retries)`);
+    console.log(`   POST /signal  - Place order from free-text signal ("dryRun" to preview)`);
+    console.log(`   POST /webhook/:adapter - Alert webhooks (${Array.from(webhookAdapters.keys()).join(', ')})`);
+    console.log(`   GET  /positions            - Open positions`);
+    console.log(`   POST /positions/:id/close  - Close (optional "volume" for partial)`);
+    console.log(`   PATCH /positions/:id       - Amend stopLoss / takeProfit`);
+    console.log(`   PUT  /positions/:id/management - Break-even / trailing rules (or "management" on /order)`);
+    console.log(`   GET  /orders/pending       - Working orders`);
+    console.log(`   PATCH /orders/:id          - Amend price, volume, SL/TP, expiry`);
+    console.log(`   DELETE /orders/:id         - Cancel order`);
+    console.log(`   DELETE /orders/pending?symbol= - Cancel all orders on a symbol`);
     console.log('\n📖 Order Example:');
     console.log(`   {
-     "symbolId": 1,     // EURUSD
+     "accountId": "live", // optional, id or alias from GET /accounts
+     "symbol": "EURUSD", // or "symbolId" from GET /symbols
      "side": 1,         // BUY (1) or SELL (2) 
-     "volume": 100000,  // 1 lot = 100,000 units
-     "type": 1          // MARKET (1), LIMIT (2), STOP (3)
+     "volume": 100000,  // in 0.01 units (100000 = 1,000 units), or "lots": 0.5
+     "type": 1          // MARKET (1), LIMIT (2), STOP (3), STOP_LIMIT (6)
    }`);
+    console.log('   Instead of volume: "lots", or "riskPercent" / "riskAmount" with a "stopLoss"');
+    console.log('   SL/TP as distances: "stopLossPips" / "takeProfitPips" (or ...Points)');
+    console.log('   Several targets: "takeProfits": [{ "price": 1.1, "percent": 50 }, ...] (see GET /tp-groups)');
+    console.log('   Pending orders add "price", optional "timeInForce" (GTC/GTD/IOC/FOK),');
+    console.log('   "expiry" (ISO date) and "slippage" in points for STOP_LIMIT');
 
   } catch (error) {
     console.error('❌ Startup failed:', error);
@@ -964,4 +7616,13 @@ async function startup() {
 }
 
 // Start the application
-startup();
+if (CLI_COMMAND === 'backtest') {
+  runBacktestCli(process.argv.slice(3))
+    .then(() => process.exit(0))
+    .catch(error => {
+      console.error('❌ Backtest failed:', error);
+      process.exit(1);
+    });
+} else {
+  startup();
+}
@@ -0,0 +1,201 @@
+// 🧪 Multi-account: one bridge, several accounts of one access token, routed by accountId or alias
+// Run with: npm test
+
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import WebSocket from 'ws';
+import { api, startBridge, stopBridge, waitFor } from './helpers.js';
+import { MockCtraderServer, PAYLOAD } from './mock-ctrader.js';
+
+const KEYS = {
+  ops: 'test-ops-key',
+  prop: 'test-prop-key'
+};
+
+describe('multi-account routing', () => {
+  let mock;
+  let bridge;
+  let baseUrl;
+  let dataDir;
+
+  before(async () => {
+    mock = await new MockCtraderServer({
+      accounts: [
+        { accountId: 12346, isLive: false },
+        { accountId: 12347, isLive: true },
+        { accountId: 12348, isLive: false }, // granted, not configured
+        { accountId: 12349, isLive: true } // granted, not configured, live
+      ]
+    }).start();
+    dataDir = mkdtempSync(path.join(os.tmpdir(), 'ctrader-bridge-accounts-'));
+
+    ({ bridge, baseUrl } = await startBridge({
+      CTRADER_CLIENT_ID: mock.clientId,
+      CTRADER_CLIENT_SECRET: mock.clientSecret,
+      CTRADER_ACCOUNTS: JSON.stringify({
+        default: 'main',
+        accounts: [
+          { accountId: mock.accountId, alias: 'main' },
+          { accountId: 12346, alias: 'prop' },
+          { accountId: 12347, alias: 'live' }
+        ]
+      }),
+      CTRADER_REFRESH_TOKEN: mock.refreshToken,
+      API_KEYS: JSON.stringify({
+        keys: [
+          { name: 'ops', key: KEYS.ops, scopes: ['admin'] },
+          { name: 'prop-desk', key: KEYS.prop, scopes: ['trade', 'read'], accounts: ['prop'] }
+        ]
+      }),
+      CTRADER_WS_URL: mock.wsUrl,
+      CTRADER_TOKEN_URL: mock.tokenUrl,
+      DATA_DIR: dataDir,
+      TOKEN_FILE: path.join(dataDir, 'refresh_token.json'),
+      RECONNECT_BASE_MS: '200'
+    }, {
+      key: KEYS.ops,
+      ready: status => status.accounts.length === 3 && status.accounts.every(account => account.ready),
+      message: 'bridge to authenticate every account'
+    }));
+  });
+
+  after(async () => {
+    await stopBridge(bridge);
+    await mock?.stop();
+    if (dataDir) rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('authenticates the configured accounts, one connection per environment', async () => {
+    const authenticated = mock.messages(PAYLOAD.ACCOUNT_AUTH_REQ).map(message => message.payload.ctidTraderAccountId);
+    assert.deepEqual([...new Set(authenticated)].sort(), [12345, 12346, 12347]);
+    assert.equal(mock.connectionAttempts.length, 2); // demo + live
+
+    const { body } = await api(baseUrl, 'GET', '/status', { key: KEYS.ops });
+    assert.equal(body.account, '12345');
+    const live = body.accounts.find(account => account.alias === 'live');
+    assert.equal(live.isLive, true);
+    assert.equal(live.env, 'live');
+
+    const listed = await api(baseUrl, 'GET', '/accounts', { key: KEYS.ops });
+    assert.deepEqual(listed.body.granted.map(account => [account.accountId, account.open]),
+      [['12345', true], ['12346', true], ['12347', true], ['12348', false], ['12349', false]]);
+  });
+
+  it('routes orders and positions by alias', async () => {
+    const { status, body } = await api(baseUrl, 'POST', '/order', {
+      key: KEYS.ops, body: { accountId: 'prop', symbol: 'EURUSD', side: 1, volume: 100000, type: 1 }
+    });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.accountId, '12346');
+
+    const [order] = mock.messages(PAYLOAD.NEW_ORDER_REQ).slice(-1);
+    assert.equal(order.payload.ctidTraderAccountId, 12346);
+
+    const positionId = body.result.position.positionId;
+    const prop = await api(baseUrl, 'GET', '/positions?accountId=prop', { key: KEYS.ops });
+    assert.equal(prop.body.accountId, '12346');
+    assert.ok(prop.body.positions.some(position => position.positionId === positionId));
+
+    const main = await api(baseUrl, 'GET', '/positions', { key: KEYS.ops });
+    assert.ok(!main.body.positions.some(position => position.positionId === positionId));
+  });
+
+  it('opens a granted account on first use', async () => {
+    const { status, body } = await api(baseUrl, 'POST', '/order', {
+      key: KEYS.ops, body: { accountId: 12348, symbol: 'EURUSD', side: 2, volume: 100000, type: 1 }
+    });
+    assert.equal(status, 200, JSON.stringify(body));
+
+    const [order] = mock.messages(PAYLOAD.NEW_ORDER_REQ).slice(-1);
+    assert.equal(order.payload.ctidTraderAccountId, 12348);
+    assert.equal(mock.connectionAttempts.length, 2);
+  });
+
+  it('only opens live accounts from a demo deployment when they are configured', async () => {
+    const { status } = await api(baseUrl, 'POST', '/order', {
+      key: KEYS.ops, body: { accountId: 12349, symbol: 'EURUSD', side: 1, volume: 100000, type: 1 }
+    });
+    assert.equal(status, 400);
+    assert.ok(!mock.messages(PAYLOAD.ACCOUNT_AUTH_REQ).some(message => message.payload.ctidTraderAccountId === 12349));
+  });
+
+  it('keeps API keys to their accounts', async () => {
+    const order = { symbol: 'EURUSD', side: 1, volume: 100000, type: 1 };
+    const sent = mock.messages(PAYLOAD.NEW_ORDER_REQ).length;
+
+    const allowed = await api(baseUrl, 'POST', '/order', { key: KEYS.prop, body: { ...order, accountId: 'prop' } });
+    assert.equal(allowed.status, 200, JSON.stringify(allowed.body));
+
+    const main = await api(baseUrl, 'POST', '/order', { key: KEYS.prop, body: order });
+    assert.equal(main.status, 403);
+    const live = await api(baseUrl, 'POST', '/order', { key: KEYS.prop, body: { ...order, accountId: 12347 } });
+    assert.equal(live.status, 403);
+    assert.equal(mock.messages(PAYLOAD.NEW_ORDER_REQ).length, sent + 1);
+
+    const positions = await api(baseUrl, 'GET', '/positions?accountId=main', { key: KEYS.prop });
+    assert.equal(positions.status, 403);
+  });
+
+  it('shows API keys only the journal and events of their accounts', async () => {
+    const socket = await new Promise((resolve, reject) => {
+      const socket = new WebSocket(`${baseUrl.replace('http', 'ws')}/events/ws?types=order`, {
+        headers: { Authorization: `Bearer ${KEYS.prop}` }
+      });
+      socket.events = [];
+      socket.on('message', data => socket.events.push(JSON.parse(data)));
+      socket.once('open', () => resolve(socket));
+      socket.once('error', reject);
+    });
+
+    try {
+      const order = { symbol: 'EURUSD', side: 1, volume: 100000, type: 1 };
+      await api(baseUrl, 'POST', '/order', { key: KEYS.ops, body: order });
+      await api(baseUrl, 'POST', '/order', { key: KEYS.ops, body: { ...order, accountId: 'prop' } });
+
+      await waitFor(() => socket.events.some(event => event.type === 'order.filled'), { message: 'the prop fill on the stream' });
+      await new Promise(resolve => setTimeout(resolve, 300));
+      assert.deepEqual([...new Set(socket.events.map(event => event.accountId))], ['12346']);
+    } finally {
+      socket.terminate();
+    }
+
+    const all = await api(baseUrl, 'GET', '/journal', { key: KEYS.ops });
+    assert.ok(all.body.entries.some(entry => entry.accountId === mock.accountId.toString()));
+
+    const { status, body } = await api(baseUrl, 'GET', '/journal', { key: KEYS.prop });
+    assert.equal(status, 200);
+    assert.ok(body.entries.some(entry => entry.accountId === '12346'));
+    assert.ok(body.entries.every(entry => entry.accountId ? entry.accountId === '12346' : entry.apiKey !== 'ops'));
+
+    const other = await api(baseUrl, 'GET', '/journal?accountId=main', { key: KEYS.prop });
+    assert.equal(other.status, 403);
+  });
+
+  it('rejects unknown accounts', async () => {
+    const sent = mock.messages(PAYLOAD.NEW_ORDER_REQ).length;
+    const { status, body } = await api(baseUrl, 'POST', '/order', {
+      key: KEYS.ops, body: { accountId: 'nope', symbol: 'EURUSD', side: 1, volume: 100000, type: 1 }
+    });
+
+    assert.equal(status, 400);
+    assert.equal(body.error, 'Unknown account');
+    assert.equal(mock.messages(PAYLOAD.NEW_ORDER_REQ).length, sent);
+  });
+
+  it('flattens only the named account with the kill switch', async () => {
+    const main = await api(baseUrl, 'POST', '/order', { key: KEYS.ops, body: { symbol: 'EURUSD', side: 1, volume: 100000, type: 1 } });
+    const prop = await api(baseUrl, 'POST', '/order', { key: KEYS.ops, body: { accountId: 'prop', symbol: 'EURUSD', side: 1, volume: 100000, type: 1 } });
+
+    const { status, body } = await api(baseUrl, 'POST', '/admin/kill-switch', { key: KEYS.ops, body: { accountId: 'prop', reason: 'test' } });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.filter.accountId, '12346');
+    assert.ok(body.closed.includes(prop.body.result.position.positionId));
+    assert.ok(mock.positions.has(main.body.result.position.positionId));
+    assert.equal(mock.owned(mock.positions, 12346).length, 0);
+
+    await api(baseUrl, 'POST', '/admin/unlock', { key: KEYS.ops, body: {} });
+  });
+});
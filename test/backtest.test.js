@@ -0,0 +1,152 @@
+// 🧪 Backtest: `node index.js backtest` and POST /backtest replaying signals over OHLC bars
+// Run with: npm test
+
+import assert from 'node:assert/strict';
+import { execFile } from 'node:child_process';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { promisify } from 'node:util';
+import { api, ROOT, startBridge, stopBridge } from './helpers.js';
+
+const steps = (from, to, count) => Array.from({ length: count }, (_, i) => from + (to - from) * (i + 1) / count);
+
+// Closes of the default bars: flat at 1.0850, a rally to 1.0900, then a climb to 1.0930
+const RALLY = [...Array(5).fill(1.0850), ...steps(1.0850, 1.0900, 5), ...steps(1.0900, 1.0930, 3)];
+
+// One-minute EURUSD bars from 08:00 through the given closes, opening at 1.0850
+function barCsv(closes = RALLY) {
+  const start = Date.parse('2026-01-05T08:00:00Z');
+  const rows = ['timestamp,symbol,open,high,low,close'];
+  let last = 1.0850;
+  const add = (close) => {
+    const high = Math.max(last, close) + (close === last ? 0.0002 : 0);
+    const low = Math.min(last, close) - (close === last ? 0.0002 : 0);
+    rows.push([new Date(start + (rows.length - 1) * 60000).toISOString(), 'EURUSD', last, high, low, close]
+      .map(value => (typeof value === 'number' ? value.toFixed(5) : value)).join(','));
+    last = close;
+  };
+
+  closes.forEach(close => add(parseFloat(close.toFixed(5))));
+  return rows.join('\n');
+}
+
+const SIGNALS = [
+  { timestamp: '2026-01-05T08:02:30Z', channel: 'vip', text: 'EURUSD BUY NOW SL 20 pips TP 40 pips' },
+  { timestamp: '2026-01-05T08:09:30Z', symbol: 'EURUSD', side: 2, stopLossPips: 20, takeProfitPips: 40 },
+  { timestamp: '2026-01-05T08:10:00Z', text: 'good morning everyone' }
+];
+
+describe('backtest CLI', () => {
+  let dataDir;
+  let report;
+  let stdout;
+
+  before(async () => {
+    dataDir = mkdtempSync(path.join(os.tmpdir(), 'ctrader-bridge-backtest-'));
+    writeFileSync(path.join(dataDir, 'prices.csv'), barCsv());
+    writeFileSync(path.join(dataDir, 'signals.jsonl'), SIGNALS.map(signal => JSON.stringify(signal)).join('\n'));
+
+    ({ stdout } = await promisify(execFile)(process.execPath, [
+      path.join(ROOT, 'index.js'), 'backtest',
+      '--signals', path.join(dataDir, 'signals.jsonl'),
+      '--prices', path.join(dataDir, 'prices.csv'),
+      '--lots', '0.1',
+      '--spread-pips', '0',
+      '--out', path.join(dataDir, 'report.json')
+    ], { cwd: ROOT, env: { PATH: process.env.PATH, DATA_DIR: dataDir }, timeout: 60000 }));
+
+    report = JSON.parse(readFileSync(path.join(dataDir, 'report.json'), 'utf8'));
+  });
+
+  after(() => {
+    if (dataDir) rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('fills each signal and closes it on its stop or target', () => {
+    const [buy, sell, noise] = report.signals;
+
+    assert.equal(buy.outcome, 'win');
+    assert.equal(buy.profit, 40); // 40 pips on 0.1 lots
+    assert.equal(buy.trades[0].closeReason, 'take_profit');
+    assert.equal(buy.trades[0].exitPrice, buy.trades[0].takeProfit);
+
+    assert.equal(sell.outcome, 'loss');
+    assert.equal(sell.profit, -20);
+    assert.equal(sell.rMultiple, -1);
+    assert.equal(sell.trades[0].closeReason, 'stop_loss');
+
+    assert.equal(noise.outcome, 'invalid');
+    assert.deepEqual(noise.missing, ['symbol', 'side']);
+  });
+
+  it('summarizes win rate, expectancy and drawdown', () => {
+    assert.equal(report.summary.winRate, 50);
+    assert.equal(report.summary.netProfit, 20);
+    assert.equal(report.summary.expectancyR, 0.5);
+    assert.equal(report.summary.maxDrawdown, 20);
+    assert.equal(report.account.finalBalance, 10020);
+    assert.match(stdout, /#1 .* win \+40/);
+  });
+});
+
+describe('backtest API', () => {
+  let bridge;
+  let baseUrl;
+  let dataDir;
+
+  before(async () => {
+    dataDir = mkdtempSync(path.join(os.tmpdir(), 'ctrader-bridge-backtest-api-'));
+    writeFileSync(path.join(dataDir, 'prices.csv'), barCsv());
+
+    ({ bridge, baseUrl } = await startBridge({
+      CTRADER_ENV: 'paper',
+      PAPER_TICKS_FILE: path.join(dataDir, 'prices.csv'),
+      BACKTEST_MAX_BODY: '64kb',
+      BACKTEST_YIELD_TICKS: '1',
+      DATA_DIR: dataDir
+    }));
+  });
+
+  after(async () => {
+    await stopBridge(bridge);
+    if (dataDir) rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('reports the same results as the CLI while yielding between ticks', async () => {
+    const { status, body } = await api(baseUrl, 'POST', '/backtest', {
+      body: { signals: SIGNALS, prices: barCsv(), lots: 0.1, spreadPips: 0 }
+    });
+
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.deepEqual(body.signals.map(signal => signal.outcome), ['win', 'loss', 'invalid']);
+    assert.equal(body.summary.netProfit, 20);
+  });
+
+  it('validates and applies management rules like a live order', async () => {
+    const management = { breakEven: { triggerPips: 30, offsetPips: 1 } };
+    const signals = [
+      { timestamp: '2026-01-05T08:01:30Z', symbol: 'EURUSD', side: 1, stopLossPips: 20, management },
+      { timestamp: '2026-01-05T08:02:00Z', symbol: 'EURUSD', side: 1, stopLossPips: 20, management: { breakEven: {} } }
+    ];
+    const prices = barCsv([1.0850, 1.0850, 1.0850, ...steps(1.0850, 1.0890, 4), ...steps(1.0890, 1.0820, 7)]); // up 40 pips, back down 70
+
+    const { status, body } = await api(baseUrl, 'POST', '/backtest', { body: { signals, prices, lots: 0.1, spreadPips: 0 } });
+    assert.equal(status, 200, JSON.stringify(body));
+
+    const [managed, invalid] = body.signals;
+    assert.equal(managed.trades[0].closeReason, 'stop_loss');
+    const [trade] = managed.trades;
+    assert.ok(trade.exitPrice > trade.stopLoss, `stopped out above the original SL (${trade.exitPrice} vs ${trade.stopLoss})`);
+
+    assert.equal(invalid.outcome, 'invalid');
+    assert.match(invalid.error, /breakEven needs either triggerPips/);
+  });
+
+  it('refuses bodies over BACKTEST_MAX_BODY', async () => {
+    const prices = barCsv() + '\n' + 'x'.repeat(70 * 1024);
+    const { status } = await api(baseUrl, 'POST', '/backtest', { body: { signals: SIGNALS, prices, lots: 0.1 } });
+    assert.equal(status, 413);
+  });
+});
@@ -0,0 +1,477 @@
+// 🧪 End-to-end: the real bridge process against the mock cTrader server
+// Run with: npm test
+
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { mkdtempSync, rmSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import WebSocket from 'ws';
+import { api, isConnected, spawnBridge, startBridge, stopBridge, waitFor } from './helpers.js';
+import { MockCtraderServer, PAYLOAD } from './mock-ctrader.js';
+
+const KEYS = {
+  trader: 'test-trade-key',
+  reader: 'test-read-key',
+  admin: 'test-admin-key',
+  eurusd: 'test-eurusd-key'
+};
+const HMAC_SECRET = 'test-hmac-secret';
+
+// X-Timestamp / X-Signature headers of a request signed with HMAC_SECRET
+function signed(method, url, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const payload = `${timestamp}.${method}.${url}.${body === undefined ? '' : JSON.stringify(body)}`;
+  return {
+    'X-Timestamp': timestamp.toString(),
+    'X-Signature': createHmac('sha256', HMAC_SECRET).update(payload).digest('hex')
+  };
+}
+
+describe('bridge against mock cTrader', () => {
+  let mock;
+  let bridge;
+  let baseUrl;
+  let dataDir;
+
+  const isReady = async () => {
+    try {
+      return isConnected((await api(baseUrl, 'GET', '/status', { key: KEYS.reader })).body);
+    } catch {
+      return false;
+    }
+  };
+
+  before(async () => {
+    mock = await new MockCtraderServer().start();
+    dataDir = mkdtempSync(path.join(os.tmpdir(), 'ctrader-bridge-e2e-'));
+
+    ({ bridge, baseUrl } = await startBridge({
+      CTRADER_CLIENT_ID: mock.clientId,
+      CTRADER_CLIENT_SECRET: mock.clientSecret,
+      CTRADER_ACCOUNT_ID: `${mock.accountId}`,
+      CTRADER_REFRESH_TOKEN: mock.refreshToken,
+      CTRADER_WS_URL: mock.wsUrl,
+      CTRADER_TOKEN_URL: mock.tokenUrl,
+      DATA_DIR: dataDir,
+      TOKEN_FILE: path.join(dataDir, 'refresh_token.json'),
+      RECONNECT_BASE_MS: '200',
+      HEARTBEAT_INTERVAL_MS: '200',
+      TOKEN_UPDATE_KEY: 'legacy-token-key',
+      API_KEYS: JSON.stringify({
+        keys: [
+          { name: 'trader', key: KEYS.trader, scopes: ['trade', 'read'] },
+          { name: 'reader', key: KEYS.reader, scopes: ['read'] },
+          { name: 'ops', key: KEYS.admin, scopes: ['admin'] },
+          { name: 'eurusd-desk', key: KEYS.eurusd, scopes: ['trade', 'read'], symbols: ['EURUSD'], maxLots: 1 },
+          { name: 'signer', hmacSecret: HMAC_SECRET, scopes: ['trade', 'read'] }
+        ]
+      })
+    }, { key: KEYS.reader }));
+  });
+
+  after(async () => {
+    await stopBridge(bridge);
+    await mock?.stop();
+    if (dataDir) rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe('authentication', () => {
+    it('refreshes the token and authenticates application and account', () => {
+      assert.equal(mock.tokenRequests[0].grant_type, 'refresh_token');
+      assert.equal(mock.tokenRequests[0].refresh_token, 'refresh-0');
+
+      const [appAuth] = mock.messages(PAYLOAD.APPLICATION_AUTH_REQ);
+      assert.equal(appAuth.payload.clientId, mock.clientId);
+      assert.equal(appAuth.payload.accessToken, 'access-1');
+
+      const [accountAuth] = mock.messages(PAYLOAD.ACCOUNT_AUTH_REQ);
+      assert.equal(accountAuth.payload.ctidTraderAccountId, mock.accountId);
+    });
+
+    it('loads the symbol catalog after account auth', async () => {
+      const { status, body } = await api(baseUrl, 'GET', '/symbols/EURUSD', { key: KEYS.reader });
+      assert.equal(status, 200);
+      assert.equal(body.symbolId, 1);
+      assert.equal(body.lotSize, 10000000);
+    });
+
+    it('sends heartbeats and gets them echoed', async () => {
+      await waitFor(() => mock.messages(PAYLOAD.HEARTBEAT_EVENT).length >= 2, { message: 'heartbeats' });
+      const { body } = await api(baseUrl, 'GET', '/status', { key: KEYS.reader });
+      assert.ok(body.websocket.lastHeartbeat);
+    });
+
+    it('rejects API calls without a valid key or scope', async () => {
+      const missing = await api(baseUrl, 'POST', '/order', { key: null, body: {} });
+      assert.equal(missing.status, 401);
+
+      const readOnly = await api(baseUrl, 'POST', '/order', { key: KEYS.reader, body: {} });
+      assert.equal(readOnly.status, 403);
+
+      const legacy = await api(baseUrl, 'GET', '/token-update', { key: null, headers: { 'X-Auth-Key': 'legacy-token-key' } });
+      assert.equal(legacy.status, 200);
+    });
+
+    it('applies scopes to case and trailing-slash variants of a route', async () => {
+      for (const url of ['/Token-Update', '/token-update/', '/TOKEN-UPDATE/']) {
+        const { status } = await api(baseUrl, 'GET', url, { key: KEYS.reader });
+        assert.equal(status, 403, url);
+      }
+
+      for (const url of ['/Admin/kill-switch', '/admin/Kill-Switch/']) {
+        const { status } = await api(baseUrl, 'POST', url, { key: KEYS.trader, body: {} });
+        assert.equal(status, 403, url);
+      }
+      assert.equal((await api(baseUrl, 'GET', '/status', { key: KEYS.reader })).body.trading.locked, false);
+    });
+
+    it('accepts HMAC-signed requests and binds the signature to method, path and body', async () => {
+      const listed = await api(baseUrl, 'GET', '/positions?symbol=EURUSD', { headers: signed('GET', '/positions?symbol=EURUSD') });
+      assert.equal(listed.status, 200, JSON.stringify(listed.body));
+
+      const order = { symbol: 'EURUSD', side: 1, volume: 1 }; // passes auth, fails validation
+      const posted = await api(baseUrl, 'POST', '/order', { body: order, headers: signed('POST', '/order', order) });
+      assert.equal(posted.status, 400, JSON.stringify(posted.body));
+
+      const otherPath = await api(baseUrl, 'GET', '/orders/pending', { headers: signed('GET', '/positions') });
+      assert.equal(otherPath.status, 401);
+      assert.equal(otherPath.body.error, 'Invalid signature');
+
+      const otherBody = await api(baseUrl, 'POST', '/order', { body: { ...order, volume: 2 }, headers: signed('POST', '/order', order) });
+      assert.equal(otherBody.status, 401);
+      assert.equal(otherBody.body.error, 'Invalid signature');
+    });
+
+    it('rejects a replayed signature', async () => {
+      const headers = signed('GET', '/positions');
+      assert.equal((await api(baseUrl, 'GET', '/positions', { headers })).status, 200);
+
+      const replayed = await api(baseUrl, 'GET', '/positions', { headers });
+      assert.equal(replayed.status, 401);
+      assert.equal(replayed.body.error, 'Signature already used');
+    });
+
+    it('rejects signatures outside the timestamp window', async () => {
+      for (const offset of [-600, 600]) {
+        const headers = signed('GET', '/positions', undefined, Math.floor(Date.now() / 1000) + offset);
+        const { status, body } = await api(baseUrl, 'GET', '/positions', { headers });
+        assert.equal(status, 401, `${offset}s`);
+        assert.match(body.error, /outside the 300s window/);
+      }
+    });
+  });
+
+  describe('orders', () => {
+    it('fills a market order and lists the position', async () => {
+      const { status, body } = await api(baseUrl, 'POST', '/order', {
+        key: KEYS.trader,
+        body: { symbol: 'EURUSD', side: 1, volume: 100000, type: 1, stopLossPips: 20, takeProfitPips: 40 }
+      });
+
+      assert.equal(status, 200, JSON.stringify(body));
+      assert.equal(body.success, true);
+      const positionId = body.result.position.positionId;
+      assert.ok(mock.positions.has(positionId));
+
+      const [order] = mock.messages(PAYLOAD.NEW_ORDER_REQ).slice(-1);
+      assert.equal(order.payload.relativeStopLoss, 200); // 20 pips = 0.0020 in 1/100000
+      assert.equal(order.payload.relativeTakeProfit, 400);
+
+      const positions = await api(baseUrl, 'GET', '/positions', { key: KEYS.reader });
+      assert.ok(positions.body.positions.some(position => position.positionId === positionId));
+    });
+
+    it('reports broker rejections', async () => {
+      mock.scriptOrders({ reject: 'NOT_ENOUGH_MONEY' });
+      const { status, body } = await api(baseUrl, 'POST', '/order', {
+        key: KEYS.trader,
+        body: { symbol: 'EURUSD', side: 2, volume: 100000, type: 1 }
+      });
+
+      assert.equal(status, 400);
+      assert.match(body.error, /NOT_ENOUGH_MONEY/);
+    });
+
+    it('reports an order the broker cancels without a fill', async () => {
+      mock.scriptOrders({ cancel: true });
+      const started = Date.now();
+      const { status, body } = await api(baseUrl, 'POST', '/order', {
+        key: KEYS.trader,
+        body: { symbol: 'EURUSD', side: 1, volume: 100000, type: 1 }
+      });
+
+      assert.equal(status, 400);
+      assert.match(body.error, /ORDER_CANCELLED/);
+      assert.ok(Date.now() - started < 5000, 'settled without waiting for the request timeout');
+    });
+
+    it('rejects invalid volumes before reaching the broker', async () => {
+      const sent = mock.messages(PAYLOAD.NEW_ORDER_REQ).length;
+      const { status } = await api(baseUrl, 'POST', '/order', {
+        key: KEYS.trader,
+        body: { symbol: 'EURUSD', side: 1, volume: 150, type: 1 }
+      });
+
+      assert.equal(status, 400);
+      assert.equal(mock.messages(PAYLOAD.NEW_ORDER_REQ).length, sent);
+    });
+
+    it('never reads a symbol name with a numeric prefix as a symbol id', async () => {
+      const sent = mock.messages(PAYLOAD.NEW_ORDER_REQ).length;
+      const { status, body } = await api(baseUrl, 'POST', '/order', {
+        key: KEYS.trader,
+        body: { symbol: '1INCHUSD', side: 1, volume: 100000, type: 1 }
+      });
+
+      assert.equal(status, 400);
+      assert.equal(body.error, 'Invalid symbol');
+      assert.equal(mock.messages(PAYLOAD.NEW_ORDER_REQ).length, sent);
+    });
+
+    it('keeps symbol-limited keys off positions and orders of other symbols', async () => {
+      const position = await api(baseUrl, 'POST', '/order', {
+        key: KEYS.trader,
+        body: { symbol: 'XAUUSD', side: 1, volume: 100, type: 1 }
+      });
+      const order = await api(baseUrl, 'POST', '/order', {
+        key: KEYS.trader,
+        body: { symbol: 'XAUUSD', side: 1, volume: 100, type: 2, price: 2300 }
+      });
+      const positionId = position.body.result.position.positionId;
+      const orderId = order.body.result.order.orderId;
+      const key = KEYS.eurusd;
+
+      const requests = [
+        ['POST', `/positions/${positionId}/close`, { key, body: {} }],
+        ['PATCH', `/positions/${positionId}`, { key, body: { stopLoss: 2300 } }],
+        ['PUT', `/positions/${positionId}/management`, { key, body: { trailing: { distancePips: 20 } } }],
+        ['PATCH', `/orders/${orderId}`, { key, body: { price: 2310 } }],
+        ['DELETE', `/orders/${orderId}`, { key }],
+        ['DELETE', '/orders/pending?symbol=XAUUSD', { key }]
+      ];
+      for (const [method, url, options] of requests) {
+        const { status, body } = await api(baseUrl, method, url, options);
+        assert.equal(status, 403, `${method} ${url}: ${JSON.stringify(body)}`);
+        assert.deepEqual(body.reasons, ['symbol_not_allowed']);
+      }
+
+      assert.ok(mock.positions.has(positionId));
+      assert.ok(mock.orders.has(orderId));
+      await api(baseUrl, 'DELETE', `/orders/${orderId}`, { key: KEYS.trader });
+    });
+
+    it('applies the maxLots cap of a key to order amendments', async () => {
+      const placed = await api(baseUrl, 'POST', '/order', {
+        key: KEYS.eurusd,
+        body: { symbol: 'EURUSD', side: 1, volume: 10000000, type: 2, price: 1.08 } // 1 lot
+      });
+      assert.equal(placed.status, 200, JSON.stringify(placed.body));
+      const orderId = placed.body.result.order.orderId;
+
+      const amended = await api(baseUrl, 'PATCH', `/orders/${orderId}`, { key: KEYS.eurusd, body: { volume: 1000000000 } });
+      assert.equal(amended.status, 403, JSON.stringify(amended.body));
+      assert.deepEqual(amended.body.reasons, ['key_volume_cap']);
+      assert.equal(mock.messages(PAYLOAD.AMEND_ORDER_REQ).length, 0);
+
+      await api(baseUrl, 'DELETE', `/orders/${orderId}`, { key: KEYS.eurusd });
+    });
+
+    it('replays a retried submission instead of sending it twice', async () => {
+      const order = { symbol: 'EURUSD', side: 1, volume: 100000, type: 1, signalId: 'e2e-signal-1' };
+      const sent = mock.messages(PAYLOAD.NEW_ORDER_REQ).length;
+
+      const first = await api(baseUrl, 'POST', '/order', { key: KEYS.trader, body: order });
+      const retry = await api(baseUrl, 'POST', '/order', { key: KEYS.trader, body: order });
+
+      assert.equal(first.status, 200);
+      assert.equal(retry.status, 200);
+      assert.equal(retry.headers.get('idempotent-replayed'), 'true');
+      assert.deepEqual(retry.body.result, first.body.result);
+      assert.equal(mock.messages(PAYLOAD.NEW_ORDER_REQ).length, sent + 1);
+    });
+
+    it('does not replay another API key\'s submission with the same signalId', async () => {
+      const order = { symbol: 'EURUSD', side: 1, volume: 100000, type: 1, signalId: 'e2e-signal-2' };
+      const sent = mock.messages(PAYLOAD.NEW_ORDER_REQ).length;
+
+      const first = await api(baseUrl, 'POST', '/order', { key: KEYS.trader, body: order });
+      const other = await api(baseUrl, 'POST', '/order', { key: KEYS.eurusd, body: order });
+
+      assert.equal(first.status, 200, JSON.stringify(first.body));
+      assert.equal(other.status, 200, JSON.stringify(other.body));
+      assert.equal(other.headers.get('idempotent-replayed'), null);
+      assert.equal(mock.messages(PAYLOAD.NEW_ORDER_REQ).length, sent + 2);
+    });
+
+    it('places and cancels a pending limit order', async () => {
+      const placed = await api(baseUrl, 'POST', '/order', {
+        key: KEYS.trader,
+        body: { symbol: 'EURUSD', side: 1, volume: 100000, type: 2, price: 1.08 }
+      });
+      assert.equal(placed.status, 200, JSON.stringify(placed.body));
+      const orderId = placed.body.result.order.orderId;
+
+      const pending = await api(baseUrl, 'GET', '/orders/pending', { key: KEYS.reader });
+      assert.ok(pending.body.orders.some(order => order.orderId === orderId));
+
+      const cancelled = await api(baseUrl, 'DELETE', `/orders/${orderId}`, { key: KEYS.trader });
+      assert.equal(cancelled.status, 200, JSON.stringify(cancelled.body));
+      assert.ok(!mock.orders.has(orderId));
+    });
+
+    it('closes a position and journals the realized P&L', async () => {
+      const placed = await api(baseUrl, 'POST', '/order', {
+        key: KEYS.trader,
+        body: { symbol: 'EURUSD', side: 1, volume: 100000, type: 1 }
+      });
+      const positionId = placed.body.result.position.positionId;
+
+      mock.setPrice(1, 1.08610, 1.08620);
+      const closed = await api(baseUrl, 'POST', `/positions/${positionId}/close`, { key: KEYS.trader, body: {} });
+      assert.equal(closed.status, 200, JSON.stringify(closed.body));
+      assert.ok(!mock.positions.has(positionId));
+
+      const closes = await waitFor(async () => {
+        const { body } = await api(baseUrl, 'GET', '/journal?type=position.closed', { key: KEYS.reader });
+        return body.entries.find(entry => entry.positionId === positionId);
+      }, { message: 'journal close entry' });
+      assert.equal(closes.netProfit, 1); // 10 pips on 1,000 units
+
+      const { body: results } = await api(baseUrl, 'GET', '/journal?type=order.result', { key: KEYS.reader });
+      const result = results.entries.find(entry => entry.positionId === positionId);
+      assert.equal(result.side, 1);
+      const { body: sent } = await api(baseUrl, 'GET', '/journal?type=order.sent', { key: KEYS.reader });
+      assert.equal(sent.entries.find(entry => entry.requestId === result.requestId).side, 1);
+    });
+  });
+
+  describe('event streams', () => {
+    it('serves more than ten streams at once', async () => {
+      const sockets = await Promise.all(Array.from({ length: 12 }, () => new Promise((resolve, reject) => {
+        const socket = new WebSocket(`${baseUrl.replace('http', 'ws')}/events/ws?types=order`, {
+          headers: { Authorization: `Bearer ${KEYS.reader}` }
+        });
+        socket.events = [];
+        socket.on('message', data => socket.events.push(JSON.parse(data)));
+        socket.once('open', () => resolve(socket));
+        socket.once('error', reject);
+      })));
+
+      try {
+        const { status } = await api(baseUrl, 'POST', '/order', { key: KEYS.trader, body: { symbol: 'EURUSD', side: 1, volume: 100000, type: 1 } });
+        assert.equal(status, 200);
+
+        await waitFor(() => sockets.every(socket => socket.events.length > 0), { message: 'events on every stream' });
+        assert.doesNotMatch(bridge.output, /MaxListenersExceededWarning/);
+      } finally {
+        sockets.forEach(socket => socket.terminate());
+      }
+    });
+  });
+
+  describe('connection recovery', () => {
+    it('reconnects with exponential backoff after a drop', async () => {
+      const attemptsBefore = mock.connectionAttempts.length;
+      mock.refuseConnections(3);
+      mock.dropConnections();
+
+      await waitFor(async () => !(await isReady()), { message: 'bridge to notice the drop' });
+      await waitFor(isReady, { timeout: 15000, message: 'bridge to reconnect' });
+
+      const attempts = mock.connectionAttempts.slice(attemptsBefore);
+      assert.equal(attempts.length, 4);
+
+      // 200ms base: refused attempts wait 200, 400, 800ms
+      const gaps = attempts.slice(1).map((at, i) => at - attempts[i]);
+      assert.ok(gaps[0] >= 180, `gaps ${gaps}`);
+      assert.ok(gaps[1] >= gaps[0] * 1.5, `gaps ${gaps}`);
+      assert.ok(gaps[2] >= gaps[1] * 1.5, `gaps ${gaps}`);
+    });
+
+    it('refreshes the access token when cTrader reports CH_ACCESS_TOKEN_INVALID', async () => {
+      const refreshes = mock.tokenRequests.length;
+      mock.invalidateAccessTokens();
+      mock.dropConnections();
+
+      await waitFor(() => mock.tokenRequests.length > refreshes, { timeout: 15000, message: 'token refresh' });
+      await waitFor(isReady, { timeout: 15000, message: 'bridge to re-authenticate' });
+
+      const [lastAuth] = mock.messages(PAYLOAD.ACCOUNT_AUTH_REQ).slice(-1);
+      assert.equal(lastAuth.payload.accessToken, `access-${mock.tokenCounter}`);
+
+      // The rotated refresh token is handed out once
+      const update = await api(baseUrl, 'GET', '/token-update', { key: KEYS.admin });
+      assert.equal(update.body.status, 'token_available');
+      assert.equal(update.body.refresh_token, mock.refreshToken);
+    });
+
+    it('queues valid opt-in orders while disconnected and sends them after auth', async () => {
+      mock.refuseConnections(2);
+      mock.dropConnections();
+      await waitFor(async () => !(await isReady()), { message: 'bridge to notice the drop' });
+
+      // Checked against the catalog loaded before the drop, never queued
+      const badSymbol = await api(baseUrl, 'POST', '/order', {
+        key: KEYS.trader,
+        body: { symbol: 'NOPE', side: 1, volume: 100000, type: 1, queue: { maxAgeSeconds: 30 } }
+      });
+      assert.equal(badSymbol.status, 400, JSON.stringify(badSymbol.body));
+      assert.equal(badSymbol.body.error, 'Invalid symbol');
+
+      const badVolume = await api(baseUrl, 'POST', '/order', {
+        key: KEYS.trader,
+        body: { symbol: 'EURUSD', side: 1, volume: 1, type: 1, queue: { maxAgeSeconds: 30 } }
+      });
+      assert.equal(badVolume.status, 400, JSON.stringify(badVolume.body));
+      assert.equal(badVolume.body.queueId, undefined);
+
+      const queued = await api(baseUrl, 'POST', '/order', {
+        key: KEYS.trader,
+        body: { symbol: 'EURUSD', side: 1, volume: 100000, type: 1, queue: { maxAgeSeconds: 30 } }
+      });
+      assert.equal(queued.status, 202, JSON.stringify(queued.body));
+
+      const item = await waitFor(async () => {
+        const { body } = await api(baseUrl, 'GET', `/queue/${queued.body.queueId}`, { key: KEYS.reader });
+        return body.state !== 'queued' && body.state !== 'processing' && body;
+      }, { timeout: 15000, message: 'queued order replay' });
+
+      assert.equal(item.state, 'sent', JSON.stringify(item));
+      assert.ok(mock.positions.has(item.result.body.result.position.positionId));
+    });
+  });
+});
+
+describe('startup configuration', () => {
+  // Exit code and output of a bridge that is expected to stop on its own
+  const start = async (env) => {
+    const bridge = spawnBridge({
+      CTRADER_ENV: 'paper',
+      PAPER_FEED: 'csv',
+      PAPER_TICKS_FILE: path.join(os.tmpdir(), 'no-ticks.csv'),
+      DATA_DIR: os.tmpdir(),
+      ...env
+    });
+    try {
+      await waitFor(() => bridge.exitCode !== null, { timeout: 10000, message: 'bridge to exit' });
+      return { code: bridge.exitCode, output: bridge.output };
+    } finally {
+      await stopBridge(bridge);
+    }
+  };
+
+  it('refuses to start when API_KEYS does not parse or lists no keys', async () => {
+    for (const value of ['{ "keys": [{ "name": "ops" ', '/does/not/exist.json', '{ "keys": [] }']) {
+      const { code, output } = await start({ API_KEYS: value });
+      assert.equal(code, 1);
+      assert.match(output, /API_KEYS .*refusing to start/, value);
+    }
+  });
+
+  it('refuses to start when RISK_RULES does not parse', async () => {
+    const { code, output } = await start({ RISK_RULES: '{ "maxLots": ' });
+    assert.equal(code, 1);
+    assert.match(output, /Invalid RISK_RULES config, refusing to start/);
+  });
+});
@@ -0,0 +1,113 @@
+// 🧪 Shared helpers for the test suites
+
+import { spawn } from 'node:child_process';
+import net from 'node:net';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import fetch from 'node-fetch';
+
+export const ROOT = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+export const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Paper feed CSV, one EURUSD tick per second: flat, a dip to 1.0830, then a rally to 1.0910
+export function tickCsv() {
+  const start = Date.parse('2026-01-05T08:00:00Z');
+  const rows = ['timestamp,symbol,bid,ask'];
+  const add = (bid) => rows.push(`${new Date(start + rows.length * 1000).toISOString()},EURUSD,${bid.toFixed(5)},${(bid + 0.0001).toFixed(5)}`);
+
+  for (let i = 0; i < 60; i++) add(1.0850);
+  for (let i = 0; i < 5; i++) add(1.0830);
+  for (let i = 0; i < 5; i++) add(1.0910);
+  return rows.join('\n');
+}
+
+export async function waitFor(check, { timeout = 10000, interval = 50, message = 'condition' } = {}) {
+  const deadline = Date.now() + timeout;
+  while (Date.now() < deadline) {
+    const result = await check();
+    if (result) return result;
+    await sleep(interval);
+  }
+  throw new Error(`Timed out waiting for ${message}`);
+}
+
+export function freePort() {
+  return new Promise((resolve, reject) => {
+    const server = net.createServer();
+    server.on('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// Run index.js with only the given environment, bridge.output collects stdout + stderr
+export function spawnBridge(env) {
+  const bridge = spawn(process.execPath, [path.join(ROOT, 'index.js')], {
+    cwd: ROOT,
+    env: { PATH: process.env.PATH, ...env },
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+  bridge.output = '';
+  bridge.stdout.on('data', chunk => { bridge.output += chunk; });
+  bridge.stderr.on('data', chunk => { bridge.output += chunk; });
+  return bridge;
+}
+
+export async function stopBridge(bridge) {
+  if (!bridge || bridge.exitCode !== null) return;
+
+  const exited = new Promise(resolve => bridge.once('exit', resolve));
+  bridge.kill('SIGTERM');
+  await Promise.race([exited, sleep(5000)]);
+  if (bridge.exitCode === null) bridge.kill('SIGKILL');
+}
+
+// JSON request to a running bridge, options.key is sent as a Bearer token
+export async function api(baseUrl, method, url, { key, body, headers = {} } = {}) {
+  const response = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: {
+      ...(key && { Authorization: `Bearer ${key}` }),
+      ...(body !== undefined && { 'Content-Type': 'application/json' }),
+      ...headers
+    },
+    ...(body !== undefined && { body: JSON.stringify(body) })
+  });
+  return { status: response.status, headers: response.headers, body: await response.json() };
+}
+
+// The broker connection is up and the symbol catalog loaded
+export const isConnected = (status) => status.websocket.authenticated && status.websocket.symbols > 0;
+
+/**
+ * Spawn the bridge on a free port and wait until GET /status passes options.ready.
+ * The output is printed when it does not get there. -> { bridge, baseUrl }
+ *
+ * options.key     - API key for the /status polls
+ * options.ready   - (status body) => boolean, default isConnected
+ * options.message - what is awaited, for the timeout error
+ */
+export async function startBridge(env, { key, ready = isConnected, message = 'bridge to authenticate' } = {}) {
+  const port = await freePort();
+  const baseUrl = `http://127.0.0.1:${port}`;
+  const bridge = spawnBridge({ PORT: `${port}`, ...env });
+
+  try {
+    await waitFor(async () => {
+      try {
+        const { status, body } = await api(baseUrl, 'GET', '/status', { key });
+        return status === 200 && ready(body);
+      } catch {
+        return false;
+      }
+    }, { timeout: 15000, message });
+  } catch (error) {
+    console.error(bridge.output);
+    await stopBridge(bridge);
+    throw error;
+  }
+  return { bridge, baseUrl };
+}
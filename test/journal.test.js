@@ -0,0 +1,81 @@
+// 🧪 Journal files: rotation, retention and queries across rotated files
+// Run with: npm test
+
+import assert from 'node:assert/strict';
+import { mkdtempSync, readdirSync, rmSync, utimesSync, writeFileSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { api, startBridge, stopBridge, tickCsv, waitFor } from './helpers.js';
+
+const jsonl = (entries) => entries.map(entry => JSON.stringify(entry)).join('\n') + '\n';
+const fixture = (id, timestamp) => ({ id, timestamp, type: 'fixture', symbol: 'EURUSD' });
+
+describe('journal files', () => {
+  let bridge;
+  let baseUrl;
+  let dataDir;
+
+  before(async () => {
+    dataDir = mkdtempSync(path.join(os.tmpdir(), 'ctrader-bridge-journal-'));
+    writeFileSync(path.join(dataDir, 'ticks.csv'), tickCsv());
+
+    const expired = path.join(dataDir, 'journal-2020-01-01T00-00-00-000Z.jsonl');
+    writeFileSync(expired, jsonl([fixture(1, '2019-12-31T10:00:00.000Z')]));
+    utimesSync(expired, new Date('2020-01-01'), new Date('2020-01-01'));
+
+    writeFileSync(path.join(dataDir, 'journal-2024-05-02T00-00-00-000Z.jsonl'), jsonl([
+      fixture(2, '2024-05-01T10:00:00.000Z'),
+      fixture(3, '2024-05-01T11:00:00.000Z')
+    ]));
+    writeFileSync(path.join(dataDir, 'journal.jsonl'), jsonl([
+      fixture(4, '2024-05-02T10:00:00.000Z'),
+      fixture(5, '2024-05-03T10:00:00.000Z')
+    ]) + '{"id":6,"timestamp":"2024-05-03T'); // torn by a crash
+
+    ({ bridge, baseUrl } = await startBridge({
+      CTRADER_ENV: 'paper',
+      PAPER_TICKS_FILE: path.join(dataDir, 'ticks.csv'),
+      DATA_DIR: dataDir,
+      JOURNAL_MAX_MB: '0.004' // about 4 KB
+    }, { message: 'paper broker to authenticate' }));
+  });
+
+  after(async () => {
+    await stopBridge(bridge);
+    if (dataDir) rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('deletes rotated files past the retention', async () => {
+    await waitFor(() => !readdirSync(dataDir).includes('journal-2020-01-01T00-00-00-000Z.jsonl'), { message: 'expired journal file deleted' });
+    assert.ok(readdirSync(dataDir).includes('journal-2024-05-02T00-00-00-000Z.jsonl'));
+  });
+
+  it('queries across rotated files and keeps the last "limit" entries', async () => {
+    const all = await api(baseUrl, 'GET', '/journal?type=fixture');
+    assert.deepEqual(all.body.entries.map(entry => entry.id), [2, 3, 4, 5]);
+
+    const last = await api(baseUrl, 'GET', '/journal?type=fixture&limit=3');
+    assert.deepEqual(last.body.entries.map(entry => entry.id), [3, 4, 5]);
+
+    const day = await api(baseUrl, 'GET', '/journal?type=fixture&from=2024-05-01&to=2024-05-02');
+    assert.deepEqual(day.body.entries.map(entry => entry.id), [2, 3, 4]);
+  });
+
+  it('continues the entry ids and rotates past JOURNAL_MAX_MB', async () => {
+    for (let i = 0; i < 10; i++) {
+      const { status, body } = await api(baseUrl, 'POST', '/order', {
+        body: { symbol: 'EURUSD', side: 1, lots: 0.01, comment: 'x'.repeat(200) }
+      });
+      assert.equal(status, 200, JSON.stringify(body));
+    }
+
+    const { body } = await api(baseUrl, 'GET', '/journal?type=request'); // waits for pending appends
+    assert.equal(body.entries.length, 10);
+    assert.ok(body.entries[0].id > 5, `${body.entries[0].id}`);
+    assert.ok(body.entries.every((entry, i) => i === 0 || entry.id > body.entries[i - 1].id));
+
+    const rotated = readdirSync(dataDir).filter(name => /^journal-.+\.jsonl$/.test(name));
+    assert.ok(rotated.length >= 2, rotated.join(', '));
+  });
+});
@@ -0,0 +1,72 @@
+// 🧪 Trade management: break-even / trailing rules kept across restarts
+// Run with: npm test
+
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { api, startBridge, stopBridge, tickCsv, waitFor } from './helpers.js';
+
+describe('management across restarts', () => {
+  let bridge;
+  let baseUrl;
+  let dataDir;
+
+  const start = async () => {
+    ({ bridge, baseUrl } = await startBridge({
+      CTRADER_ENV: 'paper',
+      PAPER_TICKS_FILE: path.join(dataDir, 'ticks.csv'),
+      DATA_DIR: dataDir
+    }, { message: 'paper broker to authenticate' }));
+  };
+
+  before(async () => {
+    dataDir = mkdtempSync(path.join(os.tmpdir(), 'ctrader-bridge-management-'));
+    writeFileSync(path.join(dataDir, 'ticks.csv'), tickCsv());
+    await start();
+  });
+
+  after(async () => {
+    await stopBridge(bridge);
+    if (dataDir) rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('keeps break-even / trailing rules of open positions', async () => {
+    const management = { breakEven: { triggerPips: 500 } };
+    const order = await api(baseUrl, 'POST', '/order', { body: { symbol: 'EURUSD', side: 1, lots: 0.1, management } });
+    assert.equal(order.status, 200, JSON.stringify(order.body));
+    const positionId = order.body.result.position.positionId;
+
+    await stopBridge(bridge);
+    await start();
+
+    const { body } = await api(baseUrl, 'GET', '/management');
+    const state = body.positions.find(position => position.positionId === positionId);
+    assert.ok(state, JSON.stringify(body));
+    assert.deepEqual(state.rules, management);
+  });
+
+  it('keeps take-profit groups until every target is closed', async () => {
+    const order = await api(baseUrl, 'POST', '/order', {
+      body: { symbol: 'EURUSD', side: 1, lots: 0.2, takeProfits: [{ price: 1.2 }, { price: 1.3 }] }
+    });
+    assert.equal(order.status, 200, JSON.stringify(order.body));
+    const { groupId, positionIds } = order.body;
+    assert.equal(positionIds.length, 2);
+
+    await stopBridge(bridge);
+    await start();
+
+    const kept = await api(baseUrl, 'GET', `/tp-groups/${groupId}`);
+    assert.equal(kept.status, 200, JSON.stringify(kept.body));
+    assert.deepEqual(kept.body.targets.map(target => target.status), ['open', 'open']);
+
+    await api(baseUrl, 'POST', `/positions/${positionIds[0]}/close`, { body: {} });
+    await waitFor(async () => (await api(baseUrl, 'GET', `/tp-groups/${groupId}`)).body.targets[0].status === 'closed', { message: 'first target closed' });
+    assert.equal((await api(baseUrl, 'GET', `/tp-groups/${groupId}`)).body.targets[1].status, 'open');
+
+    await api(baseUrl, 'POST', `/positions/${positionIds[1]}/close`, { body: {} });
+    await waitFor(async () => (await api(baseUrl, 'GET', `/tp-groups/${groupId}`)).status === 404, { message: 'finished group dropped' });
+  });
+});
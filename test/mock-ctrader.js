@@ -0,0 +1,626 @@
+// 🧪 Mock cTrader Open API - JSON WebSocket and Protobuf TCP protocols + /apps/token stand-in
+// Used by the e2e suite, or run on its own and point the bridge at it:
+//   node test/mock-ctrader.js 5036
+//   CTRADER_WS_URL=ws://localhost:5036 CTRADER_TOKEN_URL=http://localhost:5036/apps/token node index.js
+
+import http from 'http';
+import net from 'net';
+import { pathToFileURL } from 'url';
+import { WebSocketServer } from 'ws';
+import { ProtobufCodec, ProtobufSocket } from '../ctrader-protobuf.js';
+
+export const PAYLOAD = {
+  HEARTBEAT_EVENT: 51,
+  APPLICATION_AUTH_REQ: 2100,
+  APPLICATION_AUTH_RES: 2101,
+  ACCOUNT_AUTH_REQ: 2102,
+  ACCOUNT_AUTH_RES: 2103,
+  NEW_ORDER_REQ: 2106,
+  CANCEL_ORDER_REQ: 2108,
+  AMEND_ORDER_REQ: 2109,
+  AMEND_POSITION_SLTP_REQ: 2110,
+  CLOSE_POSITION_REQ: 2111,
+  ASSET_LIST_REQ: 2112,
+  ASSET_LIST_RES: 2113,
+  SYMBOLS_LIST_REQ: 2114,
+  SYMBOLS_LIST_RES: 2115,
+  SYMBOL_BY_ID_REQ: 2116,
+  SYMBOL_BY_ID_RES: 2117,
+  SYMBOLS_FOR_CONVERSION_REQ: 2118,
+  SYMBOLS_FOR_CONVERSION_RES: 2119,
+  TRADER_REQ: 2121,
+  TRADER_RES: 2122,
+  RECONCILE_REQ: 2124,
+  RECONCILE_RES: 2125,
+  EXECUTION_EVENT: 2126,
+  SUBSCRIBE_SPOTS_REQ: 2127,
+  SUBSCRIBE_SPOTS_RES: 2128,
+  UNSUBSCRIBE_SPOTS_REQ: 2129,
+  UNSUBSCRIBE_SPOTS_RES: 2130,
+  SPOT_EVENT: 2131,
+  ORDER_ERROR_EVENT: 2132,
+  DEAL_LIST_REQ: 2133,
+  DEAL_LIST_RES: 2134,
+  ERROR_RES: 2142,
+  GET_ACCOUNTS_BY_ACCESS_TOKEN_REQ: 2149,
+  GET_ACCOUNTS_BY_ACCESS_TOKEN_RES: 2150
+};
+
+export const EXECUTION = {
+  ACCEPTED: 2,
+  FILLED: 3,
+  REPLACED: 4,
+  CANCELLED: 5
+};
+
+const MARKET = 1;
+
+const DEFAULT_ASSETS = [
+  { assetId: 1, name: 'EUR', digits: 2 },
+  { assetId: 2, name: 'USD', digits: 2 },
+  { assetId: 3, name: 'XAU', digits: 2 }
+];
+
+const DEFAULT_SYMBOLS = [
+  {
+    symbolId: 1, symbolName: 'EURUSD', baseAssetId: 1, quoteAssetId: 2,
+    digits: 5, pipPosition: 4, lotSize: 10000000, minVolume: 100000, maxVolume: 10000000000, stepVolume: 100000,
+    bid: 1.08500, ask: 1.08510
+  },
+  {
+    symbolId: 41, symbolName: 'XAUUSD', baseAssetId: 3, quoteAssetId: 2,
+    digits: 2, pipPosition: 1, lotSize: 10000, minVolume: 100, maxVolume: 10000000, stepVolume: 100,
+    bid: 2345.10, ask: 2345.40
+  }
+];
+
+const SPOT_PRICE_SCALE = 100000;
+
+const JSON_CODEC = {
+  encode: (message) => JSON.stringify(message),
+  decode: (data) => JSON.parse(data.toString())
+};
+
+export class MockCtraderServer {
+  constructor({
+    clientId = 'test-client',
+    clientSecret = 'test-secret',
+    accountId = 12345,
+    accounts = [], // more accounts the token grants: [{ accountId, isLive }]
+    refreshToken = 'refresh-0',
+    balance = 10000,
+    log = false
+  } = {}) {
+    this.clientId = clientId;
+    this.clientSecret = clientSecret;
+    this.accountId = accountId;
+    this.accounts = [{ accountId, isLive: false }, ...accounts]
+      .map((account, i) => ({ traderLogin: 900001 + i, ...account }));
+    this.balance = balance;
+    this.log = log;
+
+    this.assets = DEFAULT_ASSETS;
+    this.symbols = new Map(DEFAULT_SYMBOLS.map(symbol => [symbol.symbolId, { ...symbol }]));
+
+    // Tokens: every refresh invalidates the previous refresh token, like the real endpoint
+    this.refreshToken = refreshToken;
+    this.accessTokens = new Set();
+    this.tokenCounter = 0;
+    this.tokenRequests = [];
+    this.tokenFailures = [];
+
+    this.positions = new Map();
+    this.orders = new Map();
+    this.deals = [];
+    this.owners = new Map(); // positionId -> accountId
+    this.idCounter = 1000;
+
+    this.orderScript = []; // outcomes for the next NEW_ORDER_REQs
+    this.refusals = 0; // upgrades to answer with 503
+    this.connectionAttempts = []; // timestamps of every upgrade attempt
+    this.received = []; // every message from the bridge
+    this.sockets = new Set();
+    this.subscriptions = new Map(); // socket -> Map of accountId -> Set of symbolIds
+  }
+
+  async start(port = 0) {
+    this.httpServer = http.createServer((req, res) => this.onHttpRequest(req, res));
+    this.wss = new WebSocketServer({ noServer: true });
+
+    this.httpServer.on('upgrade', (req, socket, head) => {
+      this.connectionAttempts.push(Date.now());
+
+      if (this.refusals > 0) {
+        this.refusals--;
+        socket.end('HTTP/1.1 503 Service Unavailable\r\n\r\n');
+        return;
+      }
+
+      this.wss.handleUpgrade(req, socket, head, (ws) => this.onConnection(ws));
+    });
+
+    // Protobuf frames over plain TCP (the bridge with CTRADER_PROTOBUF_URL=tcp://...)
+    this.codec = new ProtobufCodec();
+    this.tcpServer = net.createServer(socket => {
+      this.connectionAttempts.push(Date.now());
+
+      if (this.refusals > 0) {
+        this.refusals--;
+        socket.destroy();
+        return;
+      }
+
+      this.onConnection(new ProtobufSocket(socket), this.codec);
+    });
+
+    await new Promise(resolve => this.httpServer.listen(port, '127.0.0.1', resolve));
+    await new Promise(resolve => this.tcpServer.listen(0, '127.0.0.1', resolve));
+    this.port = this.httpServer.address().port;
+    this.wsUrl = `ws://127.0.0.1:${this.port}`;
+    this.protobufUrl = `tcp://127.0.0.1:${this.tcpServer.address().port}`;
+    this.tokenUrl = `http://127.0.0.1:${this.port}/apps/token`;
+    return this;
+  }
+
+  async stop() {
+    for (const ws of this.sockets) ws.terminate();
+    this.httpServer.closeAllConnections?.();
+    await new Promise(resolve => this.httpServer.close(resolve));
+    await new Promise(resolve => this.tcpServer.close(resolve));
+  }
+
+  debug(...args) {
+    if (this.log) console.log('[mock]', ...args);
+  }
+
+  /* ---------- test controls ---------- */
+
+  // Next orders: { fill: true, price } | { accept: true } | { cancel: true } | { reject: 'NOT_ENOUGH_MONEY' } | { silent: true }
+  scriptOrders(...outcomes) {
+    this.orderScript.push(...outcomes);
+  }
+
+  // Close every open socket (code 1006-style drop unless a code is given)
+  dropConnections(code) {
+    for (const ws of this.sockets) {
+      if (code) ws.close(code, 'Forced by mock');
+      else ws.terminate();
+    }
+  }
+
+  // Answer the next n connection attempts with HTTP 503
+  refuseConnections(n) {
+    this.refusals = n;
+  }
+
+  // Access tokens stop working, the bridge has to refresh
+  invalidateAccessTokens() {
+    this.accessTokens.clear();
+  }
+
+  // Fail the next n token refreshes with the given errorCode
+  failTokenRefresh(n, errorCode = 'SERVER_ERROR') {
+    for (let i = 0; i < n; i++) this.tokenFailures.push(errorCode);
+  }
+
+  setPrice(symbolId, bid, ask) {
+    const symbol = this.symbols.get(symbolId);
+    Object.assign(symbol, { bid, ask });
+
+    for (const [ws, accounts] of this.subscriptions) {
+      for (const [accountId, symbolIds] of accounts) {
+        if (symbolIds.has(symbolId)) this.sendSpot(ws, accountId, symbol);
+      }
+    }
+  }
+
+  messages(payloadType) {
+    return this.received.filter(message => message.payloadType === payloadType);
+  }
+
+  // Positions, working orders or deals of one account (all of them carry a positionId)
+  owned(items, accountId) {
+    return Array.from(items.values()).filter(item => this.owners.get(item.positionId) === accountId);
+  }
+
+  /* ---------- /apps/token ---------- */
+
+  onHttpRequest(req, res) {
+    const url = new URL(req.url, 'http://localhost');
+    if (url.pathname !== '/apps/token') {
+      res.writeHead(404).end();
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      const params = new URLSearchParams(body || url.search);
+      const request = Object.fromEntries(params);
+      this.tokenRequests.push({ ...request, at: Date.now() });
+
+      const reply = (data) => {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify(data));
+      };
+
+      const failure = this.tokenFailures.shift();
+      if (failure) {
+        return reply({ errorCode: failure, description: 'Scripted failure' });
+      }
+      if (request.client_id !== this.clientId || request.client_secret !== this.clientSecret) {
+        return reply({ errorCode: 'ACCESS_DENIED', description: 'Invalid client credentials' });
+      }
+      if (request.grant_type !== 'refresh_token' || request.refresh_token !== this.refreshToken) {
+        return reply({ errorCode: 'INVALID_GRANT', description: 'Unknown refresh token' });
+      }
+
+      this.tokenCounter++;
+      const accessToken = `access-${this.tokenCounter}`;
+      this.refreshToken = `refresh-${this.tokenCounter}`;
+      this.accessTokens.add(accessToken);
+      this.debug('issued', accessToken);
+
+      reply({
+        accessToken,
+        tokenType: 'bearer',
+        expiresIn: 2628000,
+        refreshToken: this.refreshToken,
+        errorCode: null,
+        description: null
+      });
+    });
+  }
+
+  /* ---------- WebSocket protocol ---------- */
+
+  onConnection(ws, codec = JSON_CODEC) {
+    this.sockets.add(ws);
+    this.subscriptions.set(ws, new Map());
+    ws.codec = codec;
+    ws.session = { appAuthenticated: false, accounts: new Set() };
+
+    ws.on('error', (error) => this.debug('socket error', error.message));
+    ws.on('message', (data) => {
+      let message;
+      try {
+        message = ws.codec.decode(data);
+      } catch (error) {
+        this.debug('undecodable message', error.message);
+        return;
+      }
+      this.received.push(message);
+      this.handle(ws, message);
+    });
+    ws.on('close', () => {
+      this.sockets.delete(ws);
+      this.subscriptions.delete(ws);
+    });
+  }
+
+  send(ws, payloadType, payload = {}, clientMsgId) {
+    if (ws.readyState !== ws.OPEN) return;
+    ws.send(ws.codec.encode({ payloadType, payload, ...(clientMsgId && { clientMsgId }) }));
+  }
+
+  error(ws, clientMsgId, errorCode, description) {
+    this.send(ws, PAYLOAD.ERROR_RES, { errorCode, description }, clientMsgId);
+  }
+
+  handle(ws, { payloadType, payload = {}, clientMsgId }) {
+    this.debug('<-', payloadType, clientMsgId || '');
+
+    if (payloadType === PAYLOAD.HEARTBEAT_EVENT) {
+      this.send(ws, PAYLOAD.HEARTBEAT_EVENT);
+      return;
+    }
+
+    if (payloadType === PAYLOAD.APPLICATION_AUTH_REQ) {
+      if (payload.clientId !== this.clientId || payload.clientSecret !== this.clientSecret) {
+        return this.error(ws, clientMsgId, 'CH_CLIENT_AUTH_FAILURE', 'Invalid client credentials');
+      }
+      // The real server checks the token at account auth; failing early keeps the flow the same
+      if (payload.accessToken !== undefined && !this.accessTokens.has(payload.accessToken)) {
+        return this.error(ws, clientMsgId, 'CH_ACCESS_TOKEN_INVALID', 'Invalid access token');
+      }
+      ws.session.appAuthenticated = true;
+      return this.send(ws, PAYLOAD.APPLICATION_AUTH_RES, {}, clientMsgId);
+    }
+
+    if (!ws.session.appAuthenticated) {
+      return this.error(ws, clientMsgId, 'CH_CLIENT_NOT_AUTHENTICATED', 'Application not authenticated');
+    }
+
+    if (payloadType === PAYLOAD.GET_ACCOUNTS_BY_ACCESS_TOKEN_REQ) {
+      if (!this.accessTokens.has(payload.accessToken)) {
+        return this.error(ws, clientMsgId, 'CH_ACCESS_TOKEN_INVALID', 'Invalid access token');
+      }
+      return this.send(ws, PAYLOAD.GET_ACCOUNTS_BY_ACCESS_TOKEN_RES, {
+        accessToken: payload.accessToken,
+        ctidTraderAccount: this.accounts.map(({ accountId, isLive, traderLogin }) =>
+          ({ ctidTraderAccountId: accountId, isLive, traderLogin }))
+      }, clientMsgId);
+    }
+
+    if (payloadType === PAYLOAD.ACCOUNT_AUTH_REQ) {
+      if (!this.accessTokens.has(payload.accessToken)) {
+        return this.error(ws, clientMsgId, 'CH_ACCESS_TOKEN_INVALID', 'Invalid access token');
+      }
+      if (!this.accounts.some(account => account.accountId === payload.ctidTraderAccountId)) {
+        return this.error(ws, clientMsgId, 'CH_CTID_TRADER_ACCOUNT_NOT_FOUND', 'Unknown account');
+      }
+      ws.session.accounts.add(payload.ctidTraderAccountId);
+      this.subscriptions.get(ws)?.set(payload.ctidTraderAccountId, new Set());
+      return this.send(ws, PAYLOAD.ACCOUNT_AUTH_RES, { ctidTraderAccountId: payload.ctidTraderAccountId }, clientMsgId);
+    }
+
+    const accountId = payload.ctidTraderAccountId;
+    if (!ws.session.accounts.has(accountId)) {
+      return this.error(ws, clientMsgId, 'ACCOUNT_NOT_AUTHORIZED', 'Account not authorized');
+    }
+
+    const reply = (type, data = {}) => this.send(ws, type, { ctidTraderAccountId: accountId, ...data }, clientMsgId);
+
+    switch (payloadType) {
+      case PAYLOAD.ASSET_LIST_REQ:
+        return reply(PAYLOAD.ASSET_LIST_RES, { asset: this.assets });
+
+      case PAYLOAD.SYMBOLS_LIST_REQ:
+        return reply(PAYLOAD.SYMBOLS_LIST_RES, {
+          symbol: Array.from(this.symbols.values()).map(({ symbolId, symbolName, baseAssetId, quoteAssetId }) =>
+            ({ symbolId, symbolName, baseAssetId, quoteAssetId, enabled: true }))
+        });
+
+      case PAYLOAD.SYMBOL_BY_ID_REQ:
+        return reply(PAYLOAD.SYMBOL_BY_ID_RES, {
+          symbol: payload.symbolId.map(id => this.symbols.get(id)).filter(Boolean).map(symbol => ({
+            symbolId: symbol.symbolId,
+            digits: symbol.digits,
+            pipPosition: symbol.pipPosition,
+            lotSize: symbol.lotSize,
+            minVolume: symbol.minVolume,
+            maxVolume: symbol.maxVolume,
+            stepVolume: symbol.stepVolume,
+            tradingMode: 0
+          }))
+        });
+
+      case PAYLOAD.SYMBOLS_FOR_CONVERSION_REQ: {
+        const link = Array.from(this.symbols.values()).find(symbol =>
+          (symbol.baseAssetId === payload.firstAssetId && symbol.quoteAssetId === payload.lastAssetId) ||
+          (symbol.baseAssetId === payload.lastAssetId && symbol.quoteAssetId === payload.firstAssetId));
+        return reply(PAYLOAD.SYMBOLS_FOR_CONVERSION_RES, { symbol: link ? [link] : [] });
+      }
+
+      case PAYLOAD.TRADER_REQ:
+        return reply(PAYLOAD.TRADER_RES, {
+          trader: {
+            ctidTraderAccountId: accountId,
+            balance: Math.round(this.balance * 100),
+            depositAssetId: 2,
+            moneyDigits: 2
+          }
+        });
+
+      case PAYLOAD.RECONCILE_REQ:
+        return reply(PAYLOAD.RECONCILE_RES, {
+          position: this.owned(this.positions, accountId),
+          order: this.owned(this.orders, accountId)
+        });
+
+      case PAYLOAD.DEAL_LIST_REQ:
+        return reply(PAYLOAD.DEAL_LIST_RES, {
+          deal: this.owned(this.deals, accountId).filter(deal => deal.executionTimestamp >= payload.fromTimestamp &&
+            deal.executionTimestamp <= payload.toTimestamp),
+          hasMore: false
+        });
+
+      case PAYLOAD.SUBSCRIBE_SPOTS_REQ:
+        reply(PAYLOAD.SUBSCRIBE_SPOTS_RES);
+        for (const symbolId of payload.symbolId) {
+          this.subscriptions.get(ws)?.get(accountId)?.add(symbolId);
+          const symbol = this.symbols.get(symbolId);
+          if (symbol) this.sendSpot(ws, accountId, symbol);
+        }
+        return;
+
+      case PAYLOAD.UNSUBSCRIBE_SPOTS_REQ:
+        for (const symbolId of payload.symbolId) this.subscriptions.get(ws)?.get(accountId)?.delete(symbolId);
+        return reply(PAYLOAD.UNSUBSCRIBE_SPOTS_RES);
+
+      case PAYLOAD.NEW_ORDER_REQ:
+        return this.onNewOrder(ws, payload, clientMsgId);
+
+      case PAYLOAD.CANCEL_ORDER_REQ:
+        return this.onCancelOrder(ws, payload, clientMsgId);
+
+      case PAYLOAD.CLOSE_POSITION_REQ:
+        return this.onClosePosition(ws, payload, clientMsgId);
+
+      case PAYLOAD.AMEND_POSITION_SLTP_REQ: {
+        const position = this.owners.get(payload.positionId) === accountId ? this.positions.get(payload.positionId) : null;
+        if (!position) return this.orderError(ws, clientMsgId, 'POSITION_NOT_FOUND', payload);
+        position.stopLoss = payload.stopLoss;
+        position.takeProfit = payload.takeProfit;
+        return this.execution(ws, clientMsgId, EXECUTION.REPLACED, { position }, accountId);
+      }
+
+      default:
+        return this.error(ws, clientMsgId, 'UNSUPPORTED_MESSAGE', `Mock does not handle ${payloadType}`);
+    }
+  }
+
+  sendSpot(ws, accountId, symbol) {
+    this.send(ws, PAYLOAD.SPOT_EVENT, {
+      ctidTraderAccountId: accountId,
+      symbolId: symbol.symbolId,
+      bid: Math.round(symbol.bid * SPOT_PRICE_SCALE),
+      ask: Math.round(symbol.ask * SPOT_PRICE_SCALE)
+    });
+  }
+
+  // Order errors and execution events carry the account of the request they answer
+  orderError(ws, clientMsgId, errorCode, payload = {}) {
+    this.send(ws, PAYLOAD.ORDER_ERROR_EVENT, {
+      ctidTraderAccountId: payload.ctidTraderAccountId ?? this.accountId,
+      errorCode,
+      description: `Scripted ${errorCode}`,
+      ...(payload.orderId && { orderId: payload.orderId }),
+      ...(payload.positionId && { positionId: payload.positionId })
+    }, clientMsgId);
+  }
+
+  execution(ws, clientMsgId, executionType, { order, position, deal }, accountId = this.accountId) {
+    this.send(ws, PAYLOAD.EXECUTION_EVENT, {
+      ctidTraderAccountId: accountId,
+      executionType,
+      ...(order && { order }),
+      ...(position && { position }),
+      ...(deal && { deal })
+    }, clientMsgId);
+  }
+
+  onNewOrder(ws, payload, clientMsgId) {
+    const outcome = this.orderScript.shift() || (payload.orderType === MARKET ? { fill: true } : { accept: true });
+    const symbol = this.symbols.get(payload.symbolId);
+
+    const { ctidTraderAccountId: accountId } = payload;
+
+    if (!symbol) return this.orderError(ws, clientMsgId, 'SYMBOL_NOT_FOUND', { ctidTraderAccountId: accountId });
+    if (outcome.reject) return this.orderError(ws, clientMsgId, outcome.reject, { ctidTraderAccountId: accountId });
+    if (outcome.silent) return; // no answer, the bridge has to time out
+
+    const orderId = ++this.idCounter;
+    const positionId = ++this.idCounter;
+    const now = Date.now();
+    const tradeData = {
+      symbolId: payload.symbolId,
+      volume: payload.volume,
+      tradeSide: payload.tradeSide,
+      openTimestamp: now,
+      ...(payload.label && { label: payload.label }),
+      ...(payload.comment && { comment: payload.comment })
+    };
+
+    const order = {
+      orderId,
+      tradeData,
+      orderType: payload.orderType,
+      orderStatus: 1,
+      positionId,
+      ...(payload.limitPrice !== undefined && { limitPrice: payload.limitPrice }),
+      ...(payload.stopPrice !== undefined && { stopPrice: payload.stopPrice }),
+      ...(payload.stopLoss !== undefined && { stopLoss: payload.stopLoss }),
+      ...(payload.takeProfit !== undefined && { takeProfit: payload.takeProfit })
+    };
+
+    this.owners.set(positionId, accountId);
+    if (outcome.cancel) { // e.g. an IOC market order without liquidity
+      return this.execution(ws, clientMsgId, EXECUTION.CANCELLED, { order: { ...order, orderStatus: 5 } }, accountId);
+    }
+    if (outcome.accept) {
+      this.orders.set(orderId, order);
+      return this.execution(ws, clientMsgId, EXECUTION.ACCEPTED, { order }, accountId);
+    }
+
+    const price = outcome.price ?? (payload.tradeSide === 1 ? symbol.ask : symbol.bid);
+    const direction = payload.tradeSide === 1 ? 1 : -1;
+    const relative = (value) => value !== undefined ? price - direction * value / SPOT_PRICE_SCALE : undefined;
+    const stopLoss = payload.stopLoss ?? relative(payload.relativeStopLoss);
+    const takeProfit = payload.takeProfit ?? (payload.relativeTakeProfit !== undefined
+      ? price + direction * payload.relativeTakeProfit / SPOT_PRICE_SCALE
+      : undefined);
+
+    const position = {
+      positionId,
+      tradeData,
+      positionStatus: 1,
+      price,
+      swap: 0,
+      commission: 0,
+      moneyDigits: 2,
+      ...(stopLoss !== undefined && { stopLoss: parseFloat(stopLoss.toFixed(symbol.digits)) }),
+      ...(takeProfit !== undefined && { takeProfit: parseFloat(takeProfit.toFixed(symbol.digits)) })
+    };
+    const deal = {
+      dealId: ++this.idCounter,
+      orderId,
+      positionId,
+      symbolId: payload.symbolId,
+      volume: payload.volume,
+      filledVolume: payload.volume,
+      tradeSide: payload.tradeSide,
+      executionPrice: price,
+      executionTimestamp: now,
+      dealStatus: 2
+    };
+
+    this.positions.set(positionId, position);
+    this.deals.push(deal);
+    this.execution(ws, clientMsgId, EXECUTION.ACCEPTED, { order, position }, accountId);
+    this.execution(ws, clientMsgId, EXECUTION.FILLED, { order: { ...order, orderStatus: 2, executionPrice: price }, position, deal }, accountId);
+  }
+
+  onCancelOrder(ws, payload, clientMsgId) {
+    const order = this.orders.get(payload.orderId);
+    if (!order || this.owners.get(order.positionId) !== payload.ctidTraderAccountId) return this.orderError(ws, clientMsgId, 'OA_ORDER_NOT_FOUND', payload);
+
+    this.orders.delete(payload.orderId);
+    this.execution(ws, clientMsgId, EXECUTION.CANCELLED, { order: { ...order, orderStatus: 4 } }, payload.ctidTraderAccountId);
+  }
+
+  onClosePosition(ws, payload, clientMsgId) {
+    const position = this.positions.get(payload.positionId);
+    if (!position || this.owners.get(position.positionId) !== payload.ctidTraderAccountId) {
+      return this.orderError(ws, clientMsgId, 'POSITION_NOT_FOUND', payload);
+    }
+
+    const symbol = this.symbols.get(position.tradeData.symbolId);
+    const closingSide = position.tradeData.tradeSide === 1 ? 2 : 1;
+    const price = closingSide === 2 ? symbol.bid : symbol.ask;
+    const volume = Math.min(payload.volume, position.tradeData.volume);
+    const direction = position.tradeData.tradeSide === 1 ? 1 : -1;
+    const grossProfit = Math.round(direction * (price - position.price) * (volume / 100) * 100); // cents
+
+    const remaining = position.tradeData.volume - volume;
+    const closed = {
+      ...position,
+      tradeData: { ...position.tradeData, volume: remaining },
+      positionStatus: remaining > 0 ? 1 : 2
+    };
+    if (remaining > 0) this.positions.set(position.positionId, closed);
+    else this.positions.delete(position.positionId);
+
+    const orderId = ++this.idCounter;
+    const deal = {
+      dealId: ++this.idCounter,
+      orderId,
+      positionId: position.positionId,
+      symbolId: symbol.symbolId,
+      volume,
+      filledVolume: volume,
+      tradeSide: closingSide,
+      executionPrice: price,
+      executionTimestamp: Date.now(),
+      dealStatus: 2,
+      closePositionDetail: { entryPrice: position.price, grossProfit, swap: 0, commission: 0, closedVolume: volume, moneyDigits: 2 }
+    };
+    this.deals.push(deal);
+    this.balance += grossProfit / 100;
+
+    this.execution(ws, clientMsgId, EXECUTION.FILLED, {
+      order: { orderId, orderType: MARKET, closingOrder: true, tradeData: { symbolId: symbol.symbolId, volume, tradeSide: closingSide } },
+      position: closed,
+      deal
+    }, payload.ctidTraderAccountId);
+  }
+}
+
+// Standalone: node test/mock-ctrader.js [port]
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const mock = await new MockCtraderServer({ log: true }).start(parseInt(process.argv[2]) || 5036);
+  console.log(`🧪 Mock cTrader listening on ${mock.wsUrl} (Protobuf on ${mock.protobufUrl})`);
+  console.log(`   CTRADER_WS_URL=${mock.wsUrl} CTRADER_TOKEN_URL=${mock.tokenUrl}`);
+  console.log(`   CTRADER_CLIENT_ID=${mock.clientId} CTRADER_CLIENT_SECRET=${mock.clientSecret}`);
+  console.log(`   CTRADER_ACCOUNT_ID=${mock.accountId} CTRADER_REFRESH_TOKEN=${mock.refreshToken}`);
+}
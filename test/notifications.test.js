@@ -0,0 +1,124 @@
+// 🧪 Notifications: webhook sinks delivered to a local stand-in HTTP server
+// Run with: npm test
+
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { api, startBridge, stopBridge, waitFor } from './helpers.js';
+import { MockCtraderServer } from './mock-ctrader.js';
+
+// Records every request; paths listed in failures answer 500 that many times first
+class StandInServer {
+  constructor() {
+    this.requests = [];
+    this.failures = new Map();
+  }
+
+  async start() {
+    this.server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        this.requests.push({ path: req.url, body: JSON.parse(body || 'null'), raw: body });
+
+        const failures = this.failures.get(req.url) || 0;
+        if (failures > 0) {
+          this.failures.set(req.url, failures - 1);
+          return res.writeHead(500).end();
+        }
+        res.writeHead(200, { 'Content-Type': 'application/json' }).end('{}');
+      });
+    });
+    await new Promise(resolve => this.server.listen(0, '127.0.0.1', resolve));
+    this.url = `http://127.0.0.1:${this.server.address().port}`;
+    return this;
+  }
+
+  received(url) {
+    return this.requests.filter(request => request.path === url);
+  }
+
+  stop() {
+    this.server.closeAllConnections();
+    return new Promise(resolve => this.server.close(resolve));
+  }
+}
+
+describe('notifications', () => {
+  let mock;
+  let sink;
+  let bridge;
+  let baseUrl;
+  let dataDir;
+
+  before(async () => {
+    mock = await new MockCtraderServer().start();
+    sink = await new StandInServer().start();
+    sink.failures.set('/flaky', 1);
+    dataDir = mkdtempSync(path.join(os.tmpdir(), 'ctrader-bridge-notify-'));
+
+    ({ bridge, baseUrl } = await startBridge({
+      CTRADER_CLIENT_ID: mock.clientId,
+      CTRADER_CLIENT_SECRET: mock.clientSecret,
+      CTRADER_ACCOUNT_ID: `${mock.accountId}`,
+      CTRADER_REFRESH_TOKEN: mock.refreshToken,
+      CTRADER_WS_URL: mock.wsUrl,
+      CTRADER_TOKEN_URL: mock.tokenUrl,
+      DATA_DIR: dataDir,
+      TOKEN_FILE: path.join(dataDir, 'refresh_token.json'),
+      RECONNECT_BASE_MS: '200',
+      NOTIFY_DISCONNECT_MINUTES: '0.01', // 600ms
+      MAKE_WEBHOOK_URL: `${sink.url}/make`,
+      NOTIFY_SINKS: JSON.stringify([
+        { name: 'all', type: 'webhook', url: `${sink.url}/all`, receivesSecrets: true }, // not settable from NOTIFY_SINKS
+        { name: 'flaky', type: 'webhook', url: `${sink.url}/flaky`, events: ['order.filled'], template: { text: '{{sideName}} {{symbol}}' } }
+      ])
+    }));
+  });
+
+  after(async () => {
+    await stopBridge(bridge);
+    await mock?.stop();
+    await sink?.stop();
+    if (dataDir) rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('sends the refresh token to MAKE_WEBHOOK_URL only', async () => {
+    const [make] = await waitFor(() => sink.received('/make').length && sink.received('/make'), { message: 'token webhook' });
+    assert.equal(make.body.event, 'token_refreshed');
+    assert.equal(make.body.refresh_token, mock.refreshToken);
+
+    const refreshed = await waitFor(() => sink.received('/all').find(request => request.body.type === 'token.refreshed'), { message: 'token.refreshed event' });
+    assert.ok(!refreshed.raw.includes(mock.refreshToken), refreshed.raw);
+    assert.equal(refreshed.body.refreshToken, undefined);
+  });
+
+  it('renders templates and retries failed deliveries', async () => {
+    const { status } = await api(baseUrl, 'POST', '/order', { body: { symbol: 'EURUSD', side: 1, volume: 100000, type: 1 } });
+    assert.equal(status, 200);
+
+    // First attempt answered 500, the retry follows after 1s
+    const deliveries = await waitFor(() => sink.received('/flaky').length >= 2 && sink.received('/flaky'), { message: 'retried delivery' });
+    assert.equal(deliveries.length, 2);
+    assert.deepEqual(deliveries[1].body, { text: 'BUY EURUSD' });
+
+    const filled = sink.received('/all').find(request => request.body.type === 'order.filled');
+    assert.equal(filled.body.symbol, 'EURUSD');
+  });
+
+  it('reports a connection down for longer than NOTIFY_DISCONNECT_MINUTES, then restored', async () => {
+    mock.refuseConnections(3); // 200 + 400 + 800ms of backoff
+    mock.dropConnections();
+
+    const restored = await waitFor(() => sink.received('/all').find(request => request.body.type === 'connection.restored'),
+      { timeout: 15000, message: 'connection.restored' });
+    const down = sink.received('/all').find(request => request.body.type === 'connection.down');
+
+    assert.ok(down, 'connection.down before connection.restored');
+    assert.equal(down.body.accountId, `${mock.accountId}`);
+    assert.equal(restored.body.accountId, `${mock.accountId}`);
+  });
+});
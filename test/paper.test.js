@@ -0,0 +1,99 @@
+// 🧪 Paper trading: the bridge on CTRADER_ENV=paper with replayed CSV ticks
+// Run with: npm test
+
+import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { api, startBridge, stopBridge, tickCsv, waitFor } from './helpers.js';
+
+describe('paper trading', () => {
+  let bridge;
+  let baseUrl;
+  let dataDir;
+
+  before(async () => {
+    dataDir = mkdtempSync(path.join(os.tmpdir(), 'ctrader-bridge-paper-'));
+    writeFileSync(path.join(dataDir, 'ticks.csv'), tickCsv());
+
+    ({ bridge, baseUrl } = await startBridge({
+      CTRADER_ENV: 'paper',
+      PAPER_TICKS_FILE: path.join(dataDir, 'ticks.csv'),
+      PAPER_REPLAY_SPEED: '10',
+      PAPER_BALANCE: '5000',
+      DATA_DIR: dataDir
+    }, { message: 'paper broker to authenticate' }));
+  });
+
+  after(async () => {
+    await stopBridge(bridge);
+    if (dataDir) rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('fills market orders at the ask with relative SL/TP', async () => {
+    const { status, body } = await api(baseUrl, 'POST', '/order', {
+      body: { symbol: 'EURUSD', side: 1, lots: 0.1, stopLossPips: 30, takeProfitPips: 50 }
+    });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.equal(body.result.position.price, 1.0851);
+    assert.equal(body.result.position.stopLoss, 1.0821);
+    assert.equal(body.result.position.takeProfit, 1.0901);
+  });
+
+  it('keeps limit orders working until the price reaches them', async () => {
+    const { status, body } = await api(baseUrl, 'POST', '/order', {
+      body: { symbol: 'EURUSD', side: 1, lots: 0.1, type: 2, price: 1.0835 }
+    });
+    assert.equal(status, 200, JSON.stringify(body));
+
+    const pending = await api(baseUrl, 'GET', '/orders/pending');
+    assert.equal(pending.body.count, 1);
+    assert.equal(pending.body.orders[0].price, 1.0835);
+  });
+
+  it('fills the limit on the dip and takes profit on the rally', async () => {
+    const closed = await waitFor(async () => {
+      const { body } = await api(baseUrl, 'GET', '/journal?type=position.closed');
+      return body.entries[0];
+    }, { timeout: 15000, message: 'take profit' });
+
+    assert.equal(closed.reason, 'take_profit');
+    assert.equal(closed.price, 1.0901); // Take-profits fill at their level, not the gapped bid
+    assert.equal(closed.grossProfit, 50); // 10,000 units from 1.0851 to 1.0901
+
+    const { body: positions } = await api(baseUrl, 'GET', '/positions');
+    assert.equal(positions.count, 1);
+    assert.equal(positions.positions[0].entryPrice, 1.0831); // The lower ask it gapped to, better than the limit
+
+    const { body: pending } = await api(baseUrl, 'GET', '/orders/pending');
+    assert.equal(pending.count, 0);
+  });
+
+  it('tracks balance, equity and P&L, and persists the account', async () => {
+    const { body } = await api(baseUrl, 'GET', '/paper');
+    assert.equal(body.currency, 'USD');
+    assert.equal(body.balance, 5050);
+    assert.equal(body.realizedPnl, 50);
+    assert.equal(body.unrealizedPnl, 79); // open long from 1.0831, bid 1.0910
+    assert.equal(body.equity, 5129);
+    assert.equal(body.winRate, 100);
+
+    const saved = JSON.parse(readFileSync(path.join(dataDir, 'paper-account.json'), 'utf8'));
+    assert.equal(saved.balance, 505000);
+    assert.equal(Object.keys(saved.positions).length, 1);
+  });
+
+  it('fills a marketable limit at the market, not at its worse limit price', async () => {
+    const { status, body } = await api(baseUrl, 'POST', '/order', {
+      body: { symbol: 'EURUSD', side: 1, lots: 0.1, type: 2, price: 1.1000 }
+    });
+    assert.equal(status, 200, JSON.stringify(body));
+
+    const { body: positions } = await api(baseUrl, 'GET', '/positions');
+    assert.equal(positions.count, 2);
+    const filled = positions.positions.find(position => position.entryPrice !== 1.0831); // not the dip fill
+    assert.equal(filled.entryPrice, 1.0911); // The ask, not the limit 90 pips above it
+  });
+});
+
@@ -0,0 +1,164 @@
+// 🧪 Protobuf transport: codec round-trips on the vendored .proto files, and the
+// bridge on CTRADER_TRANSPORT=protobuf against the mock's TCP endpoint
+// Run with: npm test
+
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { encodeFrame, FrameDecoder, ProtobufCodec } from '../ctrader-protobuf.js';
+import { api, startBridge, stopBridge } from './helpers.js';
+import { MockCtraderServer, PAYLOAD } from './mock-ctrader.js';
+
+const codec = new ProtobufCodec();
+
+const roundTrip = (message) => codec.decode(codec.encode(message));
+
+describe('protobuf codec', () => {
+  it('round-trips requests with int64, enum and optional fields', () => {
+    const message = {
+      clientMsgId: 'req_1',
+      payloadType: PAYLOAD.NEW_ORDER_REQ,
+      payload: {
+        ctidTraderAccountId: 12345,
+        symbolId: 1,
+        orderType: 2,
+        tradeSide: 1,
+        volume: 100000,
+        limitPrice: 1.0835,
+        relativeStopLoss: 200,
+        expirationTimestamp: 1767600000000,
+        comment: 'TP1'
+      }
+    };
+    assert.deepEqual(roundTrip(message), message);
+  });
+
+  it('round-trips events with nested and repeated messages', () => {
+    const message = {
+      payloadType: PAYLOAD.EXECUTION_EVENT,
+      payload: {
+        ctidTraderAccountId: 12345,
+        executionType: 3,
+        position: {
+          positionId: 7,
+          tradeData: { symbolId: 1, volume: 100000, tradeSide: 1, openTimestamp: 1767600000000 },
+          positionStatus: 2,
+          swap: 0,
+          price: 1.0851
+        },
+        deal: {
+          dealId: 9, orderId: 8, positionId: 7, volume: 100000, filledVolume: 100000, symbolId: 1,
+          createTimestamp: 1767600000000, executionTimestamp: 1767600000100, executionPrice: 1.0901,
+          tradeSide: 2, dealStatus: 2,
+          closePositionDetail: { entryPrice: 1.0851, grossProfit: 5000, swap: 0, commission: 0, balance: 1005000, closedVolume: 100000, moneyDigits: 2 }
+        }
+      }
+    };
+    assert.deepEqual(roundTrip(message), message);
+
+    const symbols = {
+      clientMsgId: 'req_2',
+      payloadType: PAYLOAD.SYMBOLS_LIST_RES,
+      payload: {
+        ctidTraderAccountId: 12345,
+        symbol: [
+          { symbolId: 1, symbolName: 'EURUSD', enabled: true, baseAssetId: 1, quoteAssetId: 2 },
+          { symbolId: 41, symbolName: 'XAUUSD', enabled: true, baseAssetId: 3, quoteAssetId: 2 }
+        ]
+      }
+    };
+    assert.deepEqual(roundTrip(symbols), symbols);
+  });
+
+  it('round-trips common messages and empty payloads', () => {
+    assert.deepEqual(roundTrip({ payloadType: PAYLOAD.HEARTBEAT_EVENT, payload: {} }), { payloadType: PAYLOAD.HEARTBEAT_EVENT, payload: {} });
+
+    const error = { clientMsgId: 'req_3', payloadType: 50, payload: { errorCode: 'INVALID_REQUEST', description: 'Bad' } };
+    assert.deepEqual(roundTrip(error), error);
+  });
+
+  it('writes the wire format of the official definitions', () => {
+    const bytes = codec.encode({ clientMsgId: 'req_4', payloadType: PAYLOAD.ACCOUNT_AUTH_REQ, payload: { ctidTraderAccountId: '12345', accessToken: 'token' } });
+
+    const envelope = codec.root.lookupType('ProtoMessage').decode(bytes);
+    assert.equal(envelope.payloadType, 2102);
+    assert.equal(envelope.clientMsgId, 'req_4');
+
+    const auth = codec.root.lookupType('ProtoOAAccountAuthReq').decode(envelope.payload);
+    assert.equal(auth.ctidTraderAccountId.toNumber(), 12345);
+    assert.equal(auth.accessToken, 'token');
+  });
+
+  it('rejects unknown payload types', () => {
+    assert.throws(() => codec.encode({ payloadType: 9999, payload: {} }), /Unknown payloadType 9999/);
+  });
+
+  it('reassembles frames split or batched across chunks', () => {
+    const first = codec.encode({ payloadType: PAYLOAD.HEARTBEAT_EVENT });
+    const second = codec.encode({ clientMsgId: 'req_5', payloadType: PAYLOAD.TRADER_REQ, payload: { ctidTraderAccountId: 1 } });
+    const stream = Buffer.concat([encodeFrame(first), encodeFrame(second)]);
+
+    const decoder = new FrameDecoder();
+    const frames = [
+      ...decoder.push(stream.subarray(0, 3)),
+      ...decoder.push(stream.subarray(3, first.length + 6)),
+      ...decoder.push(stream.subarray(first.length + 6))
+    ];
+
+    assert.deepEqual(frames.map(frame => codec.decode(frame).payloadType), [PAYLOAD.HEARTBEAT_EVENT, PAYLOAD.TRADER_REQ]);
+    assert.equal(codec.decode(frames[1]).clientMsgId, 'req_5');
+  });
+});
+
+describe('bridge over the protobuf transport', () => {
+  let mock;
+  let bridge;
+  let baseUrl;
+  let dataDir;
+
+  before(async () => {
+    mock = await new MockCtraderServer().start();
+    dataDir = mkdtempSync(path.join(os.tmpdir(), 'ctrader-bridge-protobuf-'));
+
+    ({ bridge, baseUrl } = await startBridge({
+      CTRADER_CLIENT_ID: mock.clientId,
+      CTRADER_CLIENT_SECRET: mock.clientSecret,
+      CTRADER_ACCOUNT_ID: `${mock.accountId}`,
+      CTRADER_REFRESH_TOKEN: mock.refreshToken,
+      CTRADER_TRANSPORT: 'protobuf',
+      CTRADER_PROTOBUF_URL: mock.protobufUrl,
+      CTRADER_TOKEN_URL: mock.tokenUrl,
+      DATA_DIR: dataDir,
+      TOKEN_FILE: path.join(dataDir, 'refresh_token.json'),
+      RECONNECT_BASE_MS: '200'
+    }, { message: 'bridge to authenticate over protobuf' }));
+  });
+
+  after(async () => {
+    await stopBridge(bridge);
+    await mock?.stop();
+    if (dataDir) rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('authenticates and loads symbols', async () => {
+    const [accountAuth] = mock.messages(PAYLOAD.ACCOUNT_AUTH_REQ);
+    assert.equal(accountAuth.payload.ctidTraderAccountId, mock.accountId);
+
+    const { body } = await api(baseUrl, 'GET', '/status');
+    assert.equal(body.websocket.transport, 'protobuf');
+  });
+
+  it('places an order and reads back the fill', async () => {
+    const { status, body } = await api(baseUrl, 'POST', '/order', {
+      body: { symbol: 'EURUSD', side: 1, volume: 100000, type: 1, stopLossPips: 20 }
+    });
+    assert.equal(status, 200, JSON.stringify(body));
+    assert.ok(mock.positions.has(body.result.position.positionId));
+
+    const [order] = mock.messages(PAYLOAD.NEW_ORDER_REQ).slice(-1);
+    assert.equal(order.payload.relativeStopLoss, 200);
+    assert.equal(order.payload.tradeSide, 1);
+  });
+});
@@ -0,0 +1,82 @@
+// 🧪 Risk rules: RISK_RULES limits on the paper broker
+// Run with: npm test
+
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { api, startBridge, stopBridge, tickCsv } from './helpers.js';
+
+const RULES = { maxLots: 5, maxOpenPositions: 2 };
+
+describe('risk rules', () => {
+  let bridge;
+  let baseUrl;
+  let dataDir;
+
+  before(async () => {
+    dataDir = mkdtempSync(path.join(os.tmpdir(), 'ctrader-bridge-risk-'));
+    writeFileSync(path.join(dataDir, 'ticks.csv'), tickCsv());
+    writeFileSync(path.join(dataDir, 'risk.json'), JSON.stringify(RULES));
+
+    ({ bridge, baseUrl } = await startBridge({
+      CTRADER_ENV: 'paper',
+      PAPER_TICKS_FILE: path.join(dataDir, 'ticks.csv'),
+      RISK_RULES: path.join(dataDir, 'risk.json'),
+      DATA_DIR: dataDir
+    }, { message: 'paper broker to authenticate' }));
+  });
+
+  after(async () => {
+    await stopBridge(bridge);
+    if (dataDir) rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('counts working orders towards maxLots and maxOpenPositions', async () => {
+    const limit = (lots) => api(baseUrl, 'POST', '/order', { body: { symbol: 'EURUSD', side: 1, lots, type: 2, price: 1.05 } });
+
+    const first = await limit(3);
+    assert.equal(first.status, 200, JSON.stringify(first.body));
+
+    const tooLarge = await limit(3);
+    assert.equal(tooLarge.status, 422);
+    assert.deepEqual(tooLarge.body.reasons, ['max_lots']);
+
+    const second = await limit(1);
+    assert.equal(second.status, 200, JSON.stringify(second.body));
+
+    const third = await limit(0.1);
+    assert.equal(third.status, 422);
+    assert.deepEqual(third.body.reasons, ['max_open_positions']);
+  });
+
+  it('applies maxLots to order amendments', async () => {
+    const { body: pending } = await api(baseUrl, 'GET', '/orders/pending');
+    const order = pending.orders.find(o => o.volume === Math.max(...pending.orders.map(o => o.volume))); // the 3 lots
+
+    const tooLarge = await api(baseUrl, 'PATCH', `/orders/${order.orderId}`, { body: { volume: order.volume * 2 } });
+    assert.equal(tooLarge.status, 422, JSON.stringify(tooLarge.body));
+    assert.deepEqual(tooLarge.body.reasons, ['max_lots']);
+
+    const larger = await api(baseUrl, 'PATCH', `/orders/${order.orderId}`, { body: { volume: order.volume / 3 * 4 } });
+    assert.equal(larger.status, 200, JSON.stringify(larger.body)); // 4 + 1 lots, the order replaces itself
+  });
+
+  it('refuses account-wide rules under symbols', async () => {
+    writeFileSync(path.join(dataDir, 'risk.json'), JSON.stringify({ ...RULES, symbols: { EURUSD: { maxOpenPositions: 1 } } }));
+    const { status, body } = await api(baseUrl, 'POST', '/risk/reload');
+    assert.equal(status, 500);
+    assert.match(body.error, /maxOpenPositions .* cannot be set under symbols\.EURUSD/);
+  });
+
+  it('keeps the previous risk rules when RISK_RULES no longer parses', async () => {
+    writeFileSync(path.join(dataDir, 'risk.json'), '{ "maxLots": ');
+    const { status, body } = await api(baseUrl, 'POST', '/risk/reload');
+    assert.equal(status, 500);
+    assert.match(body.error, /Invalid RISK_RULES/);
+
+    const { body: risk } = await api(baseUrl, 'GET', '/risk');
+    assert.deepEqual(risk.rules, RULES);
+  });
+});
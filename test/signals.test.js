@@ -0,0 +1,204 @@
+// 🧪 Signal intake: free-text signals and channel profiles, webhook adapters, take-profit splits and quotes
+// Run with: npm test
+
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import fetch from 'node-fetch';
+import { api, startBridge, stopBridge, tickCsv } from './helpers.js';
+
+describe('signals and webhooks', () => {
+  let bridge;
+  let baseUrl;
+  let dataDir;
+
+  const dryRun = (text, extra = {}) => api(baseUrl, 'POST', '/signal', { body: { text, dryRun: true, ...extra } });
+
+  before(async () => {
+    dataDir = mkdtempSync(path.join(os.tmpdir(), 'ctrader-bridge-signals-'));
+    writeFileSync(path.join(dataDir, 'ticks.csv'), tickCsv());
+
+    ({ bridge, baseUrl } = await startBridge({
+      CTRADER_ENV: 'paper',
+      PAPER_TICKS_FILE: path.join(dataDir, 'ticks.csv'),
+      DATA_DIR: dataDir,
+      SIGNAL_PROFILES: JSON.stringify({
+        default: { defaultVolume: 100000 },
+        vip: {
+          symbolAliases: { FIBER: 'EURUSD' },
+          entryRange: 'mid',
+          takeProfit: 'split',
+          defaultVolume: 200000,
+          comment: 'vip-room'
+        }
+      }),
+      WEBHOOK_ADAPTERS: JSON.stringify({
+        tv: { type: 'tradingview', volumePerContract: 200000, defaultVolume: 100000 },
+        scanner: {
+          type: 'jsonpath',
+          fields: { symbol: '$.instrument', side: '$.signal.direction', volume: '$.qty', stopLoss: '$.levels[0].sl' },
+          values: { side: { long: 1, short: 2 } },
+          defaults: { type: 'MARKET' }
+        }
+      })
+    }, { message: 'paper broker to authenticate' }));
+  });
+
+  after(async () => {
+    await stopBridge(bridge);
+    if (dataDir) rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  describe('free-text signals', () => {
+    it('reads symbol, side, type, entry and levels', async () => {
+      const limit = await dryRun('EURUSD sell limit 1.0920 sl 1.0950 tp 1.0850');
+      assert.equal(limit.status, 200, JSON.stringify(limit.body));
+      assert.deepEqual(limit.body.order, {
+        symbol: 'EURUSD', side: 2, type: 'LIMIT', price: 1.092, stopLoss: 1.095, takeProfit: 1.085,
+        volume: 100000, comment: 'signal', accountId: '1'
+      });
+
+      const market = await dryRun('🔥 *GOLD* BUY NOW\nSL 30 pips\nTP1 50 pips\nTP2 100 pips');
+      assert.equal(market.body.order.symbol, 'XAUUSD');
+      assert.equal(market.body.order.type, 'MARKET');
+      assert.equal(market.body.order.stopLossPips, 30);
+      assert.equal(market.body.order.takeProfitPips, 50); // first target by default
+      assert.deepEqual(market.body.details.takeProfits, [50, 100]);
+
+      const zone = await dryRun('EUR/USD long limit @ 1,0850-1,0840 sl 1.0800');
+      assert.equal(zone.body.order.symbol, 'EURUSD');
+      assert.equal(zone.body.order.side, 1);
+      assert.equal(zone.body.order.price, 1.085); // first price of the zone by default
+    });
+
+    it('reports what a text is missing', async () => {
+      const { status, body } = await dryRun('good morning everyone');
+      assert.equal(status, 422);
+      assert.deepEqual(body.missing, ['symbol', 'side']);
+
+      const noEntry = await dryRun('EURUSD buy limit sl 1.0800');
+      assert.equal(noEntry.status, 422);
+      assert.deepEqual(noEntry.body.missing, ['entry price']);
+    });
+
+    it('applies the profile of the channel, request sizing first', async () => {
+      const text = 'FIBER buy limit 1.0850-1.0840 sl 1.0800 tp 1.0900 tp 1.0950';
+
+      const { body } = await dryRun(text, { channel: 'vip' });
+      assert.equal(body.order.symbol, 'EURUSD');
+      assert.equal(body.order.price, 1.0845); // middle of the zone
+      assert.deepEqual(body.order.takeProfits, [{ price: 1.09 }, { price: 1.095 }]);
+      assert.equal(body.order.volume, 200000);
+      assert.equal(body.order.comment, 'vip-room');
+
+      const sized = await dryRun(text, { channel: 'vip', lots: 0.5 });
+      assert.equal(sized.body.order.volume, 5000000);
+
+      const other = await dryRun(text, { channel: 'free' });
+      assert.equal(other.status, 422, 'FIBER is only an alias on the vip channel');
+    });
+
+    it('splits a signal with several targets into a take-profit group', async () => {
+      const { status, body } = await api(baseUrl, 'POST', '/signal', {
+        body: { text: 'FIBER buy now sl 1.0800 tp 1.0900 tp 1.0950', channel: 'vip', lots: 0.2 }
+      });
+      assert.equal(status, 200, JSON.stringify(body));
+      assert.equal(body.positionIds.length, 2);
+      assert.deepEqual(body.children.map(child => child.orderData.volume), [1000000, 1000000]);
+
+      const group = await api(baseUrl, 'GET', `/tp-groups/${body.groupId}`);
+      assert.deepEqual(group.body.targets.map(target => [target.status, target.takeProfit]), [['open', 1.09], ['open', 1.095]]);
+    });
+  });
+
+  describe('webhook adapters', () => {
+    it('maps flat and nested TradingView alerts', async () => {
+      const flat = await api(baseUrl, 'POST', '/webhook/tradingview', {
+        body: { ticker: 'OANDA:EURUSD', action: 'sell', volume: 100000, price: 1.0851, sl: 1.1 }
+      });
+      assert.equal(flat.status, 200, JSON.stringify(flat.body));
+      assert.equal(flat.body.orderData.side, 2);
+      assert.equal(flat.body.orderData.stopLoss, 1.1);
+      assert.equal(flat.body.orderData.price, undefined, 'market alerts carry the fill price, not an entry');
+      assert.equal(flat.body.orderData.comment, 'tradingview');
+
+      const nested = await api(baseUrl, 'POST', '/webhook/tv', {
+        body: { ticker: 'EURUSD.P', strategy: { order: { action: 'buy', contracts: '0.5' } } }
+      });
+      assert.equal(nested.status, 200, JSON.stringify(nested.body));
+      assert.equal(nested.body.orderData.side, 1);
+      assert.equal(nested.body.orderData.volume, 100000); // 0.5 contracts × volumePerContract
+    });
+
+    it('ignores flat strategies and reports unusable alerts', async () => {
+      const flat = await api(baseUrl, 'POST', '/webhook/tradingview', { body: { ticker: 'EURUSD', market_position: 'flat' } });
+      assert.equal(flat.status, 200);
+      assert.equal(flat.body.ignored, 'Strategy is flat');
+
+      const missing = await api(baseUrl, 'POST', '/webhook/tradingview', { body: { ticker: 'EURUSD', action: 'hold' } });
+      assert.equal(missing.status, 422);
+      assert.deepEqual(missing.body.missing, ['action']);
+
+      const unknown = await api(baseUrl, 'POST', '/webhook/nope', { body: {} });
+      assert.equal(unknown.status, 404);
+      assert.deepEqual(unknown.body.available, ['tradingview', 'tv', 'scanner']);
+    });
+
+    it('parses plain-text TradingView alerts like signals', async () => {
+      const response = await fetch(`${baseUrl}/webhook/tv`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain' },
+        body: 'BUY EURUSD SL 1.0700'
+      });
+      const body = await response.json();
+      assert.equal(response.status, 200, JSON.stringify(body));
+      assert.equal(body.orderData.side, 1);
+      assert.equal(body.orderData.volume, 100000); // the adapter's defaultVolume
+      assert.equal(body.orderData.stopLoss, 1.07);
+    });
+
+    it('maps JSON paths and value tables', async () => {
+      const { status, body } = await api(baseUrl, 'POST', '/webhook/scanner', {
+        body: { instrument: 'OANDA:EURUSD', signal: { direction: 'Short' }, qty: 100000, levels: [{ sl: 1.1 }] }
+      });
+      assert.equal(status, 200, JSON.stringify(body));
+      assert.equal(body.orderData.symbolId, 1);
+      assert.equal(body.orderData.side, 2);
+      assert.equal(body.orderData.volume, 100000);
+      assert.equal(body.orderData.stopLoss, 1.1);
+    });
+  });
+
+  describe('quotes', () => {
+    it('returns the current quote with its spread', async () => {
+      const { status, body } = await api(baseUrl, 'GET', '/quotes/EURUSD');
+      assert.equal(status, 200, JSON.stringify(body));
+      assert.equal(body.symbol, 'EURUSD');
+      assert.equal(body.spreadPips, 1);
+      assert.ok(body.ask > body.bid);
+
+      assert.equal((await api(baseUrl, 'GET', '/quotes/NOPE')).status, 404);
+    });
+
+    it('streams ticks as server-sent events', async () => {
+      const controller = new AbortController();
+      const response = await fetch(`${baseUrl}/quotes/EURUSD/stream`, { signal: controller.signal });
+      assert.match(response.headers.get('content-type'), /^text\/event-stream/);
+
+      let received = '';
+      try {
+        for await (const chunk of response.body) {
+          received += chunk.toString();
+          if (/event: quote\ndata: .*\n\n/.test(received)) break;
+        }
+      } finally {
+        controller.abort();
+      }
+
+      const quote = JSON.parse(/event: quote\ndata: (.*)\n/.exec(received)[1]);
+      assert.equal(quote.symbol, 'EURUSD');
+    });
+  });
+});
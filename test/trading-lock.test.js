@@ -0,0 +1,51 @@
+// 🧪 Trading lock: the kill-switch lock when its file cannot be read or written
+// Run with: npm test
+
+import assert from 'node:assert/strict';
+import { mkdirSync, mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { after, before, describe, it } from 'node:test';
+import { api, startBridge, stopBridge, tickCsv } from './helpers.js';
+
+describe('trading lock storage', () => {
+  let bridge;
+  let baseUrl;
+  let dataDir;
+
+  before(async () => {
+    dataDir = mkdtempSync(path.join(os.tmpdir(), 'ctrader-bridge-lock-'));
+    writeFileSync(path.join(dataDir, 'ticks.csv'), tickCsv());
+    mkdirSync(path.join(dataDir, 'trading-lock.json')); // can be neither read nor replaced
+
+    ({ bridge, baseUrl } = await startBridge({
+      CTRADER_ENV: 'paper',
+      PAPER_TICKS_FILE: path.join(dataDir, 'ticks.csv'),
+      DATA_DIR: dataDir
+    }, { message: 'paper broker to authenticate' }));
+  });
+
+  after(async () => {
+    await stopBridge(bridge);
+    if (dataDir) rmSync(dataDir, { recursive: true, force: true });
+  });
+
+  it('starts locked when the lock file cannot be read', async () => {
+    const { body } = await api(baseUrl, 'GET', '/status');
+    assert.equal(body.trading.locked, true);
+    assert.match(body.trading.reason, /lock file unreadable/);
+
+    const order = await api(baseUrl, 'POST', '/order', { body: { symbol: 'EURUSD', side: 1, lots: 0.1 } });
+    assert.equal(order.status, 423);
+  });
+
+  it('fails lock and unlock requests that cannot be saved', async () => {
+    const killed = await api(baseUrl, 'POST', '/admin/kill-switch', { body: { reason: 'test' } });
+    assert.equal(killed.status, 500);
+    assert.equal(killed.body.persisted, false);
+
+    const unlocked = await api(baseUrl, 'POST', '/admin/unlock', { body: {} });
+    assert.equal(unlocked.status, 500);
+    assert.equal((await api(baseUrl, 'GET', '/status')).body.trading.locked, true);
+  });
+});